@@ -37,7 +37,9 @@ export class CancelAwbAction {
 
             // Validate input
             if (!awbBarcode) {
-                throw new Error('AWB barcode is required for cancellation');
+                const error = new Error('AWB barcode is required for cancellation');
+                error.retryable = false;
+                throw error;
             }
 
             // Attempt to cancel AWB with shipping provider
@@ -70,6 +72,7 @@ export class CancelAwbAction {
                     awbBarcode,
                     error: 'Cancellation failed - package may have been picked up',
                     requiresManualIntervention: true,
+                    retryable: false,
                     reason
                 };
             }
@@ -88,6 +91,8 @@ export class CancelAwbAction {
                 awbBarcode,
                 error: error.message,
                 requiresManualIntervention: true,
+                // The adapter reports refusals as false, what is thrown is an outage
+                retryable: error.retryable !== false,
                 reason
             };
         }
@@ -148,6 +153,7 @@ export class CancelAwbAction {
             return {
                 success: false,
                 error: error.message,
+                retryable: error.retryable !== false,
                 webhookProcessed: false,
                 fulfillmentId: fulfillment.id,
                 shopifyOrderId: fulfillment.order_id
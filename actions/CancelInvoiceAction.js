@@ -0,0 +1,128 @@
+import OblioService from '../services/OblioService.js';
+import { CreateStornoInvoiceAction } from './CreateStornoInvoiceAction.js';
+import { logger, getInvoiceFromOrder, getOrderAttribute } from '../utils/index.js';
+
+/**
+ * Action: Cancel Invoice
+ *
+ * Voids the Oblio invoice of a cancelled Shopify order. The invoice is
+ * cancelled in Oblio when it is still the latest in its series, otherwise
+ * a full storno is issued so later invoices in the series stay untouched.
+ *
+ * Single Responsibility: Invoice cancellation for cancelled orders
+ */
+export class CancelInvoiceAction {
+    constructor(oblioService = null, stornoAction = null) {
+        // Allow dependency injection for testing
+        this.oblioService = oblioService || new OblioService();
+        this.stornoAction = stornoAction || new CreateStornoInvoiceAction(this.oblioService);
+        this.companyCif = process.env.OBLIO_COMPANY_CIF;
+    }
+
+    /**
+     * Execute invoice cancellation
+     * @param {Object} params - Cancellation parameters
+     * @param {Object} params.order - Shopify order (orders/cancelled webhook payload)
+     * @returns {Promise<Object>} Cancellation result
+     */
+    async execute({ order }) {
+        try {
+            logger.info({
+                orderId: order.id,
+                orderName: order.name,
+                cancelReason: order.cancel_reason
+            }, 'Starting invoice cancellation');
+
+            const invoice = getInvoiceFromOrder(order);
+            if (!invoice) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order has no invoice'
+                };
+            }
+
+            const tags = order.tags ? order.tags.split(', ') : [];
+            if (tags.includes('oblio-cancelled')) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Invoice already cancelled'
+                };
+            }
+
+            // Partial stornos from earlier refunds would be reversed twice
+            if (getOrderAttribute(order, 'STORNO_REFUND_IDS')) {
+                return {
+                    success: false,
+                    error: `Invoice ${invoice.series} ${invoice.number} already has a partial storno, manual review required`,
+                    retryable: false
+                };
+            }
+
+            const isLatest = await this._isLatestInSeries(invoice);
+
+            if (isLatest) {
+                await this.oblioService.cancelDocument('invoice', this.companyCif, invoice.series, invoice.number);
+
+                logger.info({
+                    orderId: order.id,
+                    invoice: `${invoice.series}${invoice.number}`
+                }, 'Invoice cancelled in Oblio');
+
+                return {
+                    success: true,
+                    method: 'cancel',
+                    invoice
+                };
+            }
+
+            const stornoResult = await this.stornoAction.createFullStorno({
+                order,
+                originalInvoice: invoice
+            });
+
+            return {
+                success: true,
+                method: 'storno',
+                invoice,
+                storno: stornoResult.storno
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId: order.id,
+                error: error.message,
+                oblioError: error.response?.data,
+                statusCode: error.response?.status
+            }, 'Failed to cancel invoice');
+
+            return {
+                success: false,
+                error: error.message,
+                details: error.response?.data,
+                statusCode: error.response?.status,
+                retryable: !error.response || error.response.status >= 500 || error.response.status === 429
+            };
+        }
+    }
+
+    /**
+     * Check whether the invoice is the latest issued in its series
+     * @private
+     */
+    async _isLatestInSeries(invoice) {
+        const response = await this.oblioService.listDocuments('invoice', this.companyCif, {
+            seriesName: invoice.series,
+            draft: 0,
+            orderBy: 'number',
+            orderDir: 'DESC',
+            limitPerPage: 1
+        });
+
+        const latest = response.data?.[0];
+        return !!latest && String(latest.number) === String(invoice.number);
+    }
+}
+
+export default CancelInvoiceAction;
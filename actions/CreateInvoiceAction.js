@@ -1,5 +1,19 @@
 import OblioService from '../services/OblioService.js';
-import { transformOrderWithAnafEnrichment, logger, formatRomanianAddress, getCompanyNameFromOrder } from '../utils/index.js';
+import { bnrExchangeRates } from '../services/BnrExchangeRateService.js';
+import { skuMappings } from '../services/SkuMappingService.js';
+import { bundles } from '../services/BundleService.js';
+import { invoiceRules } from '../services/InvoiceRulesService.js';
+import { locationMappings } from '../services/LocationMappingService.js';
+import {
+    transformOrderWithAnafEnrichment,
+    logger,
+    fromRestOrder,
+    getRefundedQuantity,
+    buildOblioInvoice,
+    buildOblioClient,
+    getVatInfo,
+    calculateInvoiceTotal
+} from '../utils/index.js';
 import config from '../config/AppConfig.js';
 
 /**
@@ -11,13 +25,18 @@ import config from '../config/AppConfig.js';
  * Single Responsibility: Invoice creation and Oblio integration
  */
 export class CreateInvoiceAction {
-    constructor(oblioService = null, anafService = null) {
+    constructor(oblioService = null, anafService = null, exchangeRateService = null, skuMappingService = null, bundleService = null, invoiceRulesService = null, locationMappingService = null) {
         // Allow dependency injection for testing
         this.oblioService = oblioService || new OblioService(
             process.env.OBLIO_EMAIL,
             process.env.OBLIO_API_TOKEN
         );
         this.anafService = anafService;
+        this.exchangeRateService = exchangeRateService || bnrExchangeRates;
+        this.skuMappingService = skuMappingService || skuMappings;
+        this.bundleService = bundleService || bundles;
+        this.invoiceRulesService = invoiceRulesService || invoiceRules;
+        this.locationMappingService = locationMappingService || locationMappings;
     }
 
     /**
@@ -39,34 +58,12 @@ export class CreateInvoiceAction {
                 invoiceOptions
             }, 'Starting invoice creation');
 
-            // Use provided ANAF service or instance service
-            const anafServiceToUse = anafService || this.anafService;
-
-            // Transform order to Oblio invoice format
-            let invoiceData;
-            if (anafServiceToUse) {
-                // Use ANAF enrichment for automatic B2B company detection
-                invoiceData = await transformOrderWithAnafEnrichment(
-                    order,
-                    this._transformShopifyOrderToOblioInvoice.bind(this),
-                    anafServiceToUse,
-                    customClient,
-                    invoiceOptions
-                );
-            } else {
-                // Direct transformation without ANAF enrichment
-                invoiceData = this._transformShopifyOrderToOblioInvoice(
-                    order, 
-                    customClient, 
-                    invoiceOptions
-                );
-            }
-
-            // Validate invoice data
-            this._validateInvoiceData(invoiceData, order);
-
-            // Clean the payload
-            const cleanedInvoiceData = this._sanitizeOblioPayload(invoiceData);
+            const { invoiceData, cleanedInvoiceData, reconciliation } = await this._prepareInvoiceData({
+                order,
+                invoiceOptions,
+                customClient,
+                anafService
+            });
 
             logger.info({
                 orderId: order.id,
@@ -87,13 +84,15 @@ export class CreateInvoiceAction {
                     series: oblioResponse.data?.seriesName || invoiceData.seriesName,
                     url: oblioResponse.data?.link || this._constructInvoiceUrl(oblioResponse.data),
                     total: this._calculateInvoiceTotal(invoiceData.products),
-                    currency: invoiceData.products?.[0]?.currency || 'RON',
+                    currency: invoiceData.currency,
+                    exchangeRate: invoiceData.exchangeRate,
                     issueDate: invoiceData.issueDate,
                     clientName: invoiceData.client?.name,
                     clientCif: invoiceData.client?.cif
                 },
                 oblioResponse: oblioResponse.data,
-                invoiceData: cleanedInvoiceData
+                invoiceData: cleanedInvoiceData,
+                reconciliation
             };
 
             logger.info({
@@ -119,233 +118,225 @@ export class CreateInvoiceAction {
                 error: error.message,
                 details: error.response?.data || error.details,
                 statusCode: error.response?.status,
-                retryable: this._isRetryableError(error)
+                errorType: error.errorType,
+                retryable: error.retryable ?? this._isRetryableError(error)
             };
         }
     }
 
     /**
-     * Transform Shopify order to Oblio invoice format
-     * Enhanced version of the original method with extension support
+     * Build, validate and sanitize the Oblio payload for an order
+     * @param {Object} params.order - Source order (REST or GraphQL), used for logging and validation
+     * @param {Object} params.orderModel - Canonical order, built from the REST order when omitted
      * @private
      */
-    _transformShopifyOrderToOblioInvoice(order, customClient = null, invoiceOptions = {}) {
-        const companyCif = process.env.OBLIO_COMPANY_CIF;
-        
-        // Build products array from line items
-        let products = this._buildProductsFromLineItems(order, invoiceOptions);
+    async _prepareInvoiceData({ order, orderModel = null, invoiceOptions = {}, customClient = null, anafService = null }) {
+        const canonicalOrder = orderModel || fromRestOrder(order);
 
-        // Add shipping if exists and not excluded
-        if (!invoiceOptions.excludeShipping && order.shipping_lines?.length > 0) {
-            products = products.concat(this._buildShippingProducts(order));
+        // Bundles -> component lines, then Shopify SKUs -> Oblio product codes
+        this.bundleService.expandOrder(canonicalOrder);
+        await this._applyProductCodes(canonicalOrder);
+
+        // Lines take their stock from the management of the location that fulfilled them
+        canonicalOrder.lineItems.forEach(item => {
+            item.management = this.locationMappingService.getManagement(item.locationId);
+        });
+
+        // Series, language, email, stock and mentions from the invoice rules;
+        // options passed explicitly take precedence
+        invoiceOptions = this._applyInvoiceRules(canonicalOrder, invoiceOptions, customClient);
+
+        // Use provided ANAF service or instance service
+        const anafServiceToUse = anafService || this.anafService;
+
+        // Transform order to Oblio invoice format
+        let invoiceData;
+        if (anafServiceToUse) {
+            // Use ANAF enrichment for automatic B2B company detection
+            invoiceData = await transformOrderWithAnafEnrichment(
+                canonicalOrder,
+                this._transformOrderToOblioInvoice.bind(this),
+                anafServiceToUse,
+                customClient,
+                invoiceOptions
+            );
+        } else {
+            // Direct transformation without ANAF enrichment
+            invoiceData = this._transformOrderToOblioInvoice(
+                canonicalOrder, 
+                customClient, 
+                invoiceOptions
+            );
         }
 
-        // Filter valid products
-        products = this._filterValidProducts(products);
-
-        // Build client object - use custom client if provided, otherwise extract from order
-        const client = customClient || this._buildClientFromOrder(order);
-
-        // Build base invoice data
-        const invoiceData = {
-            cif: companyCif,
-            client,
-            seriesName: invoiceOptions.seriesName || process.env.OBLIO_INVOICE_SERIES || 'PRS',
-            issueDate: invoiceOptions.issueDate || new Date().toISOString().split('T')[0],
-            language: invoiceOptions.language || 'RO',
-            mentions: invoiceOptions.mentions || `Factura emisa pentru comanda ${order.name || order.order_number}`,
-            sendEmail: invoiceOptions.sendEmail !== undefined ? invoiceOptions.sendEmail : 1,
-            useStock: invoiceOptions.useStock !== undefined ? invoiceOptions.useStock : 1,
-            products
-        };
+        // Foreign-currency orders carry the BNR rate of the issue date
+        await this.exchangeRateService.applyToDocument(invoiceData, canonicalOrder.currency);
 
-        // Add collection info for paid orders
-        if (invoiceOptions.markAsPaid || this._isOrderPaid(order)) {
-            const collectDate = invoiceOptions.collectDate || 
-                this._getOrderPaymentDate(order) || 
-                new Date().toISOString().split('T')[0];
+        // Validate invoice data
+        this._validateInvoiceData(invoiceData, order);
 
-            invoiceData.collectDate = collectDate;
-            invoiceData.collect = {
-                type: invoiceOptions.paymentMethod || 'Card',
-                documentNumber: String(order.order_number || order.name || order.id)
-            };
-        }
+        // Match the Shopify total (rounding line within tolerance, refused above it)
+        const reconciliation = this._reconcileTotal(invoiceData, canonicalOrder, invoiceOptions);
+
+        // Clean the payload
+        const cleanedInvoiceData = this._sanitizeOblioPayload(invoiceData);
 
-        return invoiceData;
+        return { invoiceData, cleanedInvoiceData, reconciliation };
     }
 
     /**
-     * Build products array from line items
+     * Merge the options chosen by the invoice rules under the explicit options
      * @private
      */
-    _buildProductsFromLineItems(order, invoiceOptions = {}) {
-        const products = [];
-        const selectedItems = invoiceOptions.selectedLineItems;
-
-        order.line_items.forEach(item => {
-            // Skip if specific items selected and this isn't one of them
-            if (selectedItems && !selectedItems.includes(item.id)) {
-                return;
-            }
+    _applyInvoiceRules(orderModel, invoiceOptions = {}, customClient = null) {
+        const { rules, ...ruleOptions } = this.invoiceRulesService.resolve(orderModel, { customClient });
+        if (rules.length === 0) return invoiceOptions;
 
-            // Calculate final quantity after refunds
-            const baseQty = item.quantity || 0;
-            const refundedQty = this._getRefundedQuantity(order, item.id);
-            const finalQty = Math.max(0, baseQty - refundedQty);
-
-            if (finalQty <= 0) return;
-
-            // Get VAT information
-            const vatInfo = this._extractVatInfo(item);
-            
-            // Add product
-            products.push({
-                name: item.title,
-                code: item.sku || item.barcode || String(item.id),
-                price: parseFloat(item.price),
-                quantity: finalQty,
-                measuringUnit: 'buc',
-                currency: order.currency,
-                productType: 'Marfa',
-                management: config.oblio.OBLIO_MANAGEMENT,
-                vatName: vatInfo.name,
-                vatPercentage: vatInfo.percentage,
-                vatIncluded: order.taxes_included ? 1 : 0
-            });
+        const explicitOptions = Object.fromEntries(
+            Object.entries(invoiceOptions).filter(([, value]) => value !== undefined && value !== null && value !== '')
+        );
 
-            // Add discount if exists
-            const itemDiscount = this._getItemDiscount(item);
-            if (itemDiscount > 0) {
-                products.push({
-                    name: `Discount ${item.title}`,
-                    discountType: 'valoric',
-                    discount: itemDiscount,
-                    discountAllAbove: 0
-                });
-            }
+        return { ...ruleOptions, ...explicitOptions };
+    }
+
+    /**
+     * Compare the Oblio invoice total (VAT included) with the Shopify order total.
+     * Differences within the tolerance get a rounding line, larger ones refuse the invoice.
+     * Partial invoices (selected items, no shipping) are not compared.
+     * @private
+     * @returns {Object|null} { invoiceTotal, shopifyTotal, difference, roundingAdjustment }
+     */
+    _reconcileTotal(invoiceData, orderModel, invoiceOptions = {}) {
+        if (invoiceOptions.selectedLineItems || invoiceOptions.excludeShipping || isNaN(orderModel.totalPrice)) {
+            return null;
+        }
+
+        const invoiceTotal = this._calculateInvoiceTotal(invoiceData.products);
+        const difference = Math.round((invoiceTotal - orderModel.totalPrice) * 100) / 100;
+        const { tolerance, roundingLineName } = config.invoiceTotals;
+
+        const reconciliation = {
+            invoiceTotal,
+            shopifyTotal: orderModel.totalPrice,
+            difference,
+            roundingAdjustment: 0
+        };
+
+        if (difference === 0) return reconciliation;
+
+        if (Math.abs(difference) > tolerance) {
+            logger.warn({
+                orderId: orderModel.id,
+                orderName: orderModel.name,
+                ...reconciliation,
+                tolerance
+            }, 'Invoice total differs from the Shopify order total, invoice refused');
+
+            const error = new Error(
+                `Invoice total ${invoiceTotal.toFixed(2)} ${orderModel.currency} differs from the Shopify order total ` +
+                `${orderModel.totalPrice.toFixed(2)} ${orderModel.currency} by ${difference.toFixed(2)} ` +
+                `(tolerance ${tolerance.toFixed(2)}). Check discounts, refunds and bundle prices.`
+            );
+            error.errorType = 'TOTAL_MISMATCH';
+            error.retryable = false;
+            error.details = reconciliation;
+            throw error;
+        }
+
+        // Rounding line carries the VAT of the last product, amount VAT included
+        const lastProduct = [...invoiceData.products].reverse().find(product => !product.discountType);
+        invoiceData.products.push({
+            name: roundingLineName,
+            price: -difference,
+            quantity: 1,
+            measuringUnit: 'buc',
+            currency: lastProduct?.currency || orderModel.currency,
+            productType: 'Serviciu',
+            vatName: lastProduct?.vatName,
+            vatPercentage: lastProduct?.vatPercentage,
+            vatIncluded: 1
         });
 
-        return products;
+        reconciliation.roundingAdjustment = -difference;
+
+        logger.info({
+            orderId: orderModel.id,
+            orderName: orderModel.name,
+            ...reconciliation
+        }, 'Rounding line added to match the Shopify order total');
+
+        return reconciliation;
     }
 
     /**
-     * Build shipping products
+     * Set the Oblio product code of the invoiced line items, reporting unmapped SKUs
      * @private
      */
-    _buildShippingProducts(order) {
-        const shippingProducts = [];
-        
-        order.shipping_lines.forEach(shipping => {
-            const shippingPrice = parseFloat(shipping.discounted_price ?? shipping.price);
-            if (!isNaN(shippingPrice) && shippingPrice > 0) {
-                shippingProducts.push({
-                    name: shipping.title || 'Transport',
-                    price: shippingPrice,
-                    quantity: 1,
-                    measuringUnit: 'buc',
-                    currency: order.currency,
-                    productType: 'Serviciu',
-                    management: config.oblio.OBLIO_MANAGEMENT
-                });
+    async _applyProductCodes(orderModel) {
+        const unmapped = [];
+
+        orderModel.lineItems.forEach(item => {
+            if (!item.sku || item.quantity - item.refundedQuantity <= 0) return;
+
+            const productCode = this.skuMappingService.toOblioCode(item.sku);
+            if (productCode) {
+                item.productCode = productCode;
+            } else {
+                unmapped.push(item.sku);
             }
         });
 
-        return shippingProducts;
+        if (unmapped.length === 0) return;
+
+        await this.skuMappingService.reportUnmapped(unmapped, {
+            source: 'invoice',
+            reference: orderModel.name || orderModel.id
+        });
+
+        if (config.skuMapping.strict) {
+            const error = new Error(`No Oblio product code for SKU: ${unmapped.join(', ')}`);
+            error.details = { unmappedSkus: unmapped };
+            throw error;
+        }
+    }
+
+    /**
+     * Transform a canonical order to Oblio invoice format
+     * @private
+     */
+    _transformOrderToOblioInvoice(orderModel, customClient = null, invoiceOptions = {}) {
+        return buildOblioInvoice(orderModel, { customClient, invoiceOptions });
     }
 
     /**
-     * Build client object from order
+     * Build client object from a REST order
      * @private
      */
     _buildClientFromOrder(order) {
-        // Build address
-        const billingAddr = order.billing_address ? formatRomanianAddress(order.billing_address) : null;
-        const shippingAddr = !billingAddr && order.shipping_address ? formatRomanianAddress(order.shipping_address) : null;
-        const addr = billingAddr || shippingAddr || { street: '', city: '', state: '', zip: '', country: 'România' };
-        const singleLineAddress = [addr.street, addr.zip, addr.country].filter(Boolean).join(', ');
-
-        return {
-            name: (order.billing_address?.company && (getCompanyNameFromOrder(order) || order.billing_address.company))
-                || `${order.billing_address?.first_name || ''} ${order.billing_address?.last_name || ''}`.trim()
-                || order.customer?.email,
-            code: String(order.customer?.id || order.customer?.email || order.id),
-            address: singleLineAddress,
-            state: addr.state,
-            city: addr.city,
-            country: addr.country,
-            iban: '',
-            bank: '',
-            email: order.customer?.email || '',
-            phone: order.billing_address?.phone || order.shipping_address?.phone || '',
-            contact: `${order.billing_address?.first_name || ''} ${order.billing_address?.last_name || ''}`.trim()
-        };
+        return buildOblioClient(fromRestOrder(order));
     }
 
     /**
-     * Helper methods for data extraction
+     * Helper methods for REST line items
      * @private
      */
     _getRefundedQuantity(order, lineItemId) {
-        return (order.refunds || []).reduce((acc, refund) => {
-            const match = (refund.refund_line_items || []).find(rli => rli?.line_item?.id === lineItemId);
-            return acc + (match?.quantity || 0);
-        }, 0);
+        return getRefundedQuantity(order, lineItemId);
     }
 
     _extractVatInfo(item) {
-        let vatPercentage = 21; // Default Romanian standard rate
-        let vatName = 'Normala';
-        
-        if (item.tax_lines && item.tax_lines.length > 0) {
-            const taxRate = item.tax_lines[0].rate;
-            vatPercentage = Math.round(taxRate * 100);
-            
-            if (vatPercentage === 21) {
-                vatName = 'Normala';
-            } else if (vatPercentage === 11) {
-                vatName = 'Redusa';
-            } else if (vatPercentage === 0) {
-                vatName = 'SFDD';
-            }
-        }
-
-        return { percentage: vatPercentage, name: vatName };
-    }
-
-    _getItemDiscount(item) {
-        if (!Array.isArray(item.discount_allocations)) return 0;
-        
-        return item.discount_allocations.reduce((sum, alloc) => {
-            return sum + (parseFloat(alloc.amount) || 0);
-        }, 0);
+        return getVatInfo(item.tax_lines?.[0]?.rate ?? null);
     }
 
     _isOrderPaid(order) {
         return (order.financial_status || '').toLowerCase() === 'paid';
     }
 
-    _getOrderPaymentDate(order) {
-        return (order.processed_at || order.closed_at || order.updated_at || new Date().toISOString()).split('T')[0];
-    }
-
-    _filterValidProducts(products) {
-        return products.filter(p => {
-            const validProduct = p && typeof p.price === 'number' && !isNaN(p.price) && p.quantity > 0;
-            const validDiscount = p && typeof p.discount === 'number' && !isNaN(p.discount) && p.discount > 0;
-            return validProduct || validDiscount;
-        });
-    }
-
     _calculateInvoiceTotal(products) {
         if (!products || !Array.isArray(products)) return 0;
         
-        return products.reduce((total, product) => {
-            if (product.discount) {
-                return total - product.discount; // Subtract discounts
-            }
-            return total + (product.price * product.quantity);
-        }, 0);
+        // VAT included, discounts subtracted
+        return calculateInvoiceTotal(products);
     }
 
     _validateInvoiceData(invoiceData, order) {
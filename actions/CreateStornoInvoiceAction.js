@@ -0,0 +1,417 @@
+import ShopifyService from '../services/ShopifyService.js';
+import { CreateInvoiceAction } from './CreateInvoiceAction.js';
+import { logger, getInvoiceFromOrder, getOrderAttribute, getFulfillmentLocationId, fromRestOrder } from '../utils/index.js';
+import config from '../config/AppConfig.js';
+
+/**
+ * Action: Create Storno Invoice
+ *
+ * Issues an Oblio storno (credit note) for a Shopify refund created after
+ * the original invoice. Full refunds reverse the whole invoice through
+ * referenceDocument, partial refunds get negative lines for the refunded
+ * items and shipping only.
+ *
+ * Single Responsibility: Storno creation for refunded orders
+ */
+export class CreateStornoInvoiceAction extends CreateInvoiceAction {
+    constructor(oblioService = null, shopifyService = null) {
+        super(oblioService);
+        // Allow dependency injection for testing
+        this.shopifyService = shopifyService || new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+    }
+
+    /**
+     * Execute storno creation for a Shopify refund
+     * @param {Object} params - Storno parameters
+     * @param {Object} params.refund - Shopify refund (refunds/create webhook payload)
+     * @param {Object} params.order - Full Shopify order (fetched when not provided)
+     * @returns {Promise<Object>} Storno creation result
+     */
+    async execute({ refund, order = null }) {
+        const orderId = refund.order_id;
+
+        try {
+            logger.info({ orderId, refundId: refund.id }, 'Starting storno creation for refund');
+
+            const fullOrder = order || await this.shopifyService.getOrderDetails(orderId);
+
+            const originalInvoice = getInvoiceFromOrder(fullOrder);
+            if (!originalInvoice) {
+                logger.info({ orderId, refundId: refund.id }, 'Order has no invoice, storno not needed');
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order has no invoice'
+                };
+            }
+
+            // Cancelled orders are reversed by CancelInvoiceAction (orders/cancelled webhook)
+            if (fullOrder.cancelled_at) {
+                logger.info({ orderId, refundId: refund.id }, 'Order is cancelled, storno handled by cancellation flow');
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order cancelled'
+                };
+            }
+
+            if (this._getProcessedRefundIds(fullOrder).includes(String(refund.id))) {
+                logger.info({ orderId, refundId: refund.id }, 'Refund already has a storno, skipping');
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Refund already processed'
+                };
+            }
+
+            const isFullRefund = this._isFullRefund(fullOrder, refund);
+            const stornoDocuments = isFullRefund
+                ? [this._buildFullStornoData(fullOrder, originalInvoice)]
+                : await this._buildPartialStornoDocuments(fullOrder, refund, originalInvoice);
+
+            if (stornoDocuments.length === 0) {
+                logger.info({ orderId, refundId: refund.id }, 'Refund has no invoiced lines or shipping, storno not needed');
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Nothing to reverse'
+                };
+            }
+
+            const [firstDocument, ...otherDocuments] = stornoDocuments;
+            const result = await this._issueStorno(fullOrder, firstDocument, originalInvoice, isFullRefund);
+            result.refundId = String(refund.id);
+            result.additionalStornos = [];
+
+            // The refund counts as processed once a storno exists; a failed second
+            // document is reported instead of retried, so the first is not issued twice
+            for (const stornoData of otherDocuments) {
+                try {
+                    const additional = await this._issueStorno(fullOrder, stornoData, originalInvoice, false);
+                    result.additionalStornos.push(additional.storno);
+                } catch (error) {
+                    logger.error({
+                        orderId,
+                        refundId: refund.id,
+                        error: error.message,
+                        oblioError: error.response?.data
+                    }, 'Failed to create additional storno for refund');
+                    result.partialError = {
+                        error: error.message,
+                        details: error.response?.data,
+                        statusCode: error.response?.status
+                    };
+                    break;
+                }
+            }
+
+            return result;
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                refundId: refund.id,
+                error: error.message,
+                oblioError: error.response?.data,
+                statusCode: error.response?.status
+            }, 'Failed to create storno');
+
+            return {
+                success: false,
+                error: error.message,
+                details: error.response?.data || error.details,
+                statusCode: error.response?.status,
+                retryable: this._isRetryableError(error)
+            };
+        }
+    }
+
+    /**
+     * Reverse the whole invoice of an order (used when cancelling an order)
+     * @param {Object} params - Storno parameters
+     * @param {Object} params.order - Shopify order
+     * @param {Object} params.originalInvoice - Invoice to reverse ({ number, series })
+     * @returns {Promise<Object>} Storno result
+     */
+    async createFullStorno({ order, originalInvoice }) {
+        const stornoData = this._buildFullStornoData(order, originalInvoice);
+        return this._issueStorno(order, stornoData, originalInvoice, true);
+    }
+
+    /**
+     * Send storno to Oblio and build the result
+     * @private
+     */
+    async _issueStorno(order, stornoData, originalInvoice, isFullRefund) {
+        const cleanedStornoData = this._sanitizeOblioPayload(stornoData);
+
+        logger.info({
+            orderId: order.id,
+            originalInvoice: `${originalInvoice.series}${originalInvoice.number}`,
+            full: isFullRefund,
+            productsCount: cleanedStornoData.products?.length || 0
+        }, 'Storno data prepared, creating with Oblio');
+
+        const oblioResponse = await this.oblioService.createStornoInvoice(cleanedStornoData);
+        const seriesName = oblioResponse.data?.seriesName || originalInvoice.series;
+
+        const result = {
+            success: true,
+            storno: {
+                number: oblioResponse.data?.number,
+                series: seriesName,
+                url: oblioResponse.data?.link || this._constructInvoiceUrl({
+                    seriesName,
+                    number: oblioResponse.data?.number
+                }),
+                total: isFullRefund ? null : this._calculateInvoiceTotal(stornoData.products),
+                issueDate: stornoData.issueDate,
+                full: isFullRefund
+            },
+            originalInvoice,
+            oblioResponse: oblioResponse.data
+        };
+
+        logger.info({
+            orderId: order.id,
+            stornoNumber: result.storno.number,
+            stornoUrl: result.storno.url
+        }, 'Storno created successfully');
+
+        return result;
+    }
+
+    /**
+     * Refund IDs that already received a storno
+     * @private
+     */
+    _getProcessedRefundIds(order) {
+        const value = getOrderAttribute(order, 'STORNO_REFUND_IDS');
+        return value ? value.split(',').map(id => id.trim()).filter(Boolean) : [];
+    }
+
+    /**
+     * A refund is full when it is the only one and covers every line and the shipping
+     * @private
+     */
+    _isFullRefund(order, refund) {
+        const otherRefunds = (order.refunds || []).filter(r => String(r.id) !== String(refund.id));
+        if (otherRefunds.length > 0) return false;
+
+        const orderWithRefund = { ...order, refunds: [refund] };
+        const allLinesRefunded = (order.line_items || []).every(item =>
+            this._getRefundedQuantity(orderWithRefund, item.id) >= (item.quantity || 0)
+        );
+
+        const shippingCharged = (order.shipping_lines || []).reduce((sum, shipping) =>
+            sum + (parseFloat(shipping.discounted_price ?? shipping.price) || 0), 0);
+
+        return allLinesRefunded && (shippingCharged === 0 || this._getRefundedShipping(refund) >= shippingCharged);
+    }
+
+    /**
+     * Full storno: Oblio reverses the referenced invoice
+     * @private
+     */
+    _buildFullStornoData(order, originalInvoice) {
+        return {
+            cif: process.env.OBLIO_COMPANY_CIF,
+            seriesName: originalInvoice.series,
+            issueDate: new Date().toISOString().split('T')[0],
+            mentions: `Storno factura ${originalInvoice.series} ${originalInvoice.number} pentru comanda ${order.name || order.order_number}`,
+            ...this._resolveStornoOptions(order),
+            referenceDocument: {
+                type: 'Factura',
+                seriesName: originalInvoice.series,
+                number: originalInvoice.number
+            }
+        };
+    }
+
+    /**
+     * Partial storno: negative lines for refunded items and shipping
+     * Oblio sets useStock per document, so restocked lines and the rest
+     * (lines kept by the customer, shipping) go on separate documents
+     * @private
+     */
+    async _buildPartialStornoDocuments(order, refund, originalInvoice) {
+        const restockedProducts = [];
+        const otherProducts = [];
+        const lineItems = order.line_items || [];
+
+        (refund.refund_line_items || []).forEach(refundLine => {
+            const item = refundLine.line_item || lineItems.find(li => li.id === refundLine.line_item_id);
+            const quantity = refundLine.quantity || 0;
+            if (!item || quantity <= 0) return;
+
+            // Refund subtotal is already net of line discounts
+            const subtotal = parseFloat(refundLine.subtotal);
+            const unitPrice = !isNaN(subtotal) ? subtotal / quantity : parseFloat(item.price);
+            const vatInfo = this._extractVatInfo(item);
+
+            // Back into the management of the restock location, or of the location that shipped it
+            const management = this.locationMappingService.getManagement(
+                refundLine.location_id || getFulfillmentLocationId(order, item.id)
+            );
+
+            // Only restocked lines go back into Oblio stock
+            const restocked = refundLine.restock_type && refundLine.restock_type !== 'no_restock';
+            const products = restocked ? restockedProducts : otherProducts;
+
+            // Expanded bundles are reversed component by component, like they were invoiced
+            const bundle = this.bundleService.get(item.sku);
+            const lines = bundle && this.bundleService.getInvoiceMode(bundle) === 'expand'
+                ? this.bundleService.splitLine(bundle, { title: item.title, quantity, unitPrice })
+                : [{ sku: item.sku, title: item.title, quantity, unitPrice }];
+
+            lines.forEach(line => {
+                products.push({
+                    name: line.title,
+                    code: line.correction ? null : (this.skuMappingService.toOblioCode(line.sku) || line.sku || item.barcode || String(item.id)),
+                    price: Math.round(line.unitPrice * 100) / 100,
+                    quantity: -line.quantity,
+                    measuringUnit: 'buc',
+                    currency: order.currency,
+                    productType: line.correction ? 'Serviciu' : 'Marfa',
+                    management,
+                    vatName: vatInfo.name,
+                    vatPercentage: vatInfo.percentage,
+                    vatIncluded: order.taxes_included ? 1 : 0
+                });
+            });
+        });
+
+        const refundedShipping = this._getRefundedShipping(refund);
+        if (refundedShipping > 0) {
+            const shippingLine = order.shipping_lines?.[0] || {};
+            const vatInfo = this._extractVatInfo(shippingLine);
+
+            // Shipping does not touch stock, avoid a second document just for it
+            const products = restockedProducts.length > 0 && otherProducts.length === 0 ? restockedProducts : otherProducts;
+            products.push({
+                name: shippingLine.title || 'Transport',
+                price: refundedShipping,
+                quantity: -1,
+                measuringUnit: 'buc',
+                currency: order.currency,
+                productType: 'Serviciu',
+                management: config.oblio.OBLIO_MANAGEMENT,
+                vatName: vatInfo.name,
+                vatPercentage: vatInfo.percentage,
+                vatIncluded: order.taxes_included ? 1 : 0
+            });
+        }
+
+        const documentOptions = {
+            client: await this._getOriginalClient(order, originalInvoice),
+            ...this._resolveStornoOptions(order)
+        };
+        const documents = [];
+
+        for (const [products, useStock] of [[restockedProducts, 1], [otherProducts, 0]]) {
+            if (products.length === 0) continue;
+            documents.push(await this._buildPartialStornoDocument(order, originalInvoice, documentOptions, products, useStock));
+        }
+
+        return documents;
+    }
+
+    /**
+     * One partial storno document, converted at the rate of the original invoice
+     * @private
+     */
+    async _buildPartialStornoDocument(order, originalInvoice, documentOptions, products, useStock) {
+        const stornoData = {
+            cif: process.env.OBLIO_COMPANY_CIF,
+            seriesName: originalInvoice.series,
+            issueDate: new Date().toISOString().split('T')[0],
+            mentions: `Storno partial factura ${originalInvoice.series} ${originalInvoice.number} pentru comanda ${order.name || order.order_number}`,
+            ...documentOptions,
+            useStock,
+            products
+        };
+
+        const originalRate = parseFloat(getOrderAttribute(order, 'INVOICE_EXCHANGE_RATE'));
+        if (originalRate) {
+            // Reversed lines are converted at the rate of the original invoice
+            return {
+                ...stornoData,
+                currency: order.currency,
+                exchangeCurrency: config.bnr.localCurrency,
+                exchangeRate: originalRate
+            };
+        }
+
+        return this.exchangeRateService.applyToDocument(stornoData, order.currency);
+    }
+
+    /**
+     * Language and email of the storno follow the invoice rules of the order
+     * The series stays the one of the original invoice and stock follows the refund
+     * @private
+     */
+    _resolveStornoOptions(order) {
+        const { language, sendEmail } = this.invoiceRulesService.resolve(fromRestOrder(order));
+
+        return {
+            language: language || 'RO',
+            sendEmail: sendEmail ?? 1
+        };
+    }
+
+    /**
+     * Refunded shipping amount (refund_shipping_lines or legacy shipping_refund adjustments)
+     * @private
+     */
+    _getRefundedShipping(refund) {
+        if (Array.isArray(refund.refund_shipping_lines) && refund.refund_shipping_lines.length > 0) {
+            return refund.refund_shipping_lines.reduce((sum, line) =>
+                sum + (parseFloat(line.subtotal_amount_set?.shop_money?.amount) || 0), 0);
+        }
+
+        return (refund.order_adjustments || [])
+            .filter(adjustment => adjustment.kind === 'shipping_refund')
+            .reduce((sum, adjustment) => sum + Math.abs(parseFloat(adjustment.amount) || 0), 0);
+    }
+
+    /**
+     * Prefer the client from the original Oblio invoice (may be ANAF-enriched)
+     * @private
+     */
+    async _getOriginalClient(order, originalInvoice) {
+        try {
+            const response = await this.oblioService.getInvoice(
+                process.env.OBLIO_COMPANY_CIF,
+                originalInvoice.series,
+                originalInvoice.number
+            );
+            const client = response.data?.client;
+            if (client?.name) {
+                return {
+                    name: client.name,
+                    cif: client.cif,
+                    rc: client.rc,
+                    address: client.address,
+                    state: client.state,
+                    city: client.city,
+                    country: client.country,
+                    email: client.email,
+                    phone: client.phone
+                };
+            }
+        } catch (error) {
+            logger.warn({
+                orderId: order.id,
+                invoice: `${originalInvoice.series}${originalInvoice.number}`,
+                error: error.message
+            }, 'Could not load original invoice client, building from order');
+        }
+
+        return this._buildClientFromOrder(order);
+    }
+}
+
+export default CreateStornoInvoiceAction;
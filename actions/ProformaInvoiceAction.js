@@ -0,0 +1,231 @@
+import { CreateInvoiceAction } from './CreateInvoiceAction.js';
+import { logger, getOrderAttribute, fromRestOrder } from '../utils/index.js';
+import config from '../config/AppConfig.js';
+
+/**
+ * Action: Proforma Invoice
+ *
+ * Issues an Oblio proforma for orders paid by bank transfer and converts it
+ * into the final invoice once the order is marked as paid.
+ *
+ * Single Responsibility: Proforma lifecycle for bank-transfer orders
+ */
+export class ProformaInvoiceAction extends CreateInvoiceAction {
+    /**
+     * Execute proforma creation
+     * @param {Object} params - Proforma parameters
+     * @param {Object} params.order - Shopify order (orders/create webhook payload)
+     * @returns {Promise<Object>} Proforma creation result
+     */
+    async execute({ order, anafService = null }) {
+        try {
+            if (!this.requiresProforma(order)) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order is not paid by bank transfer'
+                };
+            }
+
+            if (getOrderAttribute(order, 'PROFORMA_NUMBER')) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Proforma already issued'
+                };
+            }
+
+            logger.info({
+                orderId: order.id,
+                orderName: order.name,
+                gateways: order.payment_gateway_names
+            }, 'Starting proforma creation');
+
+            const { invoiceData, cleanedInvoiceData } = await this._prepareInvoiceData({
+                order,
+                invoiceOptions: {
+                    seriesName: config.oblio.OBLIO_PROFORMA_SERIES || 'PRO',
+                    mentions: `Proforma emisa pentru comanda ${order.name || order.order_number}`
+                },
+                anafService
+            });
+
+            // Proformas neither consume stock nor carry a payment
+            const { useStock, collect, collectDate, ...proformaData } = cleanedInvoiceData;
+            proformaData.dueDate = this._getDueDate(proformaData.issueDate);
+
+            const oblioResponse = await this.oblioService.createProforma(proformaData);
+
+            const result = {
+                success: true,
+                proforma: {
+                    number: oblioResponse.data?.number,
+                    series: oblioResponse.data?.seriesName || proformaData.seriesName,
+                    url: oblioResponse.data?.link || this._constructProformaUrl(oblioResponse.data, proformaData.seriesName),
+                    total: this._calculateInvoiceTotal(invoiceData.products),
+                    currency: invoiceData.currency,
+                    exchangeRate: invoiceData.exchangeRate,
+                    issueDate: proformaData.issueDate,
+                    dueDate: proformaData.dueDate
+                },
+                oblioResponse: oblioResponse.data
+            };
+
+            logger.info({
+                orderId: order.id,
+                proformaNumber: result.proforma.number,
+                proformaUrl: result.proforma.url
+            }, 'Proforma created successfully');
+
+            return result;
+
+        } catch (error) {
+            logger.error({
+                orderId: order.id,
+                error: error.message,
+                oblioError: error.response?.data,
+                statusCode: error.response?.status
+            }, 'Failed to create proforma');
+
+            return {
+                success: false,
+                error: error.message,
+                details: error.response?.data || error.details,
+                statusCode: error.response?.status,
+                retryable: this._isRetryableError(error)
+            };
+        }
+    }
+
+    /**
+     * Convert the order proforma into the final invoice
+     * @param {Object} params - Conversion parameters
+     * @param {Object} params.order - Shopify order (orders/paid webhook payload)
+     * @returns {Promise<Object>} Invoice result (same shape as CreateInvoiceAction)
+     */
+    async convertToInvoice({ order }) {
+        try {
+            const proformaNumber = getOrderAttribute(order, 'PROFORMA_NUMBER');
+            const proformaSeries = getOrderAttribute(order, 'PROFORMA_SERIES');
+
+            if (!proformaNumber) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order has no proforma'
+                };
+            }
+
+            const tags = order.tags ? order.tags.split(', ') : [];
+            if (tags.includes('oblio-invoiced')) {
+                return {
+                    success: true,
+                    skipped: true,
+                    reason: 'Order already invoiced'
+                };
+            }
+
+            logger.info({
+                orderId: order.id,
+                proforma: `${proformaSeries}${proformaNumber}`
+            }, 'Converting proforma to invoice');
+
+            // The final invoice follows the invoice rules like a direct one
+            const { rules, ...ruleOptions } = this.invoiceRulesService.resolve(fromRestOrder(order));
+
+            const issueDate = new Date().toISOString().split('T')[0];
+            const invoiceData = {
+                cif: process.env.OBLIO_COMPANY_CIF,
+                seriesName: ruleOptions.seriesName || process.env.OBLIO_INVOICE_SERIES || 'PRS',
+                issueDate,
+                language: ruleOptions.language || 'RO',
+                sendEmail: ruleOptions.sendEmail ?? 1,
+                useStock: ruleOptions.useStock ?? 1,
+                referenceDocument: {
+                    type: 'Proforma',
+                    seriesName: proformaSeries,
+                    number: proformaNumber
+                },
+                collectDate: issueDate,
+                collect: {
+                    type: 'Ordin de plata',
+                    documentNumber: String(order.order_number || order.name || order.id)
+                }
+            };
+
+            // The invoice is converted at the BNR rate of its own issue date
+            await this.exchangeRateService.applyToDocument(invoiceData, order.currency);
+
+            const oblioResponse = await this.oblioService.createInvoice(invoiceData);
+
+            const result = {
+                success: true,
+                invoice: {
+                    number: oblioResponse.data?.number,
+                    series: oblioResponse.data?.seriesName || invoiceData.seriesName,
+                    url: oblioResponse.data?.link || this._constructInvoiceUrl(oblioResponse.data),
+                    total: parseFloat(order.total_price) || 0,
+                    currency: invoiceData.currency,
+                    exchangeRate: invoiceData.exchangeRate,
+                    issueDate
+                },
+                proforma: {
+                    number: proformaNumber,
+                    series: proformaSeries
+                },
+                oblioResponse: oblioResponse.data,
+                invoiceData
+            };
+
+            logger.info({
+                orderId: order.id,
+                invoiceNumber: result.invoice.number,
+                proformaNumber
+            }, 'Proforma converted to invoice');
+
+            return result;
+
+        } catch (error) {
+            logger.error({
+                orderId: order.id,
+                error: error.message,
+                oblioError: error.response?.data,
+                statusCode: error.response?.status
+            }, 'Failed to convert proforma to invoice');
+
+            return {
+                success: false,
+                error: error.message,
+                details: error.response?.data || error.details,
+                statusCode: error.response?.status,
+                retryable: this._isRetryableError(error)
+            };
+        }
+    }
+
+    /**
+     * Check if the order is an unpaid bank-transfer order
+     * @param {Object} order - Shopify order
+     * @returns {boolean}
+     */
+    requiresProforma(order) {
+        if (this._isOrderPaid(order)) return false;
+
+        const gateways = (order.payment_gateway_names || []).map(name => String(name).toLowerCase());
+        return gateways.some(name => config.oblio.proformaPaymentGateways.includes(name));
+    }
+
+    _getDueDate(issueDate) {
+        const dueDate = new Date(issueDate);
+        dueDate.setDate(dueDate.getDate() + config.oblio.proformaDueDays);
+        return dueDate.toISOString().split('T')[0];
+    }
+
+    _constructProformaUrl(oblioData, seriesName) {
+        if (!oblioData) return '';
+
+        return `https://www.oblio.eu/docs/proforma?cif=${process.env.OBLIO_COMPANY_CIF}&seriesName=${oblioData.seriesName || seriesName}&number=${oblioData.number}`;
+    }
+}
+
+export default ProformaInvoiceAction;
@@ -2,6 +2,7 @@ import { CreateInvoiceAction } from './CreateInvoiceAction.js';
 import { UpdateOrderInvoiceAction } from './UpdateOrderInvoiceAction.js';
 import { ValidateCompanyAction } from './ValidateCompanyAction.js';
 import { logger } from '../utils/index.js';
+import config from '../config/AppConfig.js';
 
 /**
  * Action: Retry Invoice
@@ -63,6 +64,7 @@ export class RetryInvoiceAction {
                     success: false,
                     skipped: true,
                     reason: retryEligibility.reason,
+                    alreadyInvoiced: !!retryEligibility.alreadyInvoiced,
                     retryAttempt,
                     finalFailure: retryAttempt >= maxRetries
                 };
@@ -143,6 +145,8 @@ export class RetryInvoiceAction {
                     success: false,
                     error: invoiceResult.error,
                     details: invoiceResult.details,
+                    statusCode: invoiceResult.statusCode,
+                    errorType: invoiceResult.errorType,
                     retryAttempt,
                     strategyUsed: retryStrategy.type,
                     retryable: retryAttempt < maxRetries && invoiceResult.retryable,
@@ -169,64 +173,13 @@ export class RetryInvoiceAction {
     }
 
     /**
-     * Process order update webhook for retry logic
-     * @param {Object} order - Updated Shopify order
-     * @returns {Promise<Object>} Processing result
+     * Strategy the next retry would use (see _determineRetryStrategy)
+     * @param {Object} previousError - Error of the last failed attempt
+     * @param {number} retryAttempt - Upcoming retry attempt number
+     * @returns {Object} Retry strategy
      */
-    async processOrderUpdateForRetry(order) {
-        try {
-            logger.info({
-                orderId: order.id,
-                orderName: order.name
-            }, 'Processing order update for invoice retry');
-
-            // Check if order has error tag and needs retry
-            const tags = order.tags ? order.tags.split(', ') : [];
-            const hasErrorTag = tags.some(tag => tag.includes('EROARE FACTURARE'));
-            const hasSuccessTag = tags.some(tag => 
-                tag.includes('oblio-invoiced') || 
-                tag.startsWith('FACTURA-')
-            );
-
-            if (!hasErrorTag) {
-                logger.debug({ orderId: order.id }, 'Order has no error tag, skipping retry');
-                return {
-                    success: true,
-                    skipped: true,
-                    reason: 'No error tag present'
-                };
-            }
-
-            if (hasSuccessTag) {
-                logger.debug({ orderId: order.id }, 'Order already has success tags, skipping retry');
-                return {
-                    success: true,
-                    skipped: true,
-                    reason: 'Already has success tags'
-                };
-            }
-
-            // Determine retry attempt number from tags
-            const retryAttempt = this._extractRetryAttemptFromTags(tags);
-
-            // Execute retry
-            return await this.execute({
-                order,
-                retryAttempt: retryAttempt + 1,
-                maxRetries: 3
-            });
-
-        } catch (error) {
-            logger.error({
-                orderId: order.id,
-                error: error.message
-            }, 'Failed to process order update for retry');
-
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    getRetryStrategy(previousError, retryAttempt) {
+        return this._determineRetryStrategy(previousError, retryAttempt);
     }
 
     /**
@@ -256,6 +209,7 @@ export class RetryInvoiceAction {
         if (invoiceStatus.hasInvoice && !invoiceStatus.hasError) {
             return {
                 canRetry: false,
+                alreadyInvoiced: true,
                 reason: 'Order already has successful invoice'
             };
         }
@@ -331,17 +285,22 @@ export class RetryInvoiceAction {
             };
         }
 
-        // Oblio API errors - use different series or options
+        // Oblio API errors - no stock, no email and the fallback series when one is configured
         if (statusCode === 400 || statusCode === 422) {
+            const fallbackSeries = config.invoiceRules.fallbackSeries;
+            if (fallbackSeries) {
+                logger.warn({ fallbackSeries }, 'Retrying invoice on the fallback series');
+            }
+
             return {
                 ...baseStrategy,
                 type: 'alternative_options',
                 invoiceOptions: {
-                    seriesName: 'FACT', // Alternative series
+                    ...(fallbackSeries && { seriesName: fallbackSeries }),
                     useStock: 0, // Don't use stock
                     sendEmail: 0 // Don't send email
                 },
-                modifications: ['alternative_series', 'disable_stock', 'disable_email']
+                modifications: [...(fallbackSeries ? ['alternative_series'] : []), 'disable_stock', 'disable_email']
             };
         }
 
@@ -406,29 +365,6 @@ export class RetryInvoiceAction {
         };
     }
 
-    /**
-     * Extract retry attempt number from order tags
-     * @private
-     */
-    _extractRetryAttemptFromTags(tags) {
-        let maxRetryAttempt = 0;
-        
-        tags.forEach(tag => {
-            if (tag.includes('error-') && tag.includes('-retry')) {
-                // Try to extract retry number if present
-                const match = tag.match(/retry(\d+)?$/);
-                if (match) {
-                    const retryNum = match[1] ? parseInt(match[1]) : 1;
-                    maxRetryAttempt = Math.max(maxRetryAttempt, retryNum);
-                } else {
-                    maxRetryAttempt = Math.max(maxRetryAttempt, 1);
-                }
-            }
-        });
-
-        return maxRetryAttempt;
-    }
-
     /**
      * Sleep utility for backoff
      * @private
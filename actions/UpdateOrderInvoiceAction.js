@@ -124,6 +124,11 @@ export class UpdateOrderInvoiceAction {
 
             const errorTags = ['EROARE FACTURARE', errorTag];
 
+            // Invoice refused because its total does not match the Shopify total
+            if (error.errorType === 'TOTAL_MISMATCH') {
+                errorTags.push('EROARE TOTAL');
+            }
+
             // Compose error message with proper error extraction
             const httpStatus = error.statusCode || error.response?.status;
             const statusMessage = error.details?.statusMessage || error.response?.data?.message;
@@ -181,6 +186,7 @@ export class UpdateOrderInvoiceAction {
             // Filter out error-related tags
             const cleanTags = existingTags.filter(tag => 
                 !tag.includes('EROARE FACTURARE') && 
+                tag !== 'EROARE TOTAL' &&
                 !tag.startsWith('error-')
             );
 
@@ -212,6 +218,422 @@ export class UpdateOrderInvoiceAction {
         }
     }
 
+    /**
+     * Store storno information next to the original invoice
+     * @param {Object} params - Storno update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async addStornoInfo({ orderId, stornoResult }) {
+        try {
+            logger.info({
+                orderId,
+                stornoNumber: stornoResult.storno?.number,
+                refundId: stornoResult.refundId
+            }, 'Updating order with storno information');
+
+            const existingAttributes = await this.shopifyService.getOrderCustomAttributes(orderId);
+            const processedRefunds = existingAttributes.find(attr => attr.key === 'STORNO_REFUND_IDS')?.value;
+            const refundIds = [...new Set([
+                ...(processedRefunds ? processedRefunds.split(',') : []),
+                stornoResult.refundId
+            ].filter(Boolean))];
+
+            const customAttributes = [
+                {
+                    key: 'STORNO_NUMBER',
+                    value: stornoResult.storno?.number || 'unknown'
+                },
+                {
+                    key: 'STORNO_SERIES',
+                    value: stornoResult.storno?.series || ''
+                },
+                {
+                    key: 'STORNO_URL',
+                    value: stornoResult.storno?.url || ''
+                },
+                {
+                    key: 'STORNO_ISSUE_DATE',
+                    value: stornoResult.storno?.issueDate || new Date().toISOString().split('T')[0]
+                },
+                {
+                    key: 'STORNO_REFUND_IDS',
+                    value: refundIds.join(',')
+                }
+            ];
+
+            // Partial refunds with restocked and kept lines get two stornos
+            const additionalStornos = stornoResult.additionalStornos || [];
+            if (additionalStornos.length > 0) {
+                customAttributes.push({
+                    key: 'STORNO_ADDITIONAL',
+                    value: additionalStornos.map(storno => `${storno.series} ${storno.number}`).join(', ')
+                });
+            }
+
+            const stornoTags = ['oblio-storno', `STORNO-${stornoResult.storno?.number || 'unknown'}`]
+                .concat(additionalStornos.map(storno => `STORNO-${storno.number}`));
+
+            const results = await Promise.allSettled([
+                this.shopifyService.mergeOrderCustomAttributes(orderId, customAttributes),
+                this._addTags(orderId, stornoTags)
+            ]);
+
+            const successCount = results.filter(r => r.status === 'fulfilled').length;
+
+            logger.info({
+                orderId,
+                stornoNumber: stornoResult.storno?.number,
+                successfulOperations: successCount
+            }, 'Order updated with storno information');
+
+            return {
+                success: successCount > 0,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                error: error.message
+            }, 'Failed to update order with storno information');
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Store proforma information on the order
+     * @param {Object} params - Proforma update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async addProformaInfo({ orderId, proformaResult }) {
+        try {
+            const { proforma } = proformaResult;
+
+            logger.info({
+                orderId,
+                proformaNumber: proforma?.number
+            }, 'Updating order with proforma information');
+
+            const customAttributes = [
+                { key: 'PROFORMA_NUMBER', value: proforma?.number || 'unknown' },
+                { key: 'PROFORMA_SERIES', value: proforma?.series || '' },
+                { key: 'PROFORMA_URL', value: proforma?.url || '' },
+                { key: 'PROFORMA_TOTAL', value: proforma?.total?.toString() || '0' },
+                { key: 'PROFORMA_ISSUE_DATE', value: proforma?.issueDate || new Date().toISOString().split('T')[0] },
+                { key: 'PROFORMA_DUE_DATE', value: proforma?.dueDate || '' }
+            ];
+
+            const results = await Promise.allSettled([
+                this.shopifyService.mergeOrderCustomAttributes(orderId, customAttributes),
+                this._addTags(orderId, ['oblio-proforma', `PROFORMA-${proforma?.number || 'unknown'}`])
+            ]);
+
+            const successCount = results.filter(r => r.status === 'fulfilled').length;
+
+            return {
+                success: successCount > 0,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                error: error.message
+            }, 'Failed to update order with proforma information');
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update order with error information when proforma creation or conversion fails
+     * @param {Object} params - Error update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async updateWithProformaError({ orderId, error, stage = 'create' }) {
+        const errorMessage = this._extractErrorMessage(error);
+        const httpStatus = error.statusCode || error.response?.status;
+        const prefix = stage === 'convert' ? 'Conversie proforma esuata' : 'Proforma esuata';
+        const composedMsg = `${prefix}: ${errorMessage}${httpStatus ? ` (HTTP ${httpStatus})` : ''}. Timestamp: ${new Date().toISOString()}`;
+
+        return this._updateWithDocumentError(orderId, 'EROARE PROFORMA', composedMsg);
+    }
+
+    /**
+     * Update order with error information when storno creation fails
+     * @param {Object} params - Error update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async updateWithStornoError({ orderId, refundId, error }) {
+        const errorMessage = this._extractErrorMessage(error);
+        const httpStatus = error.statusCode || error.response?.status;
+        const composedMsg = `Storno esuat pentru refund ${refundId}: ${errorMessage}${httpStatus ? ` (HTTP ${httpStatus})` : ''}. Timestamp: ${new Date().toISOString()}`;
+
+        return this._updateWithDocumentError(orderId, 'EROARE STORNO', composedMsg);
+    }
+
+    /**
+     * Replace invoice tags and attributes after the invoice was cancelled or reversed
+     * @param {Object} params - Cancellation update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async markInvoiceCancelled({ orderId, cancelResult }) {
+        try {
+            const { invoice, method, storno } = cancelResult;
+
+            logger.info({
+                orderId,
+                invoiceNumber: invoice?.number,
+                method
+            }, 'Updating order after invoice cancellation');
+
+            // Drop the active invoice attributes, keep a record of what was voided
+            const existingAttributes = await this.shopifyService.getOrderCustomAttributes(orderId);
+            const customAttributes = existingAttributes
+                .filter(attr => !attr.key.startsWith('INVOICE_'))
+                .concat([
+                    { key: 'CANCELLED_INVOICE_NUMBER', value: invoice?.number || 'unknown' },
+                    { key: 'CANCELLED_INVOICE_SERIES', value: invoice?.series || '' },
+                    { key: 'INVOICE_CANCEL_METHOD', value: method },
+                    { key: 'INVOICE_CANCELLED_AT', value: new Date().toISOString() }
+                ]);
+
+            if (storno) {
+                customAttributes.push(
+                    { key: 'STORNO_NUMBER', value: storno.number || 'unknown' },
+                    { key: 'STORNO_SERIES', value: storno.series || '' },
+                    { key: 'STORNO_URL', value: storno.url || '' },
+                    { key: 'STORNO_ISSUE_DATE', value: storno.issueDate || new Date().toISOString().split('T')[0] }
+                );
+            }
+
+            const replaceTags = async () => {
+                const order = await this.shopifyService.getOrder(orderId);
+                const currentTags = order.tags ? order.tags.split(', ') : [];
+                const keptTags = currentTags.filter(tag =>
+                    tag !== 'oblio-invoiced' &&
+                    tag !== 'INVOICE_CREATED' &&
+                    !tag.startsWith('FACTURA-')
+                );
+                const cancelTags = ['oblio-cancelled', `ANULATA-${invoice?.number || 'unknown'}`];
+                if (storno) {
+                    cancelTags.push('oblio-storno', `STORNO-${storno.number || 'unknown'}`);
+                }
+                await this.shopifyService.tagOrder(orderId, [...new Set([...keptTags, ...cancelTags])]);
+            };
+
+            const results = await Promise.allSettled([
+                this.shopifyService.updateOrderCustomAttributes(orderId, customAttributes),
+                replaceTags()
+            ]);
+
+            const successCount = results.filter(r => r.status === 'fulfilled').length;
+
+            logger.info({
+                orderId,
+                method,
+                successfulOperations: successCount
+            }, 'Order updated after invoice cancellation');
+
+            return {
+                success: successCount > 0,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                error: error.message
+            }, 'Failed to update order after invoice cancellation');
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update order with error information when invoice cancellation fails
+     * @param {Object} params - Error update parameters
+     * @returns {Promise<Object>} Update result
+     */
+    async updateWithCancellationError({ orderId, error }) {
+        const errorMessage = this._extractErrorMessage(error);
+        const httpStatus = error.statusCode || error.response?.status;
+        const composedMsg = `Anulare factura esuata: ${errorMessage}${httpStatus ? ` (HTTP ${httpStatus})` : ''}. Timestamp: ${new Date().toISOString()}`;
+
+        return this._updateWithDocumentError(orderId, 'EROARE ANULARE', composedMsg);
+    }
+
+    /**
+     * Store COD payout information after the invoice was collected
+     * @param {Object} params - Collection parameters
+     * @param {string} params.orderId - Shopify order ID
+     * @param {Object} params.collection - { awb, amount, payoutDate }
+     * @returns {Promise<Object>} Update result, tagged is false when the COD_COLLECTED tag was not set
+     */
+    async markCodCollected({ orderId, collection }) {
+        try {
+            const customAttributes = [
+                { key: 'COD_AWB', value: String(collection.awb) },
+                { key: 'COD_AMOUNT', value: collection.amount.toString() },
+                { key: 'COD_PAYOUT_DATE', value: collection.payoutDate || '' },
+                { key: 'COD_COLLECTED_AT', value: new Date().toISOString() }
+            ];
+
+            const results = await Promise.allSettled([
+                this.shopifyService.mergeOrderCustomAttributes(orderId, customAttributes),
+                this._addTags(orderId, ['COD_COLLECTED'])
+            ]);
+
+            const successCount = results.filter(r => r.status === 'fulfilled').length;
+
+            return {
+                success: successCount > 0,
+                tagged: results[1].status === 'fulfilled',
+                error: results.find(r => r.status === 'rejected')?.reason?.message,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                error: error.message
+            }, 'Failed to update order with COD collection');
+
+            return {
+                success: false,
+                tagged: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Store the e-Factura (SPV) status of the invoice on the order
+     * Rejected invoices get the invoice error tags and error metafield.
+     * @param {Object} params - Status parameters
+     * @param {string} params.orderId - Shopify order ID
+     * @param {Object} params.status - { state, message, uploadIndex, checkedAt }
+     * @returns {Promise<Object>} Update result
+     */
+    async updateWithEInvoiceStatus({ orderId, status }) {
+        try {
+            const metafields = [
+                {
+                    namespace: 'invoice',
+                    key: 'spv_status',
+                    value: status.state,
+                    type: 'single_line_text_field'
+                },
+                {
+                    namespace: 'invoice',
+                    key: 'spv_checked_at',
+                    value: status.checkedAt || new Date().toISOString(),
+                    type: 'date_time'
+                }
+            ];
+
+            if (status.message) {
+                metafields.push({
+                    namespace: 'invoice',
+                    key: 'spv_message',
+                    value: status.message,
+                    type: 'multi_line_text_field'
+                });
+            }
+
+            if (status.uploadIndex) {
+                metafields.push({
+                    namespace: 'invoice',
+                    key: 'spv_upload_index',
+                    value: String(status.uploadIndex),
+                    type: 'single_line_text_field'
+                });
+            }
+
+            const operations = [this.shopifyService.updateOrderMetafields(orderId, metafields)];
+
+            if (status.state === 'rejected') {
+                const composedMsg = `e-Factura respinsa de ANAF: ${status.message || 'motiv necunoscut'}. Timestamp: ${new Date().toISOString()}`;
+                operations.push(
+                    this._addErrorTags(orderId, ['EROARE FACTURARE', 'EROARE SPV', `error-${new Date().toISOString().split('T')[0]}`], true),
+                    this._setErrorMetafield(orderId, composedMsg)
+                );
+            }
+
+            const results = await Promise.allSettled(operations);
+            const successCount = results.filter(r => r.status === 'fulfilled').length;
+
+            logger.info({
+                orderId,
+                spvStatus: status.state,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            }, 'Order updated with e-Factura status');
+
+            return {
+                success: successCount > 0,
+                successfulOperations: successCount,
+                totalOperations: results.length
+            };
+
+        } catch (error) {
+            logger.error({
+                orderId,
+                spvStatus: status?.state,
+                error: error.message
+            }, 'Failed to update order with e-Factura status');
+
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Tag order and set error metafield for a failed follow-up document
+     * @private
+     */
+    async _updateWithDocumentError(orderId, errorTag, composedMsg) {
+        try {
+            const results = await Promise.allSettled([
+                this._addErrorTags(orderId, [errorTag], true),
+                this._setErrorMetafield(orderId, composedMsg)
+            ]);
+
+            return {
+                success: results.some(r => r.status === 'fulfilled'),
+                errorMessage: composedMsg
+            };
+
+        } catch (updateError) {
+            logger.error({
+                orderId,
+                errorTag,
+                updateError: updateError.message
+            }, 'Failed to update order with error information');
+
+            return {
+                success: false,
+                error: updateError.message
+            };
+        }
+    }
+
     /**
      * Update invoice metafields
      * @private
@@ -345,6 +767,14 @@ export class UpdateOrderInvoiceAction {
             }
         ];
 
+        // Foreign-currency invoices keep their BNR rate for later storno documents
+        if (invoiceResult.invoice?.exchangeRate) {
+            customAttributes.push({
+                key: 'INVOICE_EXCHANGE_RATE',
+                value: String(invoiceResult.invoice.exchangeRate)
+            });
+        }
+
         // Add client information if available
         if (invoiceResult.invoice?.clientName) {
             customAttributes.push({
@@ -360,7 +790,8 @@ export class UpdateOrderInvoiceAction {
             });
         }
 
-        await this.shopifyService.updateOrderCustomAttributes(orderId, customAttributes);
+        // Merge so shipping and proforma attributes set earlier are kept
+        await this.shopifyService.mergeOrderCustomAttributes(orderId, customAttributes);
         logger.info({ 
             orderId, 
             attributeCount: customAttributes.length,
@@ -397,6 +828,7 @@ export class UpdateOrderInvoiceAction {
                 const currentTags = order.tags ? order.tags.split(', ') : [];
                 const cleanTags = currentTags.filter(tag => 
                     !tag.includes('EROARE FACTURARE') && 
+                    tag !== 'EROARE TOTAL' &&
                     !tag.startsWith('error-')
                 );
                 
@@ -443,6 +875,16 @@ export class UpdateOrderInvoiceAction {
         }
     }
 
+    /**
+     * Add tags to order, keeping the existing ones
+     * @private
+     */
+    async _addTags(orderId, tags) {
+        const order = await this.shopifyService.getOrder(orderId);
+        const currentTags = order.tags ? order.tags.split(', ') : [];
+        await this.shopifyService.tagOrder(orderId, [...new Set([...currentTags, ...tags])]);
+    }
+
     /**
      * Set error metafield
      * @private
@@ -487,6 +929,8 @@ export class UpdateOrderInvoiceAction {
                 tag.startsWith('error-')
             );
 
+            const isCancelled = tags.includes('oblio-cancelled');
+
             // Get invoice data from custom attributes (note_attributes)
             let invoiceNumber = null;
             let invoiceUrl = null;
@@ -517,10 +961,11 @@ export class UpdateOrderInvoiceAction {
             return {
                 hasInvoice: hasInvoiceTag,
                 hasError: hasErrorTag,
+                isCancelled,
                 invoiceNumber,
                 invoiceUrl,
                 tags,
-                status: hasInvoiceTag ? 'invoiced' : (hasErrorTag ? 'error' : 'not_invoiced')
+                status: hasInvoiceTag ? 'invoiced' : (isCancelled ? 'cancelled' : (hasErrorTag ? 'error' : 'not_invoiced'))
             };
 
         } catch (error) {
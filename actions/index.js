@@ -17,6 +17,9 @@ export { CreateInvoiceAction } from './CreateInvoiceAction.js';
 export { ValidateCompanyAction } from './ValidateCompanyAction.js';
 export { UpdateOrderInvoiceAction } from './UpdateOrderInvoiceAction.js';
 export { RetryInvoiceAction } from './RetryInvoiceAction.js';
+export { CreateStornoInvoiceAction } from './CreateStornoInvoiceAction.js';
+export { CancelInvoiceAction } from './CancelInvoiceAction.js';
+export { ProformaInvoiceAction } from './ProformaInvoiceAction.js';
 
 // Re-export defaults for convenience
 export { default as CreateShippingLabel } from './CreateShippingLabelAction.js';
@@ -27,4 +30,7 @@ export { default as CancelAwb } from './CancelAwbAction.js';
 export { default as CreateInvoice } from './CreateInvoiceAction.js';
 export { default as ValidateCompany } from './ValidateCompanyAction.js';
 export { default as UpdateOrderInvoice } from './UpdateOrderInvoiceAction.js';
-export { default as RetryInvoice } from './RetryInvoiceAction.js';
\ No newline at end of file
+export { default as RetryInvoice } from './RetryInvoiceAction.js';
+export { default as CreateStornoInvoice } from './CreateStornoInvoiceAction.js';
+export { default as CancelInvoice } from './CancelInvoiceAction.js';
+export { default as ProformaInvoice } from './ProformaInvoiceAction.js';
\ No newline at end of file
@@ -238,7 +238,8 @@ class CargusAdapter extends BaseAdapter {
     /**
      * Cancel/delete individual AWB (only works if no checkpoints)
      * @param {string} barcode - AWB barcode to cancel
-     * @returns {Promise<boolean>} Success status
+     * @returns {Promise<boolean>} Success status, false when Cargus refuses the cancellation
+     * @throws {Error} When Cargus is unreachable or failing (worth retrying later)
      */
     async cancelAwb(barcode) {
         try {
@@ -250,7 +251,11 @@ class CargusAdapter extends BaseAdapter {
             return true;
         } catch (error) {
             logger.error({ error: error.message, barcode }, 'Failed to cancel AWB');
-            
+
+            if (this.cargusService.isRetryableError(error)) {
+                throw error;
+            }
+
             // Check if it's because AWB has checkpoints
             if (error.response?.status === 409 || error.message.includes('checkpoint')) {
                 logger.warn({ barcode }, 'AWB cannot be cancelled - already has checkpoints (courier picked up)');
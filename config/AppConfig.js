@@ -5,6 +5,8 @@ const config = {
     shopify: {
         B2C_SHOPIFY_SHOPNAME: process.env.B2C_SHOPIFY_SHOPNAME,
         B2C_SHOPIFY_ACCESS_TOKEN: process.env.B2C_SHOPIFY_ACCESS_TOKEN,
+        // App client secret: verifies admin extension session tokens and signs document links
+        apiSecret: process.env.SHOPIFY_API_SECRET,
         apiVersion: "2025-07",
         maxRetries: 5,
     },
@@ -15,6 +17,113 @@ const config = {
         OBLIO_COMPANY_CIF: process.env.OBLIO_COMPANY_CIF,
         OBLIO_INVOICE_SERIES: process.env.OBLIO_INVOICE_SERIES,
         OBLIO_MANAGEMENT: process.env.OBLIO_MANAGEMENT,
+        OBLIO_PROFORMA_SERIES: process.env.OBLIO_PROFORMA_SERIES,
+        proformaDueDays: parseInt(process.env.OBLIO_PROFORMA_DUE_DAYS || '7', 10),
+        // Payment gateways (lowercase) that get a proforma on order creation
+        proformaPaymentGateways: (process.env.PROFORMA_PAYMENT_GATEWAYS || 'manual,bank deposit,bank transfer,transfer bancar')
+            .split(',')
+            .map(gateway => gateway.trim().toLowerCase())
+            .filter(Boolean),
+    },
+    storage: {
+        // Local state (idempotency records, job queue, ...) - mount a volume here in production
+        dataDir: process.env.DATA_DIR || './data',
+    },
+    jobs: {
+        concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+        maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10),
+        pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10),
+        // Retry delay doubles on every attempt: 30s, 1m, 2m, 4m, ...
+        backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS || '30000', 10),
+        // Completed jobs are kept this long for inspection
+        retentionDays: parseInt(process.env.JOB_RETENTION_DAYS || '7', 10),
+    },
+    invoiceRetry: {
+        maxRetries: parseInt(process.env.INVOICE_RETRY_MAX || '3', 10),
+        // Delay before retry n is base * 2^(n-1): 15m, 30m, 1h, ... capped at backoffMaxMs
+        backoffBaseMs: parseInt(process.env.INVOICE_RETRY_BACKOFF_BASE_MS || String(15 * 60 * 1000), 10),
+        backoffMaxMs: parseInt(process.env.INVOICE_RETRY_BACKOFF_MAX_MS || String(6 * 60 * 60 * 1000), 10),
+        // Orders examined per scan
+        batchSize: parseInt(process.env.INVOICE_RETRY_BATCH_SIZE || '50', 10),
+        retentionDays: parseInt(process.env.INVOICE_RETRY_RETENTION_DAYS || '30', 10),
+    },
+    invoiceBackfill: {
+        // Pause between orders (Oblio and Shopify rate limits)
+        delayMs: parseInt(process.env.INVOICE_BACKFILL_DELAY_MS || '1000', 10),
+        // Orders examined per run
+        maxOrders: parseInt(process.env.INVOICE_BACKFILL_MAX_ORDERS || '1000', 10),
+    },
+    invoiceReport: {
+        // Oblio invoices issued this many days after the range still count (invoicing on fulfillment)
+        lookaheadDays: parseInt(process.env.INVOICE_REPORT_LOOKAHEAD_DAYS || '7', 10),
+    },
+    einvoice: {
+        // Invoices issued in this window are checked (ANAF deadline is 5 working days)
+        lookbackDays: parseInt(process.env.EINVOICE_LOOKBACK_DAYS || '10', 10),
+        // Orders examined per run
+        batchSize: parseInt(process.env.EINVOICE_BATCH_SIZE || '250', 10),
+        // Submit invoices Oblio has not sent to SPV yet
+        autoSubmit: process.env.EINVOICE_AUTO_SUBMIT !== 'false',
+        retentionDays: parseInt(process.env.EINVOICE_RETENTION_DAYS || '60', 10),
+    },
+    bnr: {
+        // BNR reference rates; the yearly archive is used for dates outside the 10-day feed
+        baseURL: process.env.BNR_BASE_URL || "https://www.bnr.ro",
+        // Local BNR XML file used instead of the live feed (development / tests)
+        fixturePath: process.env.BNR_RATES_FIXTURE,
+        // Currency invoices are converted to
+        localCurrency: 'RON',
+    },
+    inventorySync: {
+        // Schedule of the sync cron job; changed at runtime with PUT /inventory/sync/schedule
+        cronPattern: process.env.INVENTORY_SYNC_CRON || '*/10 * * * *',
+        // A sync lock older than this is considered left by a crashed run
+        lockTimeoutMinutes: parseInt(process.env.INVENTORY_SYNC_LOCK_TIMEOUT_MINUTES || '60', 10),
+        // Quantities per inventorySetQuantities mutation (Shopify accepts up to 250)
+        batchSize: Math.min(parseInt(process.env.INVENTORY_BATCH_SIZE || '250', 10), 250),
+        // Safety guards: a live sync is aborted when one trips (0 disables, --force overrides)
+        guards: {
+            // Stocked SKUs dropping to zero in one run
+            maxZeroedPercent: parseFloat(process.env.INVENTORY_GUARD_MAX_ZEROED_PERCENT || '20'),
+            // Oblio product count shrinking versus the last run
+            maxProductDropPercent: parseFloat(process.env.INVENTORY_GUARD_MAX_PRODUCT_DROP_PERCENT || '25'),
+            // Units a single SKU may change by
+            maxQuantityChange: parseInt(process.env.INVENTORY_GUARD_MAX_QUANTITY_CHANGE || '500', 10),
+        },
+        // Publish Oblio stock minus the quantities of open orders not invoiced yet
+        reserveOpenOrders: process.env.INVENTORY_RESERVE_OPEN_ORDERS !== 'false',
+        // Sync runs are kept this long (GET /inventory/runs)
+        historyRetentionDays: parseInt(process.env.INVENTORY_HISTORY_RETENTION_DAYS || '14', 10),
+    },
+    skuMapping: {
+        // Refuse to invoice SKUs without an Oblio product code instead of using the SKU as code
+        strict: process.env.SKU_MAPPING_STRICT !== 'false',
+    },
+    invoiceTotals: {
+        // Largest difference to the Shopify total (VAT included) covered by a rounding line;
+        // invoices further off are refused and the order is tagged EROARE TOTAL
+        tolerance: parseFloat(process.env.INVOICE_TOTAL_TOLERANCE || '0.05'),
+        roundingLineName: process.env.INVOICE_ROUNDING_LINE_NAME || 'Rotunjire',
+    },
+    invoiceRules: {
+        // Series used when Oblio rejects an invoice (400/422) and the retry switches options;
+        // unset keeps the original series
+        fallbackSeries: process.env.OBLIO_FALLBACK_SERIES || null,
+    },
+    bundles: {
+        // expand: invoice the components with the bundle price split between them
+        // single: one invoice line for the bundle (a composite product in Oblio)
+        invoiceMode: process.env.BUNDLE_INVOICE_MODE || 'expand',
+    },
+    admin: {
+        // Bearer token for /admin endpoints; admin routes are disabled when unset
+        apiToken: process.env.ADMIN_API_TOKEN,
+    },
+    idempotency: {
+        // Webhook ids and order records are forgotten after this many days (then the oblio-invoiced tag applies)
+        retentionDays: parseInt(process.env.IDEMPOTENCY_RETENTION_DAYS || '30', 10),
+        // In-progress invoice runs older than this are considered crashed
+        lockTtlMs: parseInt(process.env.IDEMPOTENCY_LOCK_TTL_MS || String(10 * 60 * 1000), 10),
     },
     cargus: {
         baseURL: "https://urgentcargus.azure-api.net/api",
@@ -22,6 +131,12 @@ const config = {
         subscriptionKey: process.env.CARGUS_SUBSCRIPTION_KEY,
         username: process.env.CARGUS_USERNAME,
         password: process.env.CARGUS_PASSWORD,
+        // COD payouts are looked up this many days back on every run
+        codLookbackDays: parseInt(process.env.CARGUS_COD_LOOKBACK_DAYS || '7', 10),
+        // Only unpaid orders younger than this are matched against payouts
+        codOrderMaxAgeDays: parseInt(process.env.CARGUS_COD_ORDER_MAX_AGE_DAYS || '60', 10),
+        // Oblio collection type of COD payouts (Cargus pays them by bank transfer, see docs/Oblio.md)
+        codCollectionType: process.env.CARGUS_COD_COLLECTION_TYPE || 'Alta incasare banca',
         sender: {
             name: "PRIME SUPPLEMENTS",
             countyName: "Sibiu",
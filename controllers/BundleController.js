@@ -0,0 +1,61 @@
+import { bundles } from '../services/BundleService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Bundle Controller
+ *
+ * Admin endpoints for bundle (kit) definitions.
+ */
+class BundleController {
+    /**
+     * List bundles
+     */
+    async list(req, res) {
+        res.json({ success: true, bundles: bundles.list() });
+    }
+
+    /**
+     * Get a bundle
+     */
+    async get(req, res) {
+        const bundle = bundles.get(req.params.sku);
+
+        if (!bundle) {
+            return res.status(404).json({ success: false, error: 'Bundle not found' });
+        }
+
+        res.json({ success: true, bundle });
+    }
+
+    /**
+     * Create or replace a bundle
+     * Body: { title?, invoiceMode?: 'expand' | 'single', components: [{ sku, quantity, title?, price? }] }
+     */
+    async set(req, res) {
+        try {
+            const bundle = await bundles.set(req.params.sku, req.body || {});
+
+            logger.info(`📦 Bundle ${bundle.sku} saved with ${bundle.components.length} components`);
+
+            res.json({ success: true, bundle });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Delete a bundle
+     */
+    async remove(req, res) {
+        const removed = await bundles.remove(req.params.sku);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Bundle not found' });
+        }
+
+        res.json({ success: true });
+    }
+}
+
+export default new BundleController();
@@ -0,0 +1,127 @@
+import InventorySyncService from '../services/InventorySyncService.js';
+import { inventorySyncHistory } from '../services/InventorySyncHistoryService.js';
+import { inventorySyncControl } from '../services/InventorySyncControlService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Inventory Controller
+ *
+ * Inventory sync control (manual runs, schedule, current run) and run history:
+ * what each run changed, and the changes of one SKU over time.
+ */
+class InventoryController {
+    constructor() {
+        this.syncService = new InventorySyncService();
+    }
+
+    /**
+     * Current run with its progress, and the schedule
+     */
+    async status(req, res) {
+        res.json({ success: true, ...inventorySyncControl.getStatus() });
+    }
+
+    /**
+     * Start a sync in the background; follow it with GET /inventory/sync and GET /inventory/runs/:id
+     * Body: { dryRun, skus: [...], force }
+     */
+    async trigger(req, res) {
+        const { dryRun = false, skus = null, force = false } = req.body || {};
+
+        if (skus !== null && (!Array.isArray(skus) || skus.length === 0 || skus.some(sku => typeof sku !== 'string' || !sku.trim()))) {
+            return res.status(400).json({ success: false, error: 'skus must be a non-empty array of SKUs' });
+        }
+        if (inventorySyncControl.isRunning()) {
+            return res.status(409).json({ success: false, error: 'An inventory sync is already running', ...inventorySyncControl.getStatus() });
+        }
+
+        const skuFilter = skus ? skus.map(sku => sku.trim()) : null;
+
+        this.syncService.syncInventory({ dryRun: Boolean(dryRun), skuFilter, force: Boolean(force) })
+            .then(results => logger.info({ runId: results.runId, updated: results.updated, errors: results.errors }, '✅ Manual inventory sync completed'))
+            .catch(error => logger.error({ error: error.message }, '❌ Manual inventory sync failed'));
+
+        logger.info({ dryRun, skuFilter, force }, '🔄 Inventory sync started by admin');
+
+        res.status(202).json({ success: true, ...inventorySyncControl.getStatus() });
+    }
+
+    /**
+     * Pause the scheduled sync (manual runs and Oblio stock events still run)
+     */
+    async pause(req, res) {
+        const schedule = await inventorySyncControl.setSchedule({ paused: true });
+        logger.info('⏸️ Scheduled inventory sync paused by admin');
+        res.json({ success: true, schedule });
+    }
+
+    /**
+     * Resume the scheduled sync
+     */
+    async resume(req, res) {
+        const schedule = await inventorySyncControl.setSchedule({ paused: false });
+        logger.info('▶️ Scheduled inventory sync resumed by admin');
+        res.json({ success: true, schedule });
+    }
+
+    /**
+     * Change the interval of the scheduled sync
+     * Body: { intervalMinutes } or { cronPattern }
+     */
+    async setSchedule(req, res) {
+        const { intervalMinutes, cronPattern } = req.body || {};
+
+        if (intervalMinutes === undefined && cronPattern === undefined) {
+            return res.status(400).json({ success: false, error: 'intervalMinutes or cronPattern is required' });
+        }
+
+        try {
+            const schedule = await inventorySyncControl.setSchedule({ intervalMinutes, cronPattern });
+            logger.info(`🕐 Inventory sync schedule changed to ${schedule.cronPattern}`);
+            res.json({ success: true, schedule });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * List sync runs (newest first) with their summary
+     * Query: status, type, limit
+     */
+    async listRuns(req, res) {
+        const { status, type } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+        res.json({ success: true, runs: inventorySyncHistory.list({ status, type, limit }) });
+    }
+
+    /**
+     * Get a sync run with the before/after quantity of every SKU it changed
+     */
+    async getRun(req, res) {
+        const run = inventorySyncHistory.get(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Sync run not found' });
+        }
+
+        res.json({ success: true, run });
+    }
+
+    /**
+     * Quantity changes of one SKU across sync runs (newest first)
+     * Query: limit, dryRuns=true to include dry runs
+     */
+    async skuHistory(req, res) {
+        const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+        const history = inventorySyncHistory.getSkuHistory(req.params.sku, {
+            limit,
+            includeDryRuns: req.query.dryRuns === 'true'
+        });
+
+        res.json({ success: true, sku: req.params.sku, history });
+    }
+}
+
+export default new InventoryController();
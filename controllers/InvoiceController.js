@@ -2,8 +2,14 @@ import {
     CreateInvoiceAction,
     ValidateCompanyAction,
     UpdateOrderInvoiceAction,
-    RetryInvoiceAction
+    RetryInvoiceAction,
+    CreateStornoInvoiceAction,
+    CancelInvoiceAction,
+    ProformaInvoiceAction
 } from '../actions/index.js';
+import { invoiceIdempotency } from '../services/InvoiceIdempotencyService.js';
+import { jobQueue } from '../services/JobQueueService.js';
+import { invoiceRetryHistory } from '../services/InvoiceRetryHistoryService.js';
 import { logger } from '../utils/index.js';
 
 /**
@@ -26,25 +32,114 @@ class InvoiceController {
         this.validateCompanyAction = new ValidateCompanyAction();
         this.updateOrderAction = new UpdateOrderInvoiceAction();
         this.retryInvoiceAction = new RetryInvoiceAction();
+        this.createStornoAction = new CreateStornoInvoiceAction();
+        this.cancelInvoiceAction = new CancelInvoiceAction();
+        this.proformaAction = new ProformaInvoiceAction();
+
+        // Background jobs for webhook work
+        jobQueue.registerHandler('invoice.create', this.processShopifyOrderInvoice.bind(this));
+        jobQueue.registerHandler('invoice.storno', this.processRefundStorno.bind(this));
+        jobQueue.registerHandler('invoice.cancel', this.processOrderCancellation.bind(this));
+        jobQueue.registerHandler('proforma.create', this.processProformaCreation.bind(this));
+        jobQueue.registerHandler('proforma.convert', this.processProformaConversion.bind(this));
     }
 
+    // ==================== WEBHOOK HANDLERS ====================
+    // Webhooks are acknowledged right away; the work runs in the job queue
+
     /**
      * Create invoice from Shopify order fulfillment (webhook)
      * Always returns 200 to Shopify (webhook acknowledgment)
      */
     async createFromShopifyOrder(req, res) {
-        // Always acknowledge webhook receipt first
+        const order = req.body;
+        const webhookId = req.get('x-shopify-webhook-id') || null;
+
+        // Redelivered webhook or order invoiced by another route: return the existing invoice
+        const completed = invoiceIdempotency.findCompleted({ orderId: order?.id, webhookId });
+        if (completed) {
+            logger.info(`⏭️ Order ${order.name || order.id} already invoiced (${completed.invoice.series} ${completed.invoice.number}), skipping`);
+            return res.status(200).json({ received: true, duplicate: true, invoice: completed.invoice });
+        }
+
+        await this._enqueueWebhook(res, 'invoice.create', { order, webhookId, source: req.originalUrl });
+    }
+
+    /**
+     * Shopify order update (webhook)
+     * Failed invoices are retried by InvoiceRetryJob; the endpoint only acknowledges
+     * so the existing orders/updated subscription keeps working
+     */
+    async retryFromShopifyOrderUpdate(req, res) {
         res.status(200).json({ received: true });
-        
+    }
+
+    /**
+     * Create storno invoice from Shopify refund (webhook)
+     * Reverses refunded lines and shipping on the already issued invoice
+     * Always returns 200 to Shopify (webhook acknowledgment)
+     */
+    async createStornoFromShopifyRefund(req, res) {
+        await this._enqueueWebhook(res, 'invoice.storno', { refund: req.body });
+    }
+
+    /**
+     * Cancel or reverse invoice from Shopify order cancellation (webhook)
+     * Always returns 200 to Shopify (webhook acknowledgment)
+     */
+    async cancelFromShopifyOrder(req, res) {
+        await this._enqueueWebhook(res, 'invoice.cancel', { order: req.body });
+    }
+
+    /**
+     * Create proforma from Shopify order creation (webhook)
+     * Only bank-transfer orders get a proforma
+     * Always returns 200 to Shopify (webhook acknowledgment)
+     */
+    async createProformaFromShopifyOrder(req, res) {
+        await this._enqueueWebhook(res, 'proforma.create', { order: req.body });
+    }
+
+    /**
+     * Convert proforma into invoice when the Shopify order is paid (webhook)
+     * Always returns 200 to Shopify (webhook acknowledgment)
+     */
+    async convertProformaFromShopifyOrder(req, res) {
+        await this._enqueueWebhook(res, 'proforma.convert', {
+            order: req.body,
+            webhookId: req.get('x-shopify-webhook-id') || null
+        });
+    }
+
+    // ==================== JOB HANDLERS ====================
+    // Throwing schedules a retry; on the last attempt errors are written to the order
+
+    /**
+     * Job: create invoice for a Shopify order
+     * @param {Object} payload - { order, webhookId, source }
+     * @param {Object} job - Job context from the queue
+     */
+    async processShopifyOrderInvoice({ order, webhookId, source }, job) {
         try {
-            const order = req.body;
             logger.info(`📥 Invoice webhook: Order ${order.name || order.id}`);
 
-            // Create invoice using action
-            const invoiceResult = await this.createInvoiceAction.execute({
-                order,
-                anafService: this.validateCompanyAction.anafService
-            });
+            // Already invoiced (e.g. proforma converted on payment)
+            const tags = order.tags ? order.tags.split(', ') : [];
+            if (tags.includes('oblio-invoiced')) {
+                logger.info(`⏭️ Order ${order.name || order.id} already invoiced, skipping`);
+                return;
+            }
+
+            // Create invoice using action (at most once per order)
+            const { duplicate, result: invoiceResult } = await invoiceIdempotency.runOnce(
+                { orderId: order.id, webhookId, source },
+                () => this.createInvoiceAction.execute({
+                    order,
+                    anafService: this.validateCompanyAction.anafService
+                })
+            );
+
+            if (duplicate) return;
 
             if (invoiceResult.success) {
                 logger.info(`✅ Invoice ${invoiceResult.invoice.number} created for order ${order.name || order.id}`);
@@ -57,6 +152,8 @@ class InvoiceController {
                 });
 
             } else {
+                this._throwIfRetryable(invoiceResult, job);
+
                 logger.error(`❌ Invoice failed for order ${order.name || order.id}: ${invoiceResult.error}`);
 
                 // Update order with error information
@@ -64,12 +161,25 @@ class InvoiceController {
                     orderId: order.id,
                     error: invoiceResult
                 });
+
+                // First failure drives the strategy of the scheduled retry
+                await invoiceRetryHistory.recordAttempt(order, {
+                    attempt: 0,
+                    success: false,
+                    strategy: 'initial',
+                    error: invoiceResult.error,
+                    statusCode: invoiceResult.statusCode || null,
+                    errorType: invoiceResult.errorType || null,
+                    retryable: invoiceRetryHistory.isRetryable(invoiceResult)
+                });
             }
 
         } catch (error) {
-            const orderId = req.body?.id || 'unknown';
+            const orderId = order?.id || 'unknown';
             logger.error(`❌ Webhook error for order ${orderId}: ${error.message}`);
 
+            if (!job.isLastAttempt) throw error;
+
             // Update order with system error
             try {
                 await this.updateOrderAction.updateWithError({
@@ -79,35 +189,158 @@ class InvoiceController {
             } catch (updateError) {
                 logger.error(`⚠️ Failed to update order ${orderId} with error`);
             }
+            throw error;
         }
     }
 
     /**
-     * Retry invoice creation from Shopify order update (webhook)
-     * Only processes orders with "EROARE FACTURARE" tag
-     * Always returns 200 to Shopify (webhook acknowledgment)
+     * Job: storno for a Shopify refund
+     * @param {Object} payload - { refund }
+     * @param {Object} job - Job context from the queue
      */
-    async retryFromShopifyOrderUpdate(req, res) {
-        // Always acknowledge webhook receipt first
-        res.status(200).json({ received: true });
-        
-        try {
-            const order = req.body;
+    async processRefundStorno({ refund }, job) {
+        const orderId = refund?.order_id;
+
+        logger.info(`📥 Refund webhook: Refund ${refund.id} for order ${orderId}`);
+
+        const stornoResult = await this.createStornoAction.execute({ refund });
+
+        if (stornoResult.success) {
+            if (!stornoResult.skipped) {
+                logger.info(`✅ Storno ${stornoResult.storno.number} created for order ${orderId}`);
 
-            // Process retry using action
-            const retryResult = await this.retryInvoiceAction.processOrderUpdateForRetry(order);
+                await this.updateOrderAction.addStornoInfo({
+                    orderId,
+                    stornoResult
+                });
 
-            if (retryResult.success && !retryResult.skipped) {
-                logger.info(`🔄 Invoice retry success for order ${order.name || order.id}: ${retryResult.invoiceResult?.invoice?.number}`);
-            } else if (!retryResult.skipped && retryResult.finalFailure) {
-                logger.warn(`⚠️ Invoice retry final failure for order ${order.name || order.id}`);
+                // Restocked and kept lines go on separate documents; the missing one is issued by hand
+                if (stornoResult.partialError) {
+                    logger.error(`❌ Storno incomplete for order ${orderId}: ${stornoResult.partialError.error}`);
+
+                    await this.updateOrderAction.updateWithStornoError({
+                        orderId,
+                        refundId: refund.id,
+                        error: stornoResult.partialError
+                    });
+                }
             }
+        } else {
+            this._throwIfRetryable(stornoResult, job);
 
-        } catch (error) {
-            logger.error(`❌ Retry webhook error: ${error.message}`);
+            logger.error(`❌ Storno failed for order ${orderId}: ${stornoResult.error}`);
+
+            await this.updateOrderAction.updateWithStornoError({
+                orderId,
+                refundId: refund.id,
+                error: stornoResult
+            });
+        }
+    }
+
+    /**
+     * Job: cancel or reverse the invoice of a cancelled order
+     * @param {Object} payload - { order }
+     * @param {Object} job - Job context from the queue
+     */
+    async processOrderCancellation({ order }, job) {
+        logger.info(`🚫 Order cancelled webhook: Order ${order.name || order.id}`);
+
+        const cancelResult = await this.cancelInvoiceAction.execute({ order });
+
+        if (cancelResult.success) {
+            if (!cancelResult.skipped) {
+                logger.info(`✅ Invoice ${cancelResult.invoice.number} voided by ${cancelResult.method} for order ${order.name || order.id}`);
+
+                await this.updateOrderAction.markInvoiceCancelled({
+                    orderId: order.id,
+                    cancelResult
+                });
+
+                // The order may be invoiced again once its invoice is voided
+                await invoiceIdempotency.release(order.id);
+            }
+        } else {
+            this._throwIfRetryable(cancelResult, job);
+
+            logger.error(`❌ Invoice cancellation failed for order ${order.name || order.id}: ${cancelResult.error}`);
+
+            await this.updateOrderAction.updateWithCancellationError({
+                orderId: order.id,
+                error: cancelResult
+            });
         }
     }
 
+    /**
+     * Job: proforma for a new bank-transfer order
+     * @param {Object} payload - { order }
+     * @param {Object} job - Job context from the queue
+     */
+    async processProformaCreation({ order }, job) {
+        const proformaResult = await this.proformaAction.execute({
+            order,
+            anafService: this.validateCompanyAction.anafService
+        });
+
+        if (proformaResult.skipped) return;
+
+        if (proformaResult.success) {
+            logger.info(`✅ Proforma ${proformaResult.proforma.number} created for order ${order.name || order.id}`);
+
+            await this.updateOrderAction.addProformaInfo({
+                orderId: order.id,
+                proformaResult
+            });
+        } else {
+            this._throwIfRetryable(proformaResult, job);
+
+            logger.error(`❌ Proforma failed for order ${order.name || order.id}: ${proformaResult.error}`);
+
+            await this.updateOrderAction.updateWithProformaError({
+                orderId: order.id,
+                error: proformaResult
+            });
+        }
+    }
+
+    /**
+     * Job: convert the proforma of a paid order into the final invoice
+     * @param {Object} payload - { order, webhookId }
+     * @param {Object} job - Job context from the queue
+     */
+    async processProformaConversion({ order, webhookId }, job) {
+        const { duplicate, result: invoiceResult } = await invoiceIdempotency.runOnce(
+            { orderId: order.id, webhookId, source: 'proforma-convert' },
+            () => this.proformaAction.convertToInvoice({ order })
+        );
+
+        if (duplicate || invoiceResult.skipped) return;
+
+        if (invoiceResult.success) {
+            logger.info(`✅ Proforma ${invoiceResult.proforma.number} converted to invoice ${invoiceResult.invoice.number} for order ${order.name || order.id}`);
+
+            await this.updateOrderAction.execute({
+                orderId: order.id,
+                invoiceResult,
+                removeErrorTags: true,
+                additionalTags: ['PROFORMA_CONVERTED']
+            });
+        } else {
+            this._throwIfRetryable(invoiceResult, job);
+
+            logger.error(`❌ Proforma conversion failed for order ${order.name || order.id}: ${invoiceResult.error}`);
+
+            await this.updateOrderAction.updateWithProformaError({
+                orderId: order.id,
+                error: invoiceResult,
+                stage: 'convert'
+            });
+        }
+    }
+
+    // ==================== EXTENSION HANDLERS ====================
+
     /**
      * Create invoice from admin extension
      * @param {Object} req - Express request object
@@ -169,13 +402,27 @@ class InvoiceController {
                 }
             }
 
-            // Step 2: Create invoice
-            const invoiceResult = await this.createInvoiceAction.execute({
-                order: orderData,
-                invoiceOptions,
-                customClient: validatedClient,
-                anafService: skipAnaf ? null : this.validateCompanyAction.anafService
-            });
+            // Step 2: Create invoice (at most once per order)
+            const { duplicate, record, result: invoiceResult } = await invoiceIdempotency.runOnce(
+                { orderId, source: 'extension' },
+                () => this.createInvoiceAction.execute({
+                    order: orderData,
+                    invoiceOptions,
+                    customClient: validatedClient,
+                    anafService: skipAnaf ? null : this.validateCompanyAction.anafService
+                })
+            );
+
+            if (duplicate) {
+                return res.status(409).json({
+                    success: false,
+                    duplicate: true,
+                    invoice: record.invoice,
+                    error: record.status === 'completed'
+                        ? `Order already invoiced: ${record.invoice.series} ${record.invoice.number}`
+                        : 'Invoice creation already in progress for this order'
+                });
+            }
 
             if (invoiceResult.success) {
                 logger.info(`✅ Manual invoice ${invoiceResult.invoice.number} created`);
@@ -248,13 +495,31 @@ class InvoiceController {
 
             logger.info(`🔄 Manual retry: Order ${orderData.name || orderData.order_number}`);
 
-            // Execute retry using action
-            const retryResult = await this.retryInvoiceAction.execute({
-                order: orderData,
-                retryAttempt: retryOptions.retryAttempt || 1,
-                maxRetries: retryOptions.maxRetries || 3,
-                retryOptions
-            });
+            // Execute retry using action (at most once per order)
+            let retryResult = null;
+            const { duplicate, record } = await invoiceIdempotency.runOnce(
+                { orderId, source: 'extension-retry' },
+                async () => {
+                    retryResult = await this.retryInvoiceAction.execute({
+                        order: orderData,
+                        retryAttempt: retryOptions.retryAttempt || 1,
+                        maxRetries: retryOptions.maxRetries || 3,
+                        retryOptions
+                    });
+                    return retryResult.invoiceResult || retryResult;
+                }
+            );
+
+            if (duplicate) {
+                return res.status(409).json({
+                    success: false,
+                    duplicate: true,
+                    invoice: record.invoice,
+                    error: record.status === 'completed'
+                        ? `Order already invoiced: ${record.invoice.series} ${record.invoice.number}`
+                        : 'Invoice creation already in progress for this order'
+                });
+            }
 
             if (retryResult.success) {
                 logger.info(`✅ Retry success: Invoice ${retryResult.invoiceResult?.invoice?.number}`);
@@ -367,6 +632,31 @@ class InvoiceController {
 
     // ==================== PRIVATE HELPER METHODS ====================
 
+    /**
+     * Queue webhook work and acknowledge Shopify
+     * Replies 500 when the job cannot be stored so Shopify redelivers the webhook
+     * @private
+     */
+    async _enqueueWebhook(res, type, payload) {
+        try {
+            const job = await jobQueue.enqueue(type, payload);
+            res.status(200).json({ received: true, jobId: job.id });
+        } catch (error) {
+            logger.error(`❌ Failed to queue ${type} job: ${error.message}`);
+            res.status(500).json({ received: false, error: 'Failed to queue webhook' });
+        }
+    }
+
+    /**
+     * Hand retryable failures back to the queue unless this is the last attempt
+     * @private
+     */
+    _throwIfRetryable(result, job) {
+        if (result.retryable && !job.isLastAttempt) {
+            throw new Error(result.error || 'Retryable failure');
+        }
+    }
+
     /**
      * Extract and structure request data
      * @private
@@ -387,7 +677,7 @@ class InvoiceController {
             invoiceOptions: {
                 seriesName: invoiceOptions.seriesName,
                 issueDate: invoiceOptions.issueDate,
-                language: invoiceOptions.language || 'RO',
+                language: invoiceOptions.language,
                 mentions: invoiceOptions.mentions,
                 sendEmail: invoiceOptions.sendEmail,
                 useStock: invoiceOptions.useStock,
@@ -0,0 +1,54 @@
+import OblioService from '../services/OblioService.js';
+import { invoiceRules } from '../services/InvoiceRulesService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Invoice Rules Controller
+ *
+ * Admin endpoints for the per-order series, language and email rules.
+ */
+class InvoiceRulesController {
+    /**
+     * List rules in evaluation order
+     */
+    async list(req, res) {
+        res.json({ success: true, rules: invoiceRules.list() });
+    }
+
+    /**
+     * Replace the rule set
+     * Body: { rules: [{ name, match: { channel?, customerType?, currency?, country?, customerTags? }, set: { seriesName?, language?, sendEmail?, useStock?, mentions? } }] }
+     */
+    async replace(req, res) {
+        try {
+            // Series are checked against Oblio, loaded on first use
+            if (!invoiceRules.knownSeries) {
+                await invoiceRules.validateSeries(new OblioService());
+            }
+
+            const rules = await invoiceRules.replace(req.body?.rules);
+
+            logger.info(`📐 Invoice rules saved (${rules.length} rules)`);
+
+            res.json({ success: true, rules });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Check the configured series against Oblio
+     */
+    async validateSeries(req, res) {
+        try {
+            const result = await invoiceRules.validateSeries(new OblioService());
+            res.json({ success: result.valid, ...result });
+
+        } catch (error) {
+            res.status(502).json({ success: false, error: error.message });
+        }
+    }
+}
+
+export default new InvoiceRulesController();
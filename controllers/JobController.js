@@ -0,0 +1,59 @@
+import { jobQueue } from '../services/JobQueueService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Job Controller
+ *
+ * Admin endpoints for the background job queue: list, inspect and replay jobs.
+ */
+class JobController {
+    /**
+     * List jobs (newest first) with queue stats
+     * Query: status, type, limit
+     */
+    async list(req, res) {
+        const { status, type } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+
+        res.json({
+            success: true,
+            stats: jobQueue.stats(),
+            jobs: jobQueue.list({ status, type, limit })
+        });
+    }
+
+    /**
+     * Get a single job including its payload
+     */
+    async get(req, res) {
+        const job = jobQueue.get(req.params.id);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Job not found' });
+        }
+
+        res.json({ success: true, job });
+    }
+
+    /**
+     * Replay a dead or completed job
+     */
+    async replay(req, res) {
+        try {
+            const job = await jobQueue.replay(req.params.id);
+
+            if (!job) {
+                return res.status(404).json({ success: false, error: 'Job not found' });
+            }
+
+            logger.info(`🔁 Job ${job.id} (${job.type}) replayed by admin`);
+
+            res.json({ success: true, job });
+
+        } catch (error) {
+            res.status(409).json({ success: false, error: error.message });
+        }
+    }
+}
+
+export default new JobController();
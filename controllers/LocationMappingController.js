@@ -0,0 +1,98 @@
+import ShopifyService from '../services/ShopifyService.js';
+import OblioService from '../services/OblioService.js';
+import { locationMappings } from '../services/LocationMappingService.js';
+import config from '../config/AppConfig.js';
+import { logger, toNumericId } from '../utils/index.js';
+
+/**
+ * Location Mapping Controller
+ *
+ * Admin endpoints for the Shopify location -> Oblio management (gestiune) table.
+ */
+class LocationMappingController {
+    /**
+     * List mapped locations
+     */
+    async list(req, res) {
+        res.json({ success: true, locations: locationMappings.list() });
+    }
+
+    /**
+     * Shopify locations and Oblio managements available for mapping
+     */
+    async available(req, res) {
+        try {
+            const [shopifyLocations, oblioManagements] = await Promise.all([
+                this._getShopifyService().getLocations(),
+                this._getOblioManagements()
+            ]);
+
+            res.json({ success: true, shopifyLocations, oblioManagements });
+
+        } catch (error) {
+            res.status(502).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Map a Shopify location to an Oblio management
+     * Body: { management }
+     */
+    async set(req, res) {
+        try {
+            const management = String(req.body?.management ?? '').trim();
+            const [shopifyLocations, oblioManagements] = await Promise.all([
+                this._getShopifyService().getLocations(),
+                this._getOblioManagements()
+            ]);
+
+            const location = shopifyLocations.find(item => item.id === toNumericId(req.params.locationId));
+            if (!location) {
+                return res.status(400).json({ success: false, error: `Unknown Shopify location: ${req.params.locationId}` });
+            }
+            if (!oblioManagements.includes(management)) {
+                return res.status(400).json({ success: false, error: `Unknown Oblio management: ${management}` });
+            }
+
+            const mapping = await locationMappings.set(location.id, { management, name: location.name });
+
+            logger.info(`🏬 Location ${location.name} mapped to Oblio management ${management}`);
+
+            res.json({ success: true, location: mapping });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Delete a location mapping
+     */
+    async remove(req, res) {
+        const removed = await locationMappings.remove(req.params.locationId);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Location mapping not found' });
+        }
+
+        res.json({ success: true });
+    }
+
+    /**
+     * @private
+     */
+    _getShopifyService() {
+        return new ShopifyService(config.shopify.B2C_SHOPIFY_SHOPNAME, config.shopify.B2C_SHOPIFY_ACCESS_TOKEN);
+    }
+
+    /**
+     * Management names defined in Oblio
+     * @private
+     */
+    async _getOblioManagements() {
+        const response = await new OblioService().getManagements(config.oblio.OBLIO_COMPANY_CIF);
+        return [...new Set((response?.data || []).map(item => item.management ?? item.name).filter(Boolean))];
+    }
+}
+
+export default new LocationMappingController();
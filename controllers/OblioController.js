@@ -1,17 +1,24 @@
+import InventorySyncService from '../services/InventorySyncService.js';
+import { jobQueue } from '../services/JobQueueService.js';
 import { logger } from '../utils/index.js';
 
 class OblioController {
     /**
      * Handle stock update webhook from Oblio
+     * Queues a sync of the products in the event; Oblio only needs the acknowledgment
      */
     static async handleStockUpdate(req, res) {
         try {
             const requestId = req.headers['x-oblio-request-id'];
+            const productCodes = OblioController._getProductCodes(req.body);
 
-            logger.info(`📦 Oblio stock webhook received`);
+            logger.info({ requestId, productCodes }, `📦 Oblio stock webhook received`);
 
-            // TODO: Process stock update logic here
-            // This will sync stock changes from Oblio to Shopify
+            if (productCodes.length > 0) {
+                await jobQueue.enqueue('oblio.stock', { requestId, productCodes });
+            } else {
+                logger.warn({ requestId, body: req.body }, '⚠️ Oblio stock webhook without product codes');
+            }
 
             // Return the base64-encoded X-Oblio-Request-Id as required by Oblio
             const base64RequestId = Buffer.from(requestId).toString('base64');
@@ -22,6 +29,52 @@ class OblioController {
             res.status(500).json({ error: 'Internal server error' });
         }
     }
+
+    /**
+     * Job: update the Shopify variants of the products in a stock event
+     * The stock is re-read from Oblio, the webhook payload is not signed
+     * @param {Object} payload - { requestId, productCodes }
+     */
+    static async processStockUpdate({ requestId, productCodes }) {
+        const syncService = new InventorySyncService();
+        const results = await syncService.syncOblioProducts(productCodes);
+
+        logger.info({
+            requestId,
+            productCodes,
+            updated: results.updated,
+            skipped: results.skipped,
+            errors: results.errors,
+            unmapped: results.unmapped,
+            changes: results.details
+                .filter(detail => detail.updated || detail.error)
+                .map(detail => ({
+                    sku: detail.sku,
+                    from: detail.currentQuantity,
+                    to: detail.oblioQuantity,
+                    error: detail.error
+                }))
+        }, '📦 Oblio stock event processed');
+    }
+
+    /**
+     * Product codes of an Oblio stock event
+     * Accepts a single product or a list, at the top level or under data / products
+     * @private
+     */
+    static _getProductCodes(body) {
+        const data = body?.data ?? body;
+        const products = Array.isArray(data) ? data : (data?.products ?? [data]);
+
+        const codes = products
+            .map(product => product?.code ?? product?.productCode ?? product?.sku)
+            .filter(code => code !== undefined && code !== null && String(code).trim() !== '')
+            .map(code => String(code).trim());
+
+        return [...new Set(codes)];
+    }
 }
 
-export default OblioController;
\ No newline at end of file
+jobQueue.registerHandler('oblio.stock', OblioController.processStockUpdate);
+
+export default OblioController;
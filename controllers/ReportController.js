@@ -0,0 +1,34 @@
+import InvoiceReconciliationService from '../services/InvoiceReconciliationService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Report Controller
+ *
+ * Accounting reports comparing Shopify orders with the Oblio documents.
+ */
+class ReportController {
+    constructor() {
+        this.reconciliationService = new InvoiceReconciliationService();
+    }
+
+    /**
+     * Shopify vs Oblio invoice reconciliation
+     * Query: from, to (yyyy-mm-dd, order creation dates)
+     */
+    async invoices(req, res) {
+        try {
+            const report = await this.reconciliationService.buildReport({
+                fromDate: req.query.from,
+                toDate: req.query.to || undefined
+            });
+
+            res.json({ success: true, report });
+
+        } catch (error) {
+            logger.error({ error: error.message, query: req.query }, 'Invoice reconciliation report failed');
+            res.status(error.message.includes('yyyy-mm-dd') ? 400 : 500).json({ success: false, error: error.message });
+        }
+    }
+}
+
+export default new ReportController();
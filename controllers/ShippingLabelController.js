@@ -4,6 +4,7 @@ import {
     UpdateOrderShippingAction,
     CancelAwbAction
 } from '../actions/index.js';
+import { jobQueue } from '../services/JobQueueService.js';
 import { logger } from '../utils/index.js';
 
 /**
@@ -26,6 +27,9 @@ class ShippingLabelController {
         this.fulfillOrderAction = new FulfillShopifyOrderAction();
         this.updateOrderAction = new UpdateOrderShippingAction();
         this.cancelAwbAction = new CancelAwbAction();
+
+        // Background jobs for webhook work
+        jobQueue.registerHandler('awb.cancel', this.processFulfillmentCancellation.bind(this));
     }
 
     /**
@@ -145,34 +149,45 @@ class ShippingLabelController {
 
     /**
      * Handle Shopify fulfillment cancellation webhook
-     * Cancels corresponding AWB in shipping provider
+     * Acknowledges right away, the AWB is cancelled by the job queue
      */
     async handleFulfillmentCancellation(req, res) {
-        // Always acknowledge webhook receipt first
-        res.status(200).json({ received: true });
-        
         try {
-            const fulfillment = req.body;
-            logger.info(`🚫 AWB cancellation: ${fulfillment.tracking_number || fulfillment.id}`);
-
-            // Process cancellation using action
-            const cancellationResult = await this.cancelAwbAction.processWebhookCancellation(fulfillment);
-
-            if (cancellationResult.success) {
-                if (!cancellationResult.skipped) {
-                    await this.updateOrderAction.addCancellationInfo(
-                        fulfillment.order_id, 
-                        cancellationResult.awbBarcode
-                    );
-                    logger.info(`✅ AWB ${cancellationResult.awbBarcode} cancelled`);
-                }
-            } else {
-                await this.updateOrderAction.markCancellationFailed(fulfillment.order_id);
-                logger.error(`❌ AWB cancellation failed`);
+            const job = await jobQueue.enqueue('awb.cancel', { fulfillment: req.body });
+            res.status(200).json({ received: true, jobId: job.id });
+        } catch (error) {
+            logger.error(`❌ Failed to queue AWB cancellation: ${error.message}`);
+            res.status(500).json({ received: false, error: 'Failed to queue webhook' });
+        }
+    }
+
+    /**
+     * Job: cancel the AWB of a cancelled fulfillment
+     * Cargus outages are thrown back to the queue (backoff, retries, dead letter)
+     * @param {Object} payload - { fulfillment }
+     * @param {Object} job - Job context from the queue
+     */
+    async processFulfillmentCancellation({ fulfillment }, job) {
+        logger.info(`🚫 AWB cancellation: ${fulfillment.tracking_number || fulfillment.id}`);
+
+        // Process cancellation using action
+        const cancellationResult = await this.cancelAwbAction.processWebhookCancellation(fulfillment);
+
+        if (cancellationResult.success) {
+            if (!cancellationResult.skipped) {
+                await this.updateOrderAction.addCancellationInfo(
+                    fulfillment.order_id, 
+                    cancellationResult.awbBarcode
+                );
+                logger.info(`✅ AWB ${cancellationResult.awbBarcode} cancelled`);
             }
+        } else {
+            await this.updateOrderAction.markCancellationFailed(fulfillment.order_id);
+            logger.error(`❌ AWB cancellation failed: ${cancellationResult.error}`);
 
-        } catch (error) {
-            logger.error(`❌ Cancellation webhook error: ${error.message}`);
+            if (cancellationResult.retryable) {
+                throw new Error(`AWB cancellation failed: ${cancellationResult.error}`);
+            }
         }
     }
 
@@ -0,0 +1,87 @@
+import { skuMappings } from '../services/SkuMappingService.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * SKU Mapping Controller
+ *
+ * Admin endpoints for the Shopify SKU -> Oblio product code table:
+ * CRUD, CSV import/export and the unmapped SKU report.
+ */
+class SkuMappingController {
+    /**
+     * List mappings and unmapped SKUs
+     */
+    async list(req, res) {
+        res.json({
+            success: true,
+            mappings: skuMappings.list(),
+            unmapped: skuMappings.listUnmapped()
+        });
+    }
+
+    /**
+     * Unmapped SKUs seen by invoicing, inventory sync and the Oblio webhook
+     */
+    async listUnmapped(req, res) {
+        res.json({ success: true, unmapped: skuMappings.listUnmapped() });
+    }
+
+    /**
+     * Create or replace a mapping
+     * Body: { oblioCode }
+     */
+    async set(req, res) {
+        try {
+            const mapping = await skuMappings.set(req.params.sku, req.body?.oblioCode);
+
+            logger.info(`🔗 SKU ${mapping.sku} mapped to Oblio code ${mapping.oblioCode}`);
+
+            res.json({ success: true, mapping });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Delete a mapping
+     */
+    async remove(req, res) {
+        const removed = await skuMappings.remove(req.params.sku);
+
+        if (!removed) {
+            return res.status(404).json({ success: false, error: 'Mapping not found' });
+        }
+
+        res.json({ success: true });
+    }
+
+    /**
+     * Import mappings from a CSV body (shopify_sku,oblio_code)
+     * Query: replace=true drops the existing mappings first
+     */
+    async importCsv(req, res) {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ success: false, error: 'Send the CSV as the request body (Content-Type: text/csv)' });
+        }
+
+        try {
+            const result = await skuMappings.importCsv(req.body, { replace: req.query.replace === 'true' });
+            res.json({ success: result.errors.length === 0, ...result });
+
+        } catch (error) {
+            res.status(400).json({ success: false, error: error.message });
+        }
+    }
+
+    /**
+     * Export mappings as CSV
+     */
+    async exportCsv(req, res) {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', 'attachment; filename="sku-mappings.csv"');
+        res.send(skuMappings.exportCsv());
+    }
+}
+
+export default new SkuMappingController();
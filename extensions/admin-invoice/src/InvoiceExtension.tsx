@@ -170,6 +170,7 @@ function App() {
             id
             name
             createdAt
+            processedAt
             email
             phone
             totalPriceSet {
@@ -178,8 +179,37 @@ function App() {
                 currencyCode
               }
             }
+            currentTotalPriceSet {
+              shopMoney {
+                amount
+              }
+            }
+            discountApplications(first: 20) {
+              edges {
+                node {
+                  __typename
+                  index
+                  allocationMethod
+                  targetSelection
+                  targetType
+                  ... on DiscountCodeApplication {
+                    code
+                  }
+                  ... on AutomaticDiscountApplication {
+                    title
+                  }
+                  ... on ManualDiscountApplication {
+                    title
+                  }
+                  ... on ScriptDiscountApplication {
+                    title
+                  }
+                }
+              }
+            }
             displayFinancialStatus
             taxesIncluded
+            sourceName
             billingAddress {
               firstName
               lastName
@@ -188,8 +218,10 @@ function App() {
               address2
               city
               province
+              provinceCode
               zip
               country
+              countryCodeV2
               phone
             }
             shippingAddress {
@@ -200,13 +232,32 @@ function App() {
               address2
               city
               province
+              provinceCode
               zip
               country
+              countryCodeV2
               phone
             }
             customer {
               id
               email
+              tags
+            }
+            fulfillments(first: 10) {
+              status
+              location {
+                id
+              }
+              fulfillmentLineItems(first: 50) {
+                edges {
+                  node {
+                    quantity
+                    lineItem {
+                      id
+                    }
+                  }
+                }
+              }
             }
             lineItems(first: 50) {
               edges {
@@ -214,6 +265,7 @@ function App() {
                   id
                   title
                   quantity
+                  currentQuantity
                   originalUnitPriceSet {
                     shopMoney {
                       amount
@@ -221,6 +273,9 @@ function App() {
                     }
                   }
                   sku
+                  variant {
+                    barcode
+                  }
                   taxLines {
                     rate
                     title
@@ -231,6 +286,9 @@ function App() {
                         amount
                       }
                     }
+                    discountApplication {
+                      index
+                    }
                   }
                 }
               }
@@ -251,6 +309,19 @@ function App() {
                       currencyCode
                     }
                   }
+                  taxLines {
+                    rate
+                  }
+                  discountAllocations {
+                    allocatedAmountSet {
+                      shopMoney {
+                        amount
+                      }
+                    }
+                    discountApplication {
+                      index
+                    }
+                  }
                 }
               }
             }
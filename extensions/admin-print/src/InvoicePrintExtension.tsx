@@ -0,0 +1,107 @@
+import {
+  reactExtension,
+  useApi,
+  AdminPrintAction,
+  Banner,
+  BlockStack,
+  Text,
+} from "@shopify/ui-extensions-react/admin";
+import { useEffect, useState } from "react";
+
+// The target used here must match the target used in the extension's toml file
+const TARGET = "admin.order-details.print-action.render";
+
+export default reactExtension(TARGET, () => <InvoicePrintApp />);
+
+function InvoicePrintApp() {
+  const { i18n, data } = useApi(TARGET);
+
+  // Invoice document states
+  const [invoiceUrl, setInvoiceUrl] = useState<string | null>(null);
+  const [invoiceNumber, setInvoiceNumber] = useState<string | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Extract order ID from the data
+  const orderId = data.selected?.[0]?.id;
+
+  useEffect(() => {
+    const fetchInvoiceUrl = async () => {
+      if (!orderId) {
+        setError("No order selected");
+        setIsLoading(false);
+        return;
+      }
+
+      try {
+        setIsLoading(true);
+
+        // Extract numeric order ID from GraphQL ID
+        const numericOrderId = orderId.split('/').pop();
+
+        // Fetch invoice URL from Railway backend (points to the PDF proxy endpoint)
+        // Shopify adds the session token the backend checks to this request
+        const backendUrl = 'https://primesupplements-oblio-production.up.railway.app';
+        const invoiceResponse = await fetch(`${backendUrl}/api/orders/${numericOrderId}/invoice-url`);
+
+        if (invoiceResponse.ok) {
+          const invoiceData = await invoiceResponse.json();
+          if (invoiceData.invoiceUrl) {
+            // Convert relative URL to full URL if needed
+            let fullInvoiceUrl = invoiceData.invoiceUrl;
+            if (fullInvoiceUrl.startsWith('/api/')) {
+              fullInvoiceUrl = `${backendUrl}${fullInvoiceUrl}`;
+            }
+            setInvoiceUrl(fullInvoiceUrl);
+            setInvoiceNumber(invoiceData.invoiceNumber);
+          } else {
+            setError(i18n.translate('invoiceNotAvailable'));
+          }
+        } else {
+          setError(i18n.translate('invoiceNotAvailable'));
+        }
+
+      } catch (err) {
+        console.error('Error fetching invoice URL:', err);
+        setError('Failed to load invoice');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchInvoiceUrl();
+  }, [orderId, i18n]);
+
+  if (isLoading) {
+    return (
+      <AdminPrintAction src={null}>
+        <BlockStack blockGap="base">
+          <Text>{i18n.translate('invoiceLoading')}</Text>
+        </BlockStack>
+      </AdminPrintAction>
+    );
+  }
+
+  if (error || !invoiceUrl) {
+    return (
+      <AdminPrintAction src={null}>
+        <BlockStack blockGap="base">
+          <Banner tone="critical" title={i18n.translate('invoiceNotAvailableTitle')}>
+            {error || i18n.translate('invoiceNotAvailable')}
+          </Banner>
+        </BlockStack>
+      </AdminPrintAction>
+    );
+  }
+
+  return (
+    <AdminPrintAction src={invoiceUrl}>
+      <BlockStack blockGap="base">
+        <Banner tone="info" title={i18n.translate('invoicePrintTitle')}>
+          {i18n.translate('invoicePrintBody')}
+          {invoiceNumber && <Text>{i18n.translate('invoiceNumber', { number: invoiceNumber })}</Text>}
+        </Banner>
+      </BlockStack>
+    </AdminPrintAction>
+  );
+}
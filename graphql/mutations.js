@@ -99,4 +99,18 @@ export const INVENTORY_SET_QUANTITIES = `
             }
         }
     }
-`;
\ No newline at end of file
+`;
+export const ORDER_MARK_AS_PAID = `
+    mutation OrderMarkAsPaid($input: OrderMarkAsPaidInput!) {
+        orderMarkAsPaid(input: $input) {
+            order {
+                id
+                displayFinancialStatus
+            }
+            userErrors {
+                field
+                message
+            }
+        }
+    }
+`;
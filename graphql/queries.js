@@ -112,6 +112,28 @@ export const FIND_UNFULFILLED_ORDERS = `
     }
 `;
 
+export const FIND_ORDERS_BY_QUERY = `
+    query FindOrdersByQuery($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT) {
+            edges {
+                node {
+                    id
+                    name
+                    createdAt
+                    customAttributes {
+                        key
+                        value
+                    }
+                }
+            }
+            pageInfo {
+                hasNextPage
+                endCursor
+            }
+        }
+    }
+`;
+
 export const GET_ALL_PRODUCTS = `
     query GetAllProducts($first: Int!, $after: String, $query: String) {
         products(first: $first, after: $after, query: $query) {
@@ -137,7 +159,7 @@ export const GET_ALL_PRODUCTS = `
                                 inventoryItem {
                                     id
                                     tracked
-                                    inventoryLevels(first: 3) {
+                                    inventoryLevels(first: 10) {
                                         edges {
                                             node {
                                                 quantities(names: ["available"]) {
@@ -163,4 +185,56 @@ export const GET_ALL_PRODUCTS = `
             }
         }
     }
-`;
\ No newline at end of file
+`;
+
+export const GET_LOCATIONS = `
+    query GetLocations($first: Int!) {
+        locations(first: $first) {
+            edges {
+                node {
+                    id
+                    name
+                    isActive
+                    fulfillsOnlineOrders
+                }
+            }
+        }
+    }
+`;
+
+export const GET_OPEN_ORDER_RESERVATIONS = `
+    query GetOpenOrderReservations($first: Int!, $after: String, $query: String) {
+        orders(first: $first, after: $after, query: $query) {
+            edges {
+                node {
+                    id
+                    name
+                    fulfillmentOrders(first: 3) {
+                        edges {
+                            node {
+                                status
+                                assignedLocation {
+                                    location {
+                                        id
+                                    }
+                                }
+                                lineItems(first: 25) {
+                                    edges {
+                                        node {
+                                            sku
+                                            remainingQuantity
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+            pageInfo {
+                hasNextPage
+                endCursor
+            }
+        }
+    }
+`;
@@ -0,0 +1,49 @@
+import cron from 'node-cron';
+import CodCollectionService from '../services/CodCollectionService.js';
+import { logger } from '../utils/index.js';
+
+class CodCollectionJob {
+    constructor() {
+        this.collectionService = new CodCollectionService();
+    }
+
+    /**
+     * Start the COD collection cron job
+     */
+    start() {
+        // Run every day at 10:00 (Cargus publishes payouts in the morning)
+        const cronPattern = '0 10 * * *';
+
+        logger.info('🕐 Starting COD collection cron job (daily at 10:00)');
+
+        cron.schedule(cronPattern, async () => {
+            try {
+                logger.info('💰 Starting scheduled COD collection');
+
+                const results = await this.collectionService.collectPayouts({
+                    dryRun: false
+                });
+
+                logger.info({
+                    processed: results.totalProcessed,
+                    collected: results.collected,
+                    errors: results.errors
+                }, '✅ Scheduled COD collection completed');
+
+                // Log errors if any
+                if (results.errors > 0) {
+                    results.details.filter(d => d.error).forEach(detail => {
+                        logger.error(`COD collection error for AWB ${detail.awb}: ${detail.error}`);
+                    });
+                }
+
+            } catch (error) {
+                logger.error({ error: error.message }, '❌ Scheduled COD collection failed');
+            }
+        }, { timezone: 'Europe/Bucharest' });
+
+        logger.info('✅ COD collection cron job scheduled');
+    }
+}
+
+export default CodCollectionJob;
@@ -0,0 +1,48 @@
+import cron from 'node-cron';
+import EInvoiceService from '../services/EInvoiceService.js';
+import { logger } from '../utils/index.js';
+
+class EInvoiceStatusJob {
+    constructor() {
+        this.eInvoiceService = new EInvoiceService();
+    }
+
+    /**
+     * Start the e-Factura status cron job
+     */
+    start() {
+        // Run every hour at :30; ANAF usually answers within minutes to a few hours
+        const cronPattern = '30 * * * *';
+
+        logger.info('🕐 Starting e-Factura status cron job (hourly)');
+
+        cron.schedule(cronPattern, async () => {
+            try {
+                const results = await this.eInvoiceService.syncStatuses({
+                    dryRun: false
+                });
+
+                logger.info({
+                    checked: results.totalProcessed,
+                    submitted: results.submitted,
+                    accepted: results.accepted,
+                    rejected: results.rejected,
+                    pending: results.pending,
+                    errors: results.errors
+                }, '✅ Scheduled e-Factura status check completed');
+
+                // Rejected invoices need manual correction in Oblio
+                results.details.filter(d => d.state === 'rejected').forEach(detail => {
+                    logger.error(`e-Factura rejected for order ${detail.orderName}: ${detail.message || 'no details'}`);
+                });
+
+            } catch (error) {
+                logger.error({ error: error.message }, '❌ Scheduled e-Factura status check failed');
+            }
+        });
+
+        logger.info('✅ e-Factura status cron job scheduled');
+    }
+}
+
+export default EInvoiceStatusJob;
@@ -1,49 +1,76 @@
 import cron from 'node-cron';
 import InventorySyncService from '../services/InventorySyncService.js';
+import { inventorySyncControl } from '../services/InventorySyncControlService.js';
 import { logger } from '../utils/index.js';
 
 class InventorySyncJob {
     constructor() {
         this.syncService = new InventorySyncService();
+        this.task = null;
     }
 
     /**
      * Start the inventory sync cron job
+     * Schedule and pause state come from inventorySyncControl (PUT /inventory/sync/schedule)
      */
     start() {
-        // Run every 10 minutes
-        const cronPattern = '*/10 * * * *';
+        this.schedule(inventorySyncControl.getSchedule());
+        inventorySyncControl.onScheduleChange(schedule => this.schedule(schedule));
+    }
 
-        logger.info('🕐 Starting inventory sync cron job (every 10 minutes)');
+    /**
+     * (Re)schedule the cron job
+     */
+    schedule({ cronPattern, paused }) {
+        if (this.task) {
+            this.task.destroy();
+        }
 
-        cron.schedule(cronPattern, async () => {
-            try {
-                logger.info('🔄 Starting scheduled inventory sync');
+        logger.info(`🕐 Starting inventory sync cron job (${cronPattern})${paused ? ' - paused' : ''}`);
 
-                const results = await this.syncService.syncInventory({
-                    dryRun: false
-                });
+        this.task = cron.schedule(cronPattern, () => this.run());
 
-                logger.info({
-                    checked: results.checked,
-                    updated: results.updated,
-                    errors: results.errors
-                }, '✅ Scheduled inventory sync completed');
-
-                // Log errors if any
-                if (results.errors > 0) {
-                    results.details.filter(d => d.error).forEach(detail => {
-                        logger.error(`Sync error for ${detail.sku}: ${detail.error}`);
-                    });
-                }
-
-            } catch (error) {
-                logger.error({ error: error.message }, '❌ Scheduled inventory sync failed');
+        logger.info('✅ Inventory sync cron job scheduled');
+    }
+
+    /**
+     * Scheduled run: skipped while paused or while another sync is running
+     */
+    async run() {
+        if (inventorySyncControl.getSchedule().paused) {
+            logger.debug('Scheduled inventory sync skipped: paused');
+            return;
+        }
+        if (inventorySyncControl.isRunning()) {
+            logger.warn('⏭️ Scheduled inventory sync skipped: another sync is still running');
+            return;
+        }
+
+        try {
+            logger.info('🔄 Starting scheduled inventory sync');
+
+            const results = await this.syncService.syncInventory({
+                dryRun: false
+            });
+
+            logger.info({
+                runId: results.runId,
+                checked: results.totalProcessed,
+                updated: results.updated,
+                errors: results.errors
+            }, '✅ Scheduled inventory sync completed');
+
+            // Log errors if any
+            if (results.errors > 0) {
+                results.details.filter(d => d.error).forEach(detail => {
+                    logger.error(`Sync error for ${detail.sku}: ${detail.error}`);
+                });
             }
-        });
 
-        logger.info('✅ Inventory sync cron job scheduled');
+        } catch (error) {
+            logger.error({ error: error.message }, '❌ Scheduled inventory sync failed');
+        }
     }
 }
 
-export default InventorySyncJob;
\ No newline at end of file
+export default InventorySyncJob;
@@ -0,0 +1,48 @@
+import cron from 'node-cron';
+import InvoiceRetryService from '../services/InvoiceRetryService.js';
+import { logger } from '../utils/index.js';
+
+class InvoiceRetryJob {
+    constructor() {
+        this.retryService = new InvoiceRetryService();
+    }
+
+    /**
+     * Start the invoice retry cron job
+     */
+    start() {
+        // Run every 15 minutes; per-order backoff decides what is actually retried
+        const cronPattern = '*/15 * * * *';
+
+        logger.info('🕐 Starting invoice retry cron job (every 15 minutes)');
+
+        cron.schedule(cronPattern, async () => {
+            try {
+                const results = await this.retryService.retryFailedInvoices({
+                    dryRun: false
+                });
+
+                logger.info({
+                    checked: results.totalProcessed,
+                    retried: results.retried,
+                    succeeded: results.succeeded,
+                    errors: results.errors
+                }, '✅ Scheduled invoice retry completed');
+
+                // Log errors if any
+                if (results.errors > 0) {
+                    results.details.filter(d => d.error).forEach(detail => {
+                        logger.error(`Retry error for order ${detail.orderName || detail.orderId}: ${detail.error}`);
+                    });
+                }
+
+            } catch (error) {
+                logger.error({ error: error.message }, '❌ Scheduled invoice retry failed');
+            }
+        });
+
+        logger.info('✅ Invoice retry cron job scheduled');
+    }
+}
+
+export default InvoiceRetryJob;
@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+// Middleware to protect admin endpoints with a static bearer token (ADMIN_API_TOKEN)
+const verifyAdminToken = (req, res, next) => {
+  const expectedToken = config.admin.apiToken;
+
+  // Admin endpoints stay closed until a token is configured
+  if (!expectedToken) {
+    logger.error({ path: req.originalUrl }, "ADMIN_API_TOKEN is not configured, admin endpoint disabled");
+    return res.status(503).json({ error: "Admin API not configured" });
+  }
+
+  const authHeader = req.headers["authorization"] || '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+
+  const expectedBuffer = Buffer.from(expectedToken);
+  const actualBuffer = Buffer.from(token);
+
+  if (expectedBuffer.length !== actualBuffer.length ||
+      !crypto.timingSafeEqual(expectedBuffer, actualBuffer)) {
+    logger.warn({ path: req.originalUrl, ip: req.ip }, 'Admin request rejected: invalid token');
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  next();
+};
+
+export default verifyAdminToken;
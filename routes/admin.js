@@ -0,0 +1,91 @@
+import express from 'express';
+import JobController from '../controllers/JobController.js';
+import SkuMappingController from '../controllers/SkuMappingController.js';
+import BundleController from '../controllers/BundleController.js';
+import InvoiceRulesController from '../controllers/InvoiceRulesController.js';
+import LocationMappingController from '../controllers/LocationMappingController.js';
+import verifyAdminToken from '../middlewares/verifyAdminToken.js';
+
+const router = express.Router();
+
+/**
+ * Admin Routes
+ * 
+ * Operational endpoints, protected by ADMIN_API_TOKEN (Authorization: Bearer <token>).
+ */
+router.use(verifyAdminToken);
+
+// ==================== JOB QUEUE ====================
+
+// GET /admin/jobs?status=dead&type=invoice.create&limit=50
+router.get('/jobs', JobController.list.bind(JobController));
+
+// GET /admin/jobs/:id
+router.get('/jobs/:id', JobController.get.bind(JobController));
+
+// POST /admin/jobs/:id/replay
+router.post('/jobs/:id/replay', JobController.replay.bind(JobController));
+
+// ==================== SKU MAPPING ====================
+
+// GET /admin/sku-mappings
+router.get('/sku-mappings', SkuMappingController.list.bind(SkuMappingController));
+
+// GET /admin/sku-mappings/unmapped
+router.get('/sku-mappings/unmapped', SkuMappingController.listUnmapped.bind(SkuMappingController));
+
+// GET /admin/sku-mappings/export (CSV)
+router.get('/sku-mappings/export', SkuMappingController.exportCsv.bind(SkuMappingController));
+
+// POST /admin/sku-mappings/import?replace=true (CSV body: shopify_sku,oblio_code)
+router.post('/sku-mappings/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+    SkuMappingController.importCsv.bind(SkuMappingController)
+);
+
+// PUT /admin/sku-mappings/:sku { oblioCode }
+router.put('/sku-mappings/:sku', SkuMappingController.set.bind(SkuMappingController));
+
+// DELETE /admin/sku-mappings/:sku
+router.delete('/sku-mappings/:sku', SkuMappingController.remove.bind(SkuMappingController));
+
+// ==================== BUNDLES ====================
+
+// GET /admin/bundles
+router.get('/bundles', BundleController.list.bind(BundleController));
+
+// GET /admin/bundles/:sku
+router.get('/bundles/:sku', BundleController.get.bind(BundleController));
+
+// PUT /admin/bundles/:sku { title?, invoiceMode?, components: [{ sku, quantity, price? }] }
+router.put('/bundles/:sku', BundleController.set.bind(BundleController));
+
+// DELETE /admin/bundles/:sku
+router.delete('/bundles/:sku', BundleController.remove.bind(BundleController));
+
+// ==================== INVOICE RULES ====================
+
+// GET /admin/invoice-rules
+router.get('/invoice-rules', InvoiceRulesController.list.bind(InvoiceRulesController));
+
+// PUT /admin/invoice-rules { rules: [{ name, match, set }] }
+router.put('/invoice-rules', InvoiceRulesController.replace.bind(InvoiceRulesController));
+
+// POST /admin/invoice-rules/validate-series
+router.post('/invoice-rules/validate-series', InvoiceRulesController.validateSeries.bind(InvoiceRulesController));
+
+// ==================== LOCATIONS ====================
+
+// GET /admin/locations
+router.get('/locations', LocationMappingController.list.bind(LocationMappingController));
+
+// GET /admin/locations/available (Shopify locations and Oblio managements)
+router.get('/locations/available', LocationMappingController.available.bind(LocationMappingController));
+
+// PUT /admin/locations/:locationId { management }
+router.put('/locations/:locationId', LocationMappingController.set.bind(LocationMappingController));
+
+// DELETE /admin/locations/:locationId
+router.delete('/locations/:locationId', LocationMappingController.remove.bind(LocationMappingController));
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import InventoryController from '../controllers/InventoryController.js';
+import verifyAdminToken from '../middlewares/verifyAdminToken.js';
+
+const router = express.Router();
+
+/**
+ * Inventory Routes
+ *
+ * Inventory sync control and history, protected by ADMIN_API_TOKEN (Authorization: Bearer <token>).
+ */
+router.use(verifyAdminToken);
+
+// ==================== SYNC CONTROL ====================
+
+// GET /inventory/sync (current run progress and schedule)
+router.get('/sync', InventoryController.status.bind(InventoryController));
+
+// POST /inventory/sync { dryRun?, skus?: [...], force? }
+router.post('/sync', InventoryController.trigger.bind(InventoryController));
+
+// POST /inventory/sync/pause
+router.post('/sync/pause', InventoryController.pause.bind(InventoryController));
+
+// POST /inventory/sync/resume
+router.post('/sync/resume', InventoryController.resume.bind(InventoryController));
+
+// PUT /inventory/sync/schedule { intervalMinutes } or { cronPattern }
+router.put('/sync/schedule', InventoryController.setSchedule.bind(InventoryController));
+
+// ==================== RUN HISTORY ====================
+
+// GET /inventory/runs?status=aborted&type=full&limit=50
+router.get('/runs', InventoryController.listRuns.bind(InventoryController));
+
+// GET /inventory/runs/:id
+router.get('/runs/:id', InventoryController.getRun.bind(InventoryController));
+
+// GET /inventory/skus/:sku/history?dryRuns=true&limit=100
+router.get('/skus/:sku/history', InventoryController.skuHistory.bind(InventoryController));
+
+export default router;
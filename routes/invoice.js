@@ -2,6 +2,7 @@ import express from 'express';
 import InvoiceController from '../controllers/InvoiceController.js';
 import { CreateInvoiceFromExtensionAction } from '../actions/CreateInvoiceFromExtension.js';
 import { UpdateOrderInvoiceAction } from '../actions/UpdateOrderInvoiceAction.js';
+import { invoiceIdempotency } from '../services/InvoiceIdempotencyService.js';
 import { logger } from '../utils/index.js';
 
 const router = express.Router();
@@ -36,7 +37,7 @@ router.post('/webhook/create', async (req, res) => {
 
 /**
  * POST /invoice/webhook/retry
- * Retry invoice creation from Shopify order update webhook
+ * Shopify order update webhook (acknowledged only, retries run in InvoiceRetryJob)
  */
 router.post('/webhook/retry', async (req, res) => {
     try {
@@ -127,14 +128,28 @@ router.post('/create-from-extension', async (req, res) => {
             lineItemCount: graphqlOrder.lineItems.edges.length
         }, 'Processing extension invoice creation request');
 
-        // Create invoice using GraphQL-native action
+        // Create invoice using GraphQL-native action (at most once per order)
         const createAction = new CreateInvoiceFromExtensionAction();
-        const result = await createAction.execute({
-            graphqlOrder,
-            orderNumber,
-            invoiceOptions,
-            customClient
-        });
+        const { duplicate, record, result } = await invoiceIdempotency.runOnce(
+            { orderId, source: 'create-from-extension' },
+            () => createAction.execute({
+                graphqlOrder,
+                orderNumber,
+                invoiceOptions,
+                customClient
+            })
+        );
+
+        if (duplicate) {
+            return res.status(409).json({
+                success: false,
+                duplicate: true,
+                data: { invoice: record.invoice },
+                error: record.status === 'completed'
+                    ? `Order already invoiced: ${record.invoice.series} ${record.invoice.number}`
+                    : 'Invoice creation already in progress for this order'
+            });
+        }
 
         if (result.success) {
             logger.info({
@@ -1,11 +1,21 @@
 import express from 'express';
+import axios from 'axios';
+import crypto from 'crypto';
 import ShopifyService from '../services/ShopifyService.js';
 import CargusService from '../services/CargusService.js';
+import OblioService from '../services/OblioService.js';
 import config from '../config/AppConfig.js';
-import { logger } from '../utils/index.js';
+import { logger, getInvoiceFromOrder } from '../utils/index.js';
+import verifyShopifySessionToken from '../middlewares/verifyShopifySessionToken.js';
 
 const router = express.Router();
 
+// Public URL of this backend, used for the document proxy links
+const BACKEND_URL = 'https://primesupplements-oblio-production.up.railway.app';
+
+// Lifetime of the signed invoice document links (the print iframe loads them right away)
+const DOCUMENT_LINK_TTL_SECONDS = 10 * 60;
+
 // Initialize Shopify service
 const shopifyService = new ShopifyService(
     config.shopify.B2C_SHOPIFY_SHOPNAME,
@@ -19,6 +29,53 @@ const cargusService = new CargusService(
     config.cargus.password
 );
 
+// Initialize Oblio service
+const oblioService = new OblioService();
+
+/**
+ * Headers that let Shopify admin print extensions embed the document
+ */
+function setEmbeddableDocumentHeaders(res) {
+    // CORS headers - allow from any origin for Shopify admin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Type, Content-Disposition, Content-Length');
+
+    // Cache control
+    res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+
+    // CSP headers to allow embedding in Shopify admin iframes
+    res.setHeader('Content-Security-Policy', "frame-ancestors 'self' https://*.shopify.com https://*.admin.shopify.com https://*.admin.shopify.io https://extensions.shopifycdn.com https://*.extensions.shopifycdn.com");
+
+    // Remove X-Frame-Options as it conflicts with CSP frame-ancestors
+    res.removeHeader('X-Frame-Options');
+}
+
+/**
+ * Signature of an invoice document link
+ * The print iframe cannot send the session token, so the link itself is signed
+ */
+function signInvoiceDocument(orderId, expires) {
+    return crypto.createHmac('sha256', config.shopify.apiSecret)
+        .update(`invoice-document:${orderId}:${expires}`)
+        .digest('hex');
+}
+
+/**
+ * Check the signature and expiry of an invoice document link
+ */
+function isValidInvoiceDocumentLink(orderId, { expires, signature } = {}) {
+    if (!config.shopify.apiSecret || !expires || typeof signature !== 'string') return false;
+    if (!(Number(expires) > Math.floor(Date.now() / 1000))) return false;
+
+    const expected = Buffer.from(signInvoiceDocument(orderId, expires));
+    const actual = Buffer.from(signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
 
 /**
  * Get AWB/shipping label URL for an order
@@ -51,7 +108,7 @@ router.get('/orders/:orderId/awb-url', async (req, res) => {
             if (awbNumberAttr) {
                 awbNumber = awbNumberAttr.value;
                 // Use our proxy endpoint for AWB document (handles Cargus authentication)
-                awbUrl = `https://primesupplements-oblio-production.up.railway.app/api/awb-document/${awbNumber}`;
+                awbUrl = `${BACKEND_URL}/api/awb-document/${awbNumber}`;
             }
         }
         
@@ -61,7 +118,7 @@ router.get('/orders/:orderId/awb-url', async (req, res) => {
             if (fulfillment && fulfillment.tracking_number) {
                 awbNumber = fulfillment.tracking_number;
                 // Use our proxy endpoint for AWB document (handles Cargus authentication)
-                awbUrl = `https://primesupplements-oblio-production.up.railway.app/api/awb-document/${awbNumber}`;
+                awbUrl = `${BACKEND_URL}/api/awb-document/${awbNumber}`;
             }
         }
         
@@ -123,22 +180,7 @@ router.get('/awb-document/:awbNumber', async (req, res) => {
             });
         }
 
-        // CORS headers - allow from any origin for Shopify admin
-        res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-        res.setHeader('Access-Control-Expose-Headers', 'Content-Type, Content-Disposition, Content-Length');
-
-        // Cache control
-        res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
-        res.setHeader('Pragma', 'no-cache');
-        res.setHeader('Expires', '0');
-
-        // CSP headers to allow embedding in Shopify admin iframes
-        res.setHeader('Content-Security-Policy', "frame-ancestors 'self' https://*.shopify.com https://*.admin.shopify.com https://*.admin.shopify.io https://extensions.shopifycdn.com https://*.extensions.shopifycdn.com");
-
-        // Remove X-Frame-Options as it conflicts with CSP frame-ancestors
-        res.removeHeader('X-Frame-Options');
+        setEmbeddableDocumentHeaders(res);
 
         // Serve the HTML document directly (works in Shopify's sandboxed iframe)
         let htmlContent;
@@ -167,5 +209,131 @@ router.get('/awb-document/:awbNumber', async (req, res) => {
     }
 });
 
+/**
+ * Get invoice document URL for an order
+ * GET /api/orders/:orderId/invoice-url
+ */
+router.get('/orders/:orderId/invoice-url', verifyShopifySessionToken, async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        logger.info({ orderId }, 'Fetching invoice URL for order');
+
+        const order = await shopifyService.getOrder(orderId);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                error: 'Order not found'
+            });
+        }
+
+        const invoice = getInvoiceFromOrder(order);
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found for this order'
+            });
+        }
+
+        // Use our proxy endpoint for the invoice PDF (embeddable in Shopify admin), with a short-lived signature
+        const expires = Math.floor(Date.now() / 1000) + DOCUMENT_LINK_TTL_SECONDS;
+        const invoiceUrl = `${BACKEND_URL}/api/invoice-document/${order.id}?expires=${expires}&signature=${signInvoiceDocument(order.id, expires)}`;
+
+        logger.info({ orderId, invoice: `${invoice.series}${invoice.number}` }, 'Invoice URL found');
+
+        res.json({
+            success: true,
+            invoiceUrl,
+            invoiceNumber: `${invoice.series}${invoice.number}`,
+            invoiceSeries: invoice.series,
+            oblioUrl: invoice.url,
+            orderId
+        });
+
+    } catch (error) {
+        logger.error({ orderId: req.params.orderId, error: error.message }, 'Failed to get invoice URL');
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retrieve invoice URL'
+        });
+    }
+});
+
+/**
+ * Proxy endpoint to serve the Oblio invoice PDF of an order
+ * GET /api/invoice-document/:orderId?expires=...&signature=... (link from invoice-url)
+ */
+router.options('/invoice-document/:orderId', (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.sendStatus(200);
+});
+
+router.get('/invoice-document/:orderId', async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!isValidInvoiceDocumentLink(orderId, req.query)) {
+            logger.warn({ orderId, ip: req.ip }, 'Invoice document request rejected: invalid or expired link');
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid or expired invoice document link'
+            });
+        }
+
+        const order = await shopifyService.getOrder(orderId);
+        const invoice = order ? getInvoiceFromOrder(order) : null;
+
+        if (!invoice) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice not found for this order'
+            });
+        }
+
+        logger.info({ orderId, invoice: `${invoice.series}${invoice.number}` }, 'Fetching invoice document from Oblio');
+
+        // Oblio returns a fresh public PDF link with the invoice details
+        const oblioInvoice = await oblioService.getInvoice(config.oblio.OBLIO_COMPANY_CIF, invoice.series, invoice.number);
+        const pdfLink = oblioInvoice?.data?.link;
+
+        if (!pdfLink) {
+            return res.status(404).json({
+                success: false,
+                error: 'Invoice document not found in Oblio'
+            });
+        }
+
+        const pdfResponse = await axios.get(pdfLink, {
+            responseType: 'stream',
+            timeout: 30000
+        });
+
+        setEmbeddableDocumentHeaders(res);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="factura-${invoice.series}${invoice.number}.pdf"`);
+        if (pdfResponse.headers['content-length']) {
+            res.setHeader('Content-Length', pdfResponse.headers['content-length']);
+        }
+
+        pdfResponse.data.on('error', (streamError) => {
+            logger.error({ orderId, error: streamError.message }, 'Invoice document stream failed');
+            res.destroy(streamError);
+        });
+
+        logger.info({ orderId, invoice: `${invoice.series}${invoice.number}` }, 'Invoice document served as PDF');
+        pdfResponse.data.pipe(res);
+
+    } catch (error) {
+        logger.error({ orderId: req.params.orderId, error: error.message }, 'Failed to fetch invoice document');
+        res.status(error.response?.status === 404 ? 404 : 500).json({
+            success: false,
+            error: 'Failed to retrieve invoice document'
+        });
+    }
+});
 
 export default router;
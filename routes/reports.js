@@ -0,0 +1,17 @@
+import express from 'express';
+import ReportController from '../controllers/ReportController.js';
+import verifyAdminToken from '../middlewares/verifyAdminToken.js';
+
+const router = express.Router();
+
+/**
+ * Report Routes
+ *
+ * Accounting reports, protected by ADMIN_API_TOKEN (Authorization: Bearer <token>).
+ */
+router.use(verifyAdminToken);
+
+// GET /reports/invoices?from=2026-01-01&to=2026-01-31
+router.get('/invoices', ReportController.invoices.bind(ReportController));
+
+export default router;
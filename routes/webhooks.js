@@ -12,12 +12,36 @@ router.post('/shopify/invoice/create',
     InvoiceController.createFromShopifyOrder.bind(InvoiceController)
 );
 
-// Shopify webhook: Order updated -> Retry invoice creation if has EROARE FACTURARE tag
+// Shopify webhook: Order updated -> Acknowledged only, failed invoices are retried by InvoiceRetryJob
 router.post('/shopify/invoice/retry', 
     verifyShopifyWebhook, 
     InvoiceController.retryFromShopifyOrderUpdate.bind(InvoiceController)
 );
 
+// Shopify webhook: Order created -> Create Oblio proforma for bank-transfer orders
+router.post('/shopify/proforma/create',
+    verifyShopifyWebhook,
+    InvoiceController.createProformaFromShopifyOrder.bind(InvoiceController)
+);
+
+// Shopify webhook: Order paid -> Convert proforma into the final invoice
+router.post('/shopify/proforma/convert',
+    verifyShopifyWebhook,
+    InvoiceController.convertProformaFromShopifyOrder.bind(InvoiceController)
+);
+
+// Shopify webhook: Refund created -> Create Oblio storno for the invoiced order
+router.post('/shopify/refund/create',
+    verifyShopifyWebhook,
+    InvoiceController.createStornoFromShopifyRefund.bind(InvoiceController)
+);
+
+// Shopify webhook: Order cancelled -> Cancel Oblio invoice (or storno if not latest in series)
+router.post('/shopify/order/cancelled',
+    verifyShopifyWebhook,
+    InvoiceController.cancelFromShopifyOrder.bind(InvoiceController)
+);
+
 // Oblio webhook: Stock updates
 router.post('/oblio/stock',
     verifyOblioWebhook,
@@ -0,0 +1,38 @@
+import CodCollectionService from '../services/CodCollectionService.js';
+import { logger } from '../utils/index.js';
+
+// Load environment variables
+import dotenv from 'dotenv';
+dotenv.config();
+
+async function runCodCollection() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run') || args.includes('-d');
+    const fromDate = args.find(arg => arg.startsWith('--from='))?.split('=')[1];
+    const toDate = args.find(arg => arg.startsWith('--to='))?.split('=')[1];
+
+    try {
+        const collectionService = new CodCollectionService();
+        const results = await collectionService.collectPayouts({ dryRun, fromDate, toDate });
+
+        // Show errors if any
+        if (results.errors > 0) {
+            logger.warn(`⚠️  ${results.errors} errors occurred:`);
+            results.details.filter(d => d.error).forEach(detail => {
+                logger.error(`   ${detail.awb}: ${detail.error}`);
+            });
+        }
+
+        // Show next steps
+        if (dryRun && results.collected > 0) {
+            logger.info('💡 To register the collections, run: npm run cod:collect');
+        }
+
+    } catch (error) {
+        logger.error({ error: error.message }, '❌ COD collection failed');
+        process.exit(1);
+    }
+}
+
+
+runCodCollection();
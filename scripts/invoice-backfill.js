@@ -0,0 +1,60 @@
+import fs from 'fs';
+import InvoiceBackfillService from '../services/InvoiceBackfillService.js';
+import { logger } from '../utils/index.js';
+
+// Load environment variables
+import dotenv from 'dotenv';
+dotenv.config();
+
+async function runInvoiceBackfill() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run') || args.includes('-d');
+    const fromDate = args.find(arg => arg.startsWith('--from='))?.split('=')[1];
+    const toDate = args.find(arg => arg.startsWith('--to='))?.split('=')[1];
+    const limit = args.find(arg => arg.startsWith('--limit='))?.split('=')[1];
+    const output = args.find(arg => arg.startsWith('--output='))?.split('=')[1];
+
+    try {
+        const backfillService = new InvoiceBackfillService();
+        const results = await backfillService.backfill({
+            dryRun,
+            fromDate,
+            toDate,
+            ...(limit && { limit: parseInt(limit, 10) })
+        });
+
+        // Show what was (or would be) invoiced and skipped
+        results.details.filter(d => d.invoiced).forEach(detail => {
+            logger.info(`   ${detail.orderName}: ${detail.reason}`);
+        });
+        results.details.filter(d => !d.invoiced && !d.error).forEach(detail => {
+            logger.info(`   ${detail.orderName}: skipped - ${detail.reason}`);
+        });
+
+        // Show errors if any
+        if (results.errors > 0) {
+            logger.warn(`⚠️  ${results.errors} errors occurred:`);
+            results.details.filter(d => d.error).forEach(detail => {
+                logger.error(`   ${detail.orderName}: ${detail.error}`);
+            });
+        }
+
+        // Full report, with the Oblio payloads in dry-run mode
+        if (output) {
+            fs.writeFileSync(output, JSON.stringify(results, null, 2));
+            logger.info(`📄 Report written to ${output}`);
+        }
+
+        // Show next steps
+        if (dryRun && results.invoiced > 0) {
+            logger.info(`💡 To issue the invoices, run: npm run invoices:backfill -- --from=${results.fromDate} --to=${results.toDate}`);
+        }
+
+    } catch (error) {
+        logger.error({ error: error.message }, '❌ Invoice backfill failed');
+        process.exit(1);
+    }
+}
+
+
+runInvoiceBackfill();
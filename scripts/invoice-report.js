@@ -0,0 +1,44 @@
+import fs from 'fs';
+import InvoiceReconciliationService from '../services/InvoiceReconciliationService.js';
+import { logger } from '../utils/index.js';
+
+// Load environment variables
+import dotenv from 'dotenv';
+dotenv.config();
+
+async function runInvoiceReport() {
+    const args = process.argv.slice(2);
+    const fromDate = args.find(arg => arg.startsWith('--from='))?.split('=')[1];
+    const toDate = args.find(arg => arg.startsWith('--to='))?.split('=')[1];
+    const output = args.find(arg => arg.startsWith('--output='))?.split('=')[1];
+
+    try {
+        const reconciliationService = new InvoiceReconciliationService();
+        const report = await reconciliationService.buildReport({ fromDate, toDate });
+
+        report.missingInvoices.forEach(row => {
+            logger.warn(`   ${row.orderName}: no invoice (${row.fulfillmentStatus}, ${row.financialStatus}${row.proforma ? `, proforma ${row.proforma}` : ''})`);
+        });
+        report.unknownInvoices.forEach(row => {
+            logger.warn(`   ${row.orderName}: ${row.invoice} - ${row.reason}`);
+        });
+        report.amountMismatches.forEach(row => {
+            logger.warn(`   ${row.orderName}: ${row.invoice} total ${row.oblioTotal} vs Shopify ${row.shopifyTotal} ${row.currency} (${row.difference > 0 ? '+' : ''}${row.difference})`);
+        });
+        report.duplicates.forEach(row => {
+            logger.warn(`   ${row.orderName}: ${row.invoices.length} invoices (${row.invoices.join(', ')})`);
+        });
+
+        if (output) {
+            fs.writeFileSync(output, JSON.stringify(report, null, 2));
+            logger.info(`📄 Report written to ${output}`);
+        }
+
+    } catch (error) {
+        logger.error({ error: error.message }, '❌ Invoice reconciliation report failed');
+        process.exit(1);
+    }
+}
+
+
+runInvoiceReport();
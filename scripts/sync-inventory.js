@@ -9,10 +9,11 @@ async function runInventorySync() {
     const args = process.argv.slice(2);
     const dryRun = args.includes('--dry-run') || args.includes('-d');
     const skuFilter = args.find(arg => arg.startsWith('--sku='))?.split('=')[1]?.split(',');
+    const force = args.includes('--force');
 
     try {
         const syncService = new InventorySyncService();
-        const results = await syncService.syncInventory({ dryRun, skuFilter });
+        const results = await syncService.syncInventory({ dryRun, skuFilter, force });
 
         // Show errors if any
         if (results.errors > 0) {
@@ -22,8 +23,13 @@ async function runInventorySync() {
             });
         }
 
+        logger.info(`🗂️  Run recorded: GET /inventory/runs/${results.runId}`);
+
         // Show next steps
-        if (dryRun && results.updated > 0) {
+        if (dryRun && results.guardViolations?.length > 0) {
+            results.guardViolations.forEach(violation => logger.warn(`   ${violation}`));
+            logger.info('💡 Check the Oblio data first; to sync anyway, run: npm run sync:inventory -- --force');
+        } else if (dryRun && results.updated > 0) {
             logger.info('💡 To perform actual sync, run: npm run sync:inventory');
         }
 
@@ -5,8 +5,17 @@ import webhookRoutes from "./routes/webhooks.js";
 import shippingRoutes from "./routes/shipping.js";
 import printRoutes from "./routes/print.js";
 import invoiceRoutes from "./routes/invoice.js";
+import adminRoutes from "./routes/admin.js";
+import reportRoutes from "./routes/reports.js";
+import inventoryRoutes from "./routes/inventory.js";
 import { captureRawBody } from "./middlewares/verifyShopifyWebhook.js";
 import InventorySyncJob from "./jobs/inventorySyncJob.js";
+import CodCollectionJob from "./jobs/codCollectionJob.js";
+import InvoiceRetryJob from "./jobs/invoiceRetryJob.js";
+import EInvoiceStatusJob from "./jobs/eInvoiceStatusJob.js";
+import { jobQueue } from "./services/JobQueueService.js";
+import { invoiceRules } from "./services/InvoiceRulesService.js";
+import OblioService from "./services/OblioService.js";
 
 const app = express();
 
@@ -48,6 +57,9 @@ app.use('/webhooks', webhookRoutes);
 app.use('/shipping', shippingRoutes);
 app.use('/invoice', invoiceRoutes);
 app.use('/api', printRoutes);
+app.use('/admin', adminRoutes);
+app.use('/reports', reportRoutes);
+app.use('/inventory', inventoryRoutes);
 
 // Basic health check
 app.get('/', (req, res) => {
@@ -59,12 +71,39 @@ const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
     logger.info({ port: PORT }, 'Server started');
     logger.info({ endpoint: `/webhooks/shopify/invoice/create` }, 'Invoice webhook endpoint available');
+    logger.info({ endpoint: `/webhooks/shopify/proforma/create` }, 'Proforma webhook endpoint available (orders/create)');
+    logger.info({ endpoint: `/webhooks/shopify/proforma/convert` }, 'Proforma conversion webhook endpoint available (orders/paid)');
+    logger.info({ endpoint: `/webhooks/shopify/refund/create` }, 'Refund storno webhook endpoint available');
+    logger.info({ endpoint: `/webhooks/shopify/order/cancelled` }, 'Order cancellation webhook endpoint available');
     logger.info({ endpoint: `/invoice/create` }, 'Invoice extension endpoint available');
     logger.info({ endpoint: `/invoice/anaf/validate` }, 'ANAF validation endpoint available');
     logger.info({ endpoint: `/shipping/create` }, 'Shipping label endpoint available');
     logger.info({ endpoint: `/shipping/create-label` }, 'Extension shipping label endpoint available (secured)');
+    logger.info({ endpoint: `/admin/jobs` }, 'Job queue admin endpoint available (ADMIN_API_TOKEN)');
+    logger.info({ endpoint: `/reports/invoices` }, 'Invoice reconciliation report available (ADMIN_API_TOKEN)');
+    logger.info({ endpoint: `/inventory/sync` }, 'Inventory sync control endpoint available (ADMIN_API_TOKEN)');
+
+    // Check the invoice series (config and rules) exist in Oblio
+    Promise.resolve()
+        .then(() => invoiceRules.validateSeries(new OblioService()))
+        .catch(error => logger.error({ error: error.message }, 'Could not validate invoice series against Oblio'));
+
+    // Start webhook job queue workers
+    jobQueue.start();
 
     // Start inventory sync cron job
     const inventoryJob = new InventorySyncJob();
     inventoryJob.start();
+
+    // Start COD collection cron job
+    const codJob = new CodCollectionJob();
+    codJob.start();
+
+    // Start failed invoice retry cron job
+    const retryJob = new InvoiceRetryJob();
+    retryJob.start();
+
+    // Start e-Factura (SPV) status cron job
+    const eInvoiceJob = new EInvoiceStatusJob();
+    eInvoiceJob.start();
 });
@@ -0,0 +1,179 @@
+import fs from 'fs';
+import axios from 'axios';
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * BNR exchange rates
+ *
+ * Reference rates published by Banca Nationala a Romaniei, parsed from the
+ * BNR XML feed and cached in DATA_DIR. Set BNR_RATES_FIXTURE to a local BNR
+ * XML file to run without the live feed.
+ *
+ * The rate for an invoice date is the last one published before that date
+ * (BNR publishes around 13:00, the rate applies from the next day).
+ *
+ * Cache: { rates: { [YYYY-MM-DD]: { EUR: 4.9765, ... } }, coveredUntil }
+ */
+export default class BnrExchangeRateService {
+    constructor(store = null, fixturePath = config.bnr.fixturePath) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('bnr-rates.json', { rates: {}, coveredUntil: null });
+        this.fixturePath = fixturePath;
+        this.api = axios.create({
+            baseURL: config.bnr.baseURL,
+            timeout: 30000,
+            responseType: 'text'
+        });
+    }
+
+    /**
+     * Get the BNR rate (RON per unit) applicable on a date
+     * @param {string} currency - ISO currency code (e.g. 'EUR')
+     * @param {string} date - Invoice date (YYYY-MM-DD), defaults to today
+     * @returns {Promise<Object>} { currency, rate, date } where date is the BNR publication date
+     */
+    async getRate(currency, date = this._today()) {
+        const code = currency?.toUpperCase();
+        if (!code || code === config.bnr.localCurrency) {
+            return { currency: config.bnr.localCurrency, rate: 1, date };
+        }
+
+        let found = this._findRate(code, date);
+
+        if (!found || date > (this.store.get().coveredUntil || '')) {
+            await this._refresh(date);
+            found = this._findRate(code, date);
+        }
+
+        if (!found) {
+            throw new Error(`No BNR exchange rate for ${code} before ${date}`);
+        }
+
+        return { currency: code, rate: found.rate, date: found.date };
+    }
+
+    /**
+     * Set the currency fields of an Oblio document payload
+     * Foreign-currency documents keep the order currency and carry the BNR
+     * rate of the issue date for the RON conversion.
+     * @param {Object} documentData - Oblio invoice/proforma/storno payload (mutated)
+     * @param {string} currency - Order currency, defaults to the products currency
+     * @returns {Promise<Object>} The same payload
+     */
+    async applyToDocument(documentData, currency = documentData.products?.[0]?.currency) {
+        const code = (currency || config.bnr.localCurrency).toUpperCase();
+        documentData.currency = code;
+
+        if (code === config.bnr.localCurrency) {
+            return documentData;
+        }
+
+        const { rate, date } = await this.getRate(code, documentData.issueDate || this._today());
+        documentData.exchangeCurrency = config.bnr.localCurrency;
+        documentData.exchangeRate = rate;
+
+        logger.info({ currency: code, rate, rateDate: date, issueDate: documentData.issueDate }, 'BNR exchange rate applied');
+
+        return documentData;
+    }
+
+    /**
+     * Parse a BNR XML document (daily, 10-day or yearly feed)
+     * @param {string} xml - BNR XML
+     * @returns {Object} { [YYYY-MM-DD]: { [currency]: rate } }, rates per 1 unit
+     */
+    parseXml(xml) {
+        const days = {};
+        const cubePattern = /<Cube\s+date="(\d{4}-\d{2}-\d{2})"\s*>([\s\S]*?)<\/Cube>/g;
+        const ratePattern = /<Rate\s+currency="([A-Z]{3})"(?:\s+multiplier="(\d+)")?\s*>([\d.]+)<\/Rate>/g;
+
+        for (const [, date, body] of xml.matchAll(cubePattern)) {
+            days[date] = {};
+            for (const [, currency, multiplier, value] of body.matchAll(ratePattern)) {
+                // HUF, JPY, ... are quoted per 100 units
+                days[date][currency] = parseFloat((parseFloat(value) / (multiplier ? parseInt(multiplier, 10) : 1)).toFixed(6));
+            }
+        }
+
+        return days;
+    }
+
+    /**
+     * Latest cached rate published before the date
+     * @private
+     */
+    _findRate(currency, date) {
+        const rates = this.store.get().rates;
+        const previous = Object.keys(rates)
+            .filter(day => day < date && rates[day][currency] !== undefined)
+            .sort()
+            .pop();
+
+        return previous ? { date: previous, rate: rates[previous][currency] } : null;
+    }
+
+    /**
+     * Load the rates covering a date into the cache
+     * @private
+     */
+    async _refresh(date) {
+        const today = this._today();
+        const days = {};
+
+        for (const xml of await this._fetchFeeds(date, today)) {
+            Object.assign(days, this.parseXml(xml));
+        }
+
+        const data = this.store.get();
+        Object.assign(data.rates, days);
+        // A feed reaching the latest publication means everything before today is cached
+        const latest = Object.keys(days).sort().pop();
+        if (latest && (new Date(today) - new Date(latest)) / DAY_MS < 7 && (!data.coveredUntil || today > data.coveredUntil)) {
+            data.coveredUntil = today;
+        }
+        await this.store.save();
+
+        logger.info({ date, days: Object.keys(days).length, source: this.fixturePath || config.bnr.baseURL }, 'BNR exchange rates refreshed');
+    }
+
+    /**
+     * Fixture file, 10-day feed for recent dates, yearly archives otherwise
+     * @private
+     */
+    async _fetchFeeds(date, today) {
+        if (this.fixturePath) {
+            return [await fs.promises.readFile(this.fixturePath, 'utf8')];
+        }
+
+        const ageDays = (new Date(today) - new Date(date)) / DAY_MS;
+        if (ageDays < 7) {
+            const response = await this.api.get('/nbrfxrates10days.xml');
+            return [response.data];
+        }
+
+        // The previous rate may have been published in the previous year (early January)
+        const lookback = new Date(new Date(date).getTime() - 10 * DAY_MS).getUTCFullYear();
+        const years = [...new Set([lookback, new Date(date).getUTCFullYear()])];
+
+        const feeds = [];
+        for (const year of years) {
+            const response = await this.api.get(`/files/xml/years/nbrfxr${year}.xml`);
+            feeds.push(response.data);
+        }
+        return feeds;
+    }
+
+    /**
+     * @private
+     */
+    _today() {
+        return new Date().toISOString().split('T')[0];
+    }
+}
+
+// Shared instance so every invoice flow uses the same rate cache
+export const bnrExchangeRates = new BnrExchangeRateService();
@@ -0,0 +1,252 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+
+const INVOICE_MODES = ['expand', 'single'];
+
+/**
+ * Bundles (kits)
+ *
+ * A bundle is a single Shopify product made of several Oblio products.
+ * On invoices a bundle is either expanded into its components, with the
+ * bundle price split proportionally to the component list prices, or kept
+ * as one line ('single' mode, the bundle is a composite product in Oblio
+ * that consumes the component stock). Its available stock is the number of
+ * complete bundles the component stock allows.
+ *
+ * Records: { bundles: { [sku]: { title, invoiceMode, components: [{ sku, title, quantity, price }], updatedAt } } }
+ */
+export default class BundleService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('bundles.json', { bundles: {} });
+    }
+
+    /**
+     * All bundles, sorted by SKU
+     * @returns {Array<Object>}
+     */
+    list() {
+        return Object.entries(this.store.get().bundles)
+            .map(([sku, bundle]) => ({ sku, ...bundle }))
+            .sort((a, b) => a.sku.localeCompare(b.sku));
+    }
+
+    /**
+     * Get a bundle by its Shopify SKU
+     * @param {string} sku - Bundle SKU
+     * @returns {Object|null}
+     */
+    get(sku) {
+        const bundle = sku ? this.store.get().bundles[sku] : null;
+        return bundle ? { sku, ...bundle } : null;
+    }
+
+    /**
+     * Create or replace a bundle
+     * @param {string} sku - Bundle SKU
+     * @param {Object} definition - { title, invoiceMode, components: [{ sku, quantity, title, price }] }
+     * @returns {Promise<Object>} Saved bundle
+     */
+    async set(sku, { title = null, invoiceMode = null, components = [] } = {}) {
+        const bundleSku = String(sku ?? '').trim();
+        if (!bundleSku) {
+            throw new Error('Bundle SKU is required');
+        }
+
+        if (invoiceMode && !INVOICE_MODES.includes(invoiceMode)) {
+            throw new Error(`invoiceMode must be one of: ${INVOICE_MODES.join(', ')}`);
+        }
+
+        if (!Array.isArray(components) || components.length === 0) {
+            throw new Error('A bundle needs at least one component');
+        }
+
+        const cleanComponents = components.map(component => {
+            const componentSku = String(component?.sku ?? '').trim();
+            const quantity = Number(component?.quantity ?? 1);
+            const price = component?.price !== undefined && component?.price !== null ? Number(component.price) : null;
+
+            if (!componentSku) throw new Error('Every component needs a sku');
+            if (componentSku === bundleSku) throw new Error('A bundle cannot contain itself');
+            if (!Number.isInteger(quantity) || quantity <= 0) throw new Error(`Invalid quantity for component ${componentSku}`);
+            if (price !== null && (isNaN(price) || price < 0)) throw new Error(`Invalid price for component ${componentSku}`);
+
+            return { sku: componentSku, title: component.title || null, quantity, price };
+        });
+
+        this.store.get().bundles[bundleSku] = {
+            title,
+            invoiceMode,
+            components: cleanComponents,
+            updatedAt: new Date().toISOString()
+        };
+        await this.store.save();
+
+        return this.get(bundleSku);
+    }
+
+    /**
+     * Delete a bundle
+     * @param {string} sku - Bundle SKU
+     * @returns {Promise<boolean>} False when the bundle does not exist
+     */
+    async remove(sku) {
+        const { bundles } = this.store.get();
+        if (!bundles[sku]) return false;
+
+        delete bundles[sku];
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * Invoice mode of a bundle (falls back to BUNDLE_INVOICE_MODE)
+     * @param {Object} bundle
+     * @returns {string} 'expand' | 'single'
+     */
+    getInvoiceMode(bundle) {
+        return bundle.invoiceMode || config.bundles.invoiceMode;
+    }
+
+    /**
+     * Replace the bundle line items of a canonical order by their components
+     * (bundles in 'single' mode keep their line)
+     * @param {Object} orderModel - Canonical order, modified in place
+     * @returns {Object} The same order
+     */
+    expandOrder(orderModel) {
+        orderModel.lineItems = orderModel.lineItems.flatMap(item => {
+            const bundle = this.get(item.sku);
+            if (!bundle || this.getInvoiceMode(bundle) !== 'expand') return [item];
+
+            const lines = this.splitLine(bundle, item);
+            const components = lines.filter(line => !line.correction);
+            const shares = components.map(component => component.share);
+
+            // Each discount allocation is shared like the price
+            const allocations = (item.discountAllocations || []).map(allocation =>
+                splitAmount(allocation.amount, shares).map(amount => ({ ...allocation, amount }))
+            );
+
+            return lines.map((line, index) => line.correction
+                ? {
+                    ...item,
+                    sku: null,
+                    productCode: null,
+                    barcode: null,
+                    title: line.title,
+                    quantity: 1,
+                    // The correction makes the full line exact; refunds are left to the order total check
+                    refundedQuantity: item.refundedQuantity > 0 ? 1 : 0,
+                    unitPrice: line.unitPrice,
+                    productType: 'Serviciu',
+                    discountAllocations: [],
+                    bundleSku: bundle.sku
+                }
+                : {
+                    ...item,
+                    sku: line.sku,
+                    title: line.title,
+                    quantity: line.quantity,
+                    refundedQuantity: item.refundedQuantity * line.unitsPerBundle,
+                    unitPrice: line.unitPrice,
+                    discountAllocations: allocations.map(split => split[index]),
+                    bundleSku: bundle.sku
+                });
+        });
+
+        return orderModel;
+    }
+
+    /**
+     * Split a bundle line into component lines
+     * The line total (unit price x quantity) is shared proportionally to the component
+     * list price (equally per unit when prices are not set). Component unit prices are
+     * rounded to 2 decimals, the last component takes what is left of the line total,
+     * and a correction line (correction: true) carries the cents its quantity cannot.
+     * @param {Object} bundle - Bundle definition
+     * @param {Object} line - { title, quantity, unitPrice }
+     * @returns {Array<Object>} [{ sku, title, quantity, unitsPerBundle, unitPrice, share, correction? }]
+     */
+    splitLine(bundle, line) {
+        const weights = bundle.components.map(component => (component.price ?? 1) * component.quantity);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        const shares = weights.map(weight => totalWeight > 0 ? weight / totalWeight : 1 / weights.length);
+        const lineTotal = round(line.unitPrice * line.quantity);
+        let remaining = lineTotal;
+
+        const lines = bundle.components.map((component, index) => {
+            const quantity = line.quantity * component.quantity;
+            const isLast = index === bundle.components.length - 1;
+            const unitPrice = round((isLast ? remaining : lineTotal * shares[index]) / quantity);
+            remaining = round(remaining - unitPrice * quantity);
+
+            return {
+                sku: component.sku,
+                title: component.title || `${line.title} - ${component.sku}`,
+                quantity,
+                unitsPerBundle: component.quantity,
+                unitPrice,
+                share: shares[index]
+            };
+        });
+
+        if (remaining !== 0) {
+            lines.push({
+                sku: null,
+                title: `${config.invoiceTotals.roundingLineName} ${line.title}`,
+                quantity: 1,
+                unitsPerBundle: 0,
+                unitPrice: remaining,
+                share: 0,
+                correction: true
+            });
+        }
+
+        return lines;
+    }
+
+    /**
+     * Number of complete bundles the component stock allows
+     * @param {Object} bundle - Bundle definition
+     * @param {Function} getStock - sku => available quantity, or null when the component is unknown
+     * @returns {Object} { quantity, missing: [component SKUs without stock data] }
+     */
+    getAvailableQuantity(bundle, getStock) {
+        const missing = [];
+
+        const quantities = bundle.components.map(component => {
+            const stock = getStock(component.sku);
+            if (stock === null || stock === undefined) {
+                missing.push(component.sku);
+                return 0;
+            }
+            return Math.floor(Math.max(0, stock) / component.quantity);
+        });
+
+        return { quantity: missing.length > 0 ? 0 : Math.min(...quantities), missing };
+    }
+}
+
+/**
+ * Split an amount by shares, the last part absorbs the rounding
+ * @private
+ */
+function splitAmount(amount, shares) {
+    let remaining = amount;
+
+    return shares.map((share, index) => {
+        const part = index === shares.length - 1 ? round(remaining) : round(amount * share);
+        remaining = round(remaining - part);
+        return part;
+    });
+}
+
+/**
+ * @private
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+export const bundles = new BundleService();
@@ -0,0 +1,256 @@
+import ShopifyService from './ShopifyService.js';
+import OblioService from './OblioService.js';
+import CargusService from './CargusService.js';
+import { UpdateOrderInvoiceAction } from '../actions/UpdateOrderInvoiceAction.js';
+import config from '../config/AppConfig.js';
+import { logger, getOrderAttribute, getInvoiceFromOrder } from '../utils/index.js';
+
+export default class CodCollectionService {
+    constructor() {
+        this.shopifyService = new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+        this.oblioService = new OblioService();
+        this.cargusService = new CargusService(
+            config.cargus.subscriptionKey,
+            config.cargus.username,
+            config.cargus.password
+        );
+        this.updateOrderAction = new UpdateOrderInvoiceAction(this.shopifyService);
+        this.companyCif = config.oblio.OBLIO_COMPANY_CIF;
+    }
+
+    /**
+     * Register Cargus COD payouts as collections on the Oblio invoices
+     * and mark the Shopify orders as paid
+     * @param {Object} options - Collection options
+     * @param {string} options.fromDate - Payout range start (yyyy-mm-dd), defaults to lookback window
+     * @param {string} options.toDate - Payout range end (yyyy-mm-dd), defaults to today
+     * @param {boolean} options.dryRun - If true, only log matches without updating Oblio or Shopify
+     * @returns {Promise<Object>} Collection results
+     */
+    async collectPayouts(options = {}) {
+        const {
+            fromDate = this._daysAgo(config.cargus.codLookbackDays),
+            toDate = this._daysAgo(0),
+            dryRun = false
+        } = options;
+
+        logger.info(`💰 Starting COD collection ${dryRun ? '(DRY RUN)' : '(LIVE)'} - payouts ${fromDate} → ${toDate}`);
+
+        const results = {
+            totalProcessed: 0,
+            collected: 0,
+            skipped: 0,
+            errors: 0,
+            details: []
+        };
+
+        // Step 1: Get COD payouts from Cargus
+        const repayments = await this.getRepayments(fromDate, toDate);
+        if (repayments.length === 0) {
+            logger.info('💰 No COD payouts in range');
+            return results;
+        }
+
+        // Step 2: Index unpaid Shopify orders by AWB
+        const orders = await this.shopifyService.getUnpaidOrders({
+            createdAtMin: new Date(Date.now() - config.cargus.codOrderMaxAgeDays * 24 * 60 * 60 * 1000).toISOString()
+        });
+        const ordersByAwb = this.createAwbOrderMap(orders);
+
+        logger.info(`📊 Data: ${repayments.length} COD payouts, ${Object.keys(ordersByAwb).length} unpaid orders with AWB`);
+
+        // Step 3: Collect each payout
+        for (const repayment of repayments) {
+            results.totalProcessed++;
+
+            try {
+                const result = await this.collectRepayment(repayment, ordersByAwb[repayment.awb], dryRun);
+
+                if (result.collected) {
+                    results.collected++;
+                    logger.info(`${dryRun ? '🔍' : '✅'} ${repayment.awb}: ${result.reason}`);
+                } else {
+                    results.skipped++;
+                }
+
+                results.details.push(result);
+
+            } catch (error) {
+                results.errors++;
+                results.details.push({
+                    awb: repayment.awb,
+                    amount: repayment.amount,
+                    collected: false,
+                    error: error.message
+                });
+                logger.error(`❌ ${repayment.awb}: ${error.message}`);
+
+                // Shopify is not taking the tags, later payouts would be collected twice as well
+                if (error.abortRun) {
+                    logger.error('🚨 COD collection aborted, remaining payouts left for the next run');
+                    break;
+                }
+            }
+        }
+
+        logger.info(`🎉 COD collection complete: ${results.collected} collected, ${results.skipped} skipped, ${results.errors} errors`);
+        return results;
+    }
+
+    /**
+     * Collect a single COD payout
+     */
+    async collectRepayment(repayment, order, dryRun) {
+        const result = {
+            awb: repayment.awb,
+            amount: repayment.amount,
+            payoutDate: repayment.payoutDate,
+            orderId: order?.id,
+            orderName: order?.name,
+            collected: false,
+            reason: ''
+        };
+
+        if (!order) {
+            result.reason = 'No unpaid order found for AWB';
+            return result;
+        }
+
+        const tags = order.tags ? order.tags.split(', ') : [];
+        if (tags.includes('COD_COLLECTED')) {
+            result.reason = 'Payout already collected';
+            return result;
+        }
+
+        const invoice = getInvoiceFromOrder(order);
+        if (!invoice) {
+            result.reason = 'Order has no invoice';
+            return result;
+        }
+        result.invoice = `${invoice.series} ${invoice.number}`;
+
+        // Amount mismatches (partial deliveries, refunds) need a human look
+        const invoiceTotal = parseFloat(getOrderAttribute(order, 'INVOICE_TOTAL') || order.total_price);
+        if (Math.abs(invoiceTotal - repayment.amount) > 0.01) {
+            throw new Error(`Payout ${repayment.amount} does not match invoice ${result.invoice} total ${invoiceTotal}`);
+        }
+
+        if (dryRun) {
+            result.collected = true;
+            result.reason = `Would collect ${repayment.amount} on invoice ${result.invoice} (${order.name})`;
+            return result;
+        }
+
+        await this.oblioService.collectInvoice(this.companyCif, invoice.series, invoice.number, {
+            type: config.cargus.codCollectionType,
+            documentNumber: repayment.awb,
+            value: repayment.amount,
+            issueDate: repayment.payoutDate || this._daysAgo(0)
+        });
+
+        // The COD_COLLECTED tag is what keeps the next run from collecting the invoice again
+        const marked = await this.updateOrderAction.markCodCollected({
+            orderId: order.id,
+            collection: repayment
+        });
+
+        if (!marked.tagged) {
+            const error = new Error(
+                `Collected ${repayment.amount} on invoice ${result.invoice} in Oblio but could not tag ${order.name} as COD_COLLECTED ` +
+                `(${marked.error || 'unknown error'}); tag the order by hand before the next run`
+            );
+            error.abortRun = true;
+            throw error;
+        }
+
+        // Tag before marking paid so a Shopify failure never collects the invoice twice
+
+        await this.shopifyService.markOrderAsPaid(order.id);
+
+        result.collected = true;
+        result.reason = `Collected ${repayment.amount} on invoice ${result.invoice} (${order.name})`;
+
+        return result;
+    }
+
+    /**
+     * Get COD payouts from both Cargus cash account endpoints, deduplicated by AWB
+     * The deduction date endpoint takes a single day, so it is called for every day in the range
+     */
+    async getRepayments(fromDate, toDate) {
+        const byDate = await this.cargusService.getCodByDate(fromDate, toDate);
+
+        const byDeduction = [];
+        for (const date of this._datesBetween(fromDate, toDate)) {
+            byDeduction.push(...(await this.cargusService.getRefundsByDate(date) || []));
+        }
+
+        const repayments = {};
+        [...(byDate || []), ...byDeduction].forEach(record => {
+            const repayment = this.normalizeRepayment(record);
+            if (repayment.awb && repayment.amount > 0) {
+                repayments[repayment.awb] = repayment;
+            }
+        });
+
+        return Object.values(repayments);
+    }
+
+    /**
+     * Normalize a Cargus cash account record to { awb, amount, payoutDate }
+     */
+    normalizeRepayment(record) {
+        const payoutDate = record.DeductionDate || record.RepaymentDate || record.Date;
+
+        return {
+            awb: String(record.BarCode || record.Barcode || record.AwbNumber || '').trim(),
+            amount: Math.round((parseFloat(record.RepaymentValue ?? record.Value ?? record.Amount) || 0) * 100) / 100,
+            payoutDate: payoutDate ? String(payoutDate).split('T')[0] : null
+        };
+    }
+
+    /**
+     * Create a map of AWB -> order from the AWB_NUMBER attribute and fulfillment tracking numbers
+     */
+    createAwbOrderMap(orders) {
+        const ordersByAwb = {};
+
+        orders.forEach(order => {
+            const awbs = [
+                getOrderAttribute(order, 'AWB_NUMBER'),
+                ...(order.fulfillments || []).map(fulfillment => fulfillment.tracking_number)
+            ];
+
+            awbs.filter(awb => awb && awb !== 'N/A').forEach(awb => {
+                ordersByAwb[String(awb).trim()] = order;
+            });
+        });
+
+        return ordersByAwb;
+    }
+
+    /**
+     * Days from fromDate to toDate inclusive (yyyy-mm-dd)
+     * @private
+     */
+    _datesBetween(fromDate, toDate) {
+        const dates = [];
+        const date = new Date(`${fromDate}T00:00:00Z`);
+        const end = new Date(`${toDate}T00:00:00Z`);
+
+        while (date <= end) {
+            dates.push(date.toISOString().split('T')[0]);
+            date.setUTCDate(date.getUTCDate() + 1);
+        }
+        return dates;
+    }
+
+    _daysAgo(days) {
+        const date = new Date();
+        date.setDate(date.getDate() - days);
+        return date.toISOString().split('T')[0];
+    }
+}
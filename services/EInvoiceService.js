@@ -0,0 +1,246 @@
+import ShopifyService from './ShopifyService.js';
+import OblioService from './OblioService.js';
+import JsonStore from '../utils/jsonStore.js';
+import { UpdateOrderInvoiceAction } from '../actions/UpdateOrderInvoiceAction.js';
+import config from '../config/AppConfig.js';
+import { logger, getOrderAttribute, getInvoiceFromOrder, isCompanyOrder } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * e-Factura (SPV) tracking
+ *
+ * Checks that B2B invoices issued through Oblio reach ANAF's e-Factura
+ * system, submits the ones Oblio has not sent yet and stores the SPV status
+ * on the order. Final states are remembered locally so accepted and B2C
+ * invoices are not looked up again.
+ *
+ * Records: { invoices: { [orderId]: { orderName, invoice, state, message, submittedAt, updatedAt } } }
+ * States: not_sent, processing, accepted, rejected, not_required (B2C)
+ */
+export default class EInvoiceService {
+    constructor(store = null) {
+        this.shopifyService = new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+        this.oblioService = new OblioService();
+        this.updateOrderAction = new UpdateOrderInvoiceAction(this.shopifyService);
+        this.store = store || new JsonStore('einvoice-status.json', { invoices: {} });
+        this.companyCif = config.oblio.OBLIO_COMPANY_CIF;
+    }
+
+    /**
+     * Check the SPV status of recent invoices and submit the missing ones
+     * @param {Object} options - Sync options
+     * @param {boolean} options.dryRun - If true, only log statuses without submitting or updating orders
+     * @returns {Promise<Object>} Sync results
+     */
+    async syncStatuses(options = {}) {
+        const { dryRun = false } = options;
+
+        logger.info(`🧾 Starting e-Factura status check ${dryRun ? '(DRY RUN)' : '(LIVE)'}`);
+
+        const results = {
+            totalProcessed: 0,
+            submitted: 0,
+            accepted: 0,
+            rejected: 0,
+            pending: 0,
+            skipped: 0,
+            errors: 0,
+            details: []
+        };
+
+        // Step 1: Find orders invoiced in the lookback window. Shopify cannot search
+        // the invoice issue date; invoicing updates the order, so orders updated
+        // since then are narrowed down by the INVOICE_ISSUE_DATE attribute
+        const since = new Date(Date.now() - config.einvoice.lookbackDays * DAY_MS).toISOString();
+        const candidates = await this.shopifyService.findOrders(
+            `tag:'oblio-invoiced' AND updated_at:>='${since}'`,
+            config.einvoice.batchSize,
+            candidate => this._getIssueDate(candidate) >= since.split('T')[0]
+        );
+
+        // Step 2: Check the ones without a final SPV state
+        for (const candidate of candidates) {
+            results.totalProcessed++;
+
+            if (this._isFinal(this.store.get().invoices[candidate.id])) {
+                results.skipped++;
+                continue;
+            }
+
+            try {
+                const result = await this.syncOrder(candidate, dryRun);
+
+                if (result.submitted) results.submitted++;
+                if (result.state === 'accepted') results.accepted++;
+                else if (result.state === 'rejected') results.rejected++;
+                else if (result.state === 'not_required' || !result.state) results.skipped++;
+                else results.pending++;
+
+                results.details.push(result);
+
+            } catch (error) {
+                results.errors++;
+                results.details.push({
+                    orderId: candidate.id,
+                    orderName: candidate.name,
+                    error: error.message
+                });
+                logger.error(`❌ e-Factura ${candidate.name}: ${error.message}`);
+            }
+        }
+
+        this._prune();
+        await this.store.save();
+
+        logger.info(`🎉 e-Factura check complete: ${results.accepted} accepted, ${results.rejected} rejected, ${results.pending} pending, ${results.submitted} submitted, ${results.errors} errors`);
+        return results;
+    }
+
+    /**
+     * Check (and submit if needed) the invoice of a single order
+     * @param {Object} candidate - { id, name }
+     * @param {boolean} dryRun - If true, only log the status
+     * @returns {Promise<Object>} { orderId, orderName, invoice, state, message, submitted }
+     */
+    async syncOrder(candidate, dryRun = false) {
+        const order = await this.shopifyService.getOrderDetails(candidate.id);
+        const invoice = getInvoiceFromOrder(order);
+
+        const result = {
+            orderId: candidate.id,
+            orderName: candidate.name,
+            invoice: invoice ? `${invoice.series}${invoice.number}` : null,
+            state: null,
+            message: null,
+            submitted: false
+        };
+
+        if (!invoice) {
+            result.message = 'Order has no invoice';
+            return result;
+        }
+
+        const previous = this.store.get().invoices[candidate.id];
+
+        if (!getOrderAttribute(order, 'INVOICE_CLIENT_CIF') && !isCompanyOrder(order)) {
+            result.state = 'not_required';
+            this._record(candidate, result, previous);
+            return result;
+        }
+
+        const document = await this.oblioService.getEInvoiceStatus(this.companyCif, invoice.series, invoice.number);
+        if (!document) {
+            throw new Error(`Invoice ${result.invoice} not found in Oblio`);
+        }
+
+        const status = this._normalizeStatus(document.einvoice ?? document.einvoiceStatus);
+        result.state = status.state;
+        result.message = status.message;
+
+        if (status.state === 'not_sent' && config.einvoice.autoSubmit && !dryRun) {
+            const response = await this.oblioService.sendEInvoice(this.companyCif, invoice.series, invoice.number);
+            const sent = this._normalizeStatus(response?.data ?? response);
+            result.state = sent.state;
+            result.message = sent.message;
+            result.submitted = sent.state !== 'not_sent';
+            logger.info(`📤 ${candidate.name}: invoice ${result.invoice} submitted to SPV (${sent.state})`);
+        }
+
+        if (dryRun) {
+            logger.info(`🔍 ${candidate.name}: SPV status ${result.state}${result.message ? ` (${result.message})` : ''}`);
+            return result;
+        }
+
+        // Only touch the order when the status changed (or the invoice was reissued)
+        if (previous?.state !== result.state || previous?.invoice !== result.invoice) {
+            await this.updateOrderAction.updateWithEInvoiceStatus({
+                orderId: order.id,
+                status: {
+                    state: result.state,
+                    message: result.message,
+                    uploadIndex: status.uploadIndex,
+                    checkedAt: new Date().toISOString()
+                }
+            });
+        }
+
+        this._record(candidate, result, previous);
+
+        logger.info(`${result.state === 'rejected' ? '⚠️' : '✅'} ${candidate.name}: SPV status ${result.state}`);
+
+        return result;
+    }
+
+    /**
+     * Remember the SPV state of an order
+     * @private
+     */
+    _record(candidate, result, previous) {
+        const sameInvoice = previous?.invoice === result.invoice;
+
+        this.store.get().invoices[candidate.id] = {
+            orderName: candidate.name,
+            invoice: result.invoice,
+            state: result.state,
+            message: result.message,
+            submittedAt: result.submitted
+                ? new Date().toISOString()
+                : (sameInvoice ? previous?.submittedAt : null) || null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Accepted, rejected and B2C invoices are not checked again
+     * @private
+     */
+    _isFinal(record) {
+        return ['accepted', 'rejected', 'not_required'].includes(record?.state);
+    }
+
+    /**
+     * Map the Oblio e-Invoice status (-1 not sent, 0 processing, 1 sent, 2 errors) to a tracking state
+     * @private
+     */
+    _normalizeStatus(value) {
+        const info = value && typeof value === 'object' ? value : { code: value };
+        const code = info.code ?? info.status ?? info.einvoiceStatus;
+        const errors = Array.isArray(info.errors) ? info.errors.join('; ') : info.errors;
+
+        const states = { '-1': 'not_sent', '0': 'processing', '1': 'accepted', '2': 'rejected' };
+
+        return {
+            state: states[String(code ?? -1)] || 'processing',
+            message: errors || info.message || info.statusMessage || null,
+            uploadIndex: info.uploadIndex || info.index || null
+        };
+    }
+
+    /**
+     * Invoice issue date (yyyy-mm-dd) stored on the order, the order date for
+     * orders invoiced before the attribute existed
+     * @private
+     */
+    _getIssueDate(order) {
+        return getOrderAttribute(order, 'INVOICE_ISSUE_DATE') || order.createdAt.split('T')[0];
+    }
+
+    /**
+     * Drop final records older than the retention window
+     * @private
+     */
+    _prune() {
+        const invoices = this.store.get().invoices;
+        const cutoff = Date.now() - config.einvoice.retentionDays * DAY_MS;
+
+        Object.entries(invoices).forEach(([key, record]) => {
+            if (this._isFinal(record) && new Date(record.updatedAt).getTime() < cutoff) {
+                delete invoices[key];
+            }
+        });
+    }
+}
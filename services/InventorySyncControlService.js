@@ -0,0 +1,190 @@
+import fs from 'fs';
+import path from 'path';
+import cron from 'node-cron';
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+/**
+ * Inventory sync control
+ *
+ * - Lock: one sync at a time, across the server (schedule, admin API, Oblio
+ *   stock events) and the CLI. The lock is a file in DATA_DIR created
+ *   atomically; a lock left by a dead process or older than the lock timeout
+ *   is taken over.
+ * - Schedule: pause flag and cron pattern of the scheduled sync, persisted so
+ *   they survive restarts.
+ * - Progress of the run held by this process.
+ *
+ * Records: { paused, cronPattern, updatedAt }
+ */
+export default class InventorySyncControlService {
+    constructor(store = null, lockPath = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('inventory-sync-schedule.json', { paused: false, cronPattern: null, updatedAt: null });
+        this.lockPath = lockPath || path.resolve(config.storage.dataDir, 'inventory-sync.lock');
+        this.current = null;
+        this.scheduleListeners = [];
+    }
+
+    /**
+     * Take the sync lock
+     * @param {Object} run - { type, dryRun, options }
+     * @returns {Object} Current run
+     * @throws {Error} When another sync holds the lock
+     */
+    acquire(run) {
+        const lock = { ...run, pid: process.pid, startedAt: new Date().toISOString() };
+
+        fs.mkdirSync(path.dirname(this.lockPath), { recursive: true });
+        try {
+            fs.writeFileSync(this.lockPath, JSON.stringify(lock), { flag: 'wx' });
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+
+            const holder = this.getLock();
+            if (holder && !this._isStale(holder)) {
+                throw new Error(`An inventory sync is already running (${holder.type} sync since ${holder.startedAt}, pid ${holder.pid})`);
+            }
+
+            logger.warn({ holder }, '⚠️ Taking over stale inventory sync lock');
+            fs.writeFileSync(this.lockPath, JSON.stringify(lock));
+        }
+
+        this.current = { ...lock, runId: null, phase: 'starting', processed: 0, total: null };
+        return this.current;
+    }
+
+    /**
+     * Release the lock taken by this process
+     */
+    release() {
+        if (!this.current) return;
+
+        const holder = this.getLock();
+        if (holder?.pid === this.current.pid && holder.startedAt === this.current.startedAt) {
+            try {
+                fs.unlinkSync(this.lockPath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        this.current = null;
+    }
+
+    /**
+     * Update the progress of the current run
+     * @param {Object} update - { runId, phase, processed, total }
+     */
+    progress(update) {
+        if (this.current) Object.assign(this.current, update);
+    }
+
+    /**
+     * Lock file contents, null when no sync holds it
+     * @returns {Object|null}
+     */
+    getLock() {
+        try {
+            return JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a sync is running, in this process or another one
+     * @returns {boolean}
+     */
+    isRunning() {
+        if (this.current) return true;
+
+        const holder = this.getLock();
+        return Boolean(holder && !this._isStale(holder));
+    }
+
+    /**
+     * Current run and schedule
+     * Progress is only known for runs of this process (not for the CLI).
+     * @returns {Object} { running, run, schedule }
+     */
+    getStatus() {
+        const holder = this.current ? null : this.getLock();
+        const run = this.current || (holder && !this._isStale(holder) ? { ...holder, phase: 'unknown (other process)' } : null);
+
+        return { running: Boolean(run), run, schedule: this.getSchedule() };
+    }
+
+    /**
+     * Schedule of the inventory sync cron job
+     * @returns {Object} { paused, cronPattern, updatedAt }
+     */
+    getSchedule() {
+        const { paused, cronPattern, updatedAt } = this.store.get();
+        return { paused, cronPattern: cronPattern || config.inventorySync.cronPattern, updatedAt };
+    }
+
+    /**
+     * Pause / resume the scheduled sync or change its interval
+     * @param {Object} changes - { paused?, cronPattern?, intervalMinutes? }
+     * @returns {Promise<Object>} Updated schedule
+     */
+    async setSchedule({ paused, cronPattern, intervalMinutes } = {}) {
+        const data = this.store.get();
+
+        if (intervalMinutes !== undefined) {
+            const minutes = Number(intervalMinutes);
+            if (!Number.isInteger(minutes) || minutes < 1 || minutes > 59) {
+                throw new Error('intervalMinutes must be a whole number between 1 and 59 (use cronPattern otherwise)');
+            }
+            cronPattern = `*/${minutes} * * * *`;
+        }
+
+        if (cronPattern !== undefined) {
+            if (typeof cronPattern !== 'string' || !cron.validate(cronPattern)) {
+                throw new Error(`Invalid cron pattern: ${cronPattern}`);
+            }
+            data.cronPattern = cronPattern;
+        }
+
+        if (paused !== undefined) {
+            data.paused = Boolean(paused);
+        }
+
+        data.updatedAt = new Date().toISOString();
+        await this.store.save();
+
+        const schedule = this.getSchedule();
+        this.scheduleListeners.forEach(listener => listener(schedule));
+        return schedule;
+    }
+
+    /**
+     * Get notified when the schedule changes (the cron job reschedules itself)
+     * @param {Function} listener - schedule => void
+     */
+    onScheduleChange(listener) {
+        this.scheduleListeners.push(listener);
+    }
+
+    /**
+     * A lock is stale when its process is gone, it was left by an earlier
+     * instance with the same pid (containers), or it is older than the timeout
+     * @private
+     */
+    _isStale(holder) {
+        const age = Date.now() - new Date(holder.startedAt).getTime();
+        if (!(age < config.inventorySync.lockTimeoutMinutes * 60 * 1000)) return true;
+        if (holder.pid === process.pid) return !this.current;
+
+        try {
+            process.kill(holder.pid, 0);
+            return false;
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+}
+
+// Shared instance for the sync service, the cron job and the inventory endpoints
+export const inventorySyncControl = new InventorySyncControlService();
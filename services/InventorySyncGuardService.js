@@ -0,0 +1,87 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+
+/**
+ * Inventory sync safety guards
+ *
+ * A full sync sets Shopify stock to whatever Oblio returns. A partial product
+ * list or the wrong management would zero (or swing) the stock of many products
+ * at once, so the planned changes are checked before anything is sent:
+ * - too many stocked SKUs dropping to zero
+ * - the Oblio product count shrinking sharply versus the last run
+ * - single SKUs changing by more than a number of units
+ *
+ * Records: { managements: { [management]: { products, updatedAt } } }
+ */
+export default class InventorySyncGuardService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('inventory-sync-guard.json', { managements: {} }, { shared: true });
+    }
+
+    /**
+     * Check the planned changes of a sync run
+     * @param {Object} run
+     * @param {Object} run.productCounts - { [management]: number of Oblio products read }
+     * @param {Array} run.details - Variant results of the run
+     * @param {boolean} run.checkZeroed - False for runs limited to a few SKUs
+     * @returns {Array<string>} Tripped guards, empty when the run looks safe
+     */
+    check({ productCounts, details, checkZeroed = true }) {
+        const { maxZeroedPercent, maxProductDropPercent, maxQuantityChange } = config.inventorySync.guards;
+        const violations = [];
+
+        if (checkZeroed && maxZeroedPercent > 0) {
+            const stocked = details.filter(detail => detail.currentQuantity > 0 && !detail.error);
+            const zeroed = stocked.filter(detail => detail.updated && detail.oblioQuantity === 0);
+            const percent = stocked.length > 0 ? (zeroed.length / stocked.length) * 100 : 0;
+
+            if (percent > maxZeroedPercent) {
+                violations.push(`${zeroed.length} of ${stocked.length} stocked SKUs would drop to zero (${Math.round(percent)}%, limit ${maxZeroedPercent}%)`);
+            }
+        }
+
+        if (maxProductDropPercent > 0) {
+            Object.entries(productCounts).forEach(([management, count]) => {
+                const previous = this.store.get().managements[management]?.products;
+                if (!previous) return;
+
+                const percent = ((previous - count) / previous) * 100;
+                if (percent > maxProductDropPercent) {
+                    violations.push(`Oblio management "${management}" returned ${count} products, ${previous} on the last run (-${Math.round(percent)}%, limit ${maxProductDropPercent}%)`);
+                }
+            });
+        }
+
+        if (maxQuantityChange > 0) {
+            const swings = details.filter(detail =>
+                detail.updated && Math.abs(detail.oblioQuantity - detail.currentQuantity) > maxQuantityChange
+            );
+
+            if (swings.length > 0) {
+                const examples = swings.slice(0, 10)
+                    .map(detail => `${detail.sku}${detail.location ? ` @ ${detail.location}` : ''} ${detail.currentQuantity} → ${detail.oblioQuantity}`)
+                    .join(', ');
+                violations.push(`${swings.length} SKUs would change by more than ${maxQuantityChange} units: ${examples}${swings.length > 10 ? ', ...' : ''}`);
+            }
+        }
+
+        return violations;
+    }
+
+    /**
+     * Remember the Oblio product counts of a completed live run
+     * @param {Object} productCounts - { [management]: number of Oblio products read }
+     */
+    async recordRun(productCounts) {
+        const updatedAt = new Date().toISOString();
+
+        await this.store.update(({ managements }) => {
+            Object.entries(productCounts).forEach(([management, products]) => {
+                managements[management] = { products, updatedAt };
+            });
+        });
+    }
+}
+
+export const inventorySyncGuard = new InventorySyncGuardService();
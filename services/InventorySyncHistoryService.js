@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Inventory sync run history
+ *
+ * Every sync run (scheduled, CLI or Oblio stock event) with its outcome and the
+ * before/after quantity of each SKU it changed or failed on. SKUs that already
+ * matched are only counted, to keep the file small.
+ *
+ * Records: { runs: { [id]: { id, type, dryRun, status, startedAt, finishedAt, options, summary, items: [...] } } }
+ * Status: running, completed, failed, aborted (safety guards)
+ */
+export default class InventorySyncHistoryService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        // The CLI records its runs in the same file as the server
+        this.store = store || new JsonStore('inventory-sync-runs.json', { runs: {} }, { shared: true });
+    }
+
+    /**
+     * Record the start of a run
+     * @param {Object} run - { type: 'full' | 'oblio-webhook', dryRun, options }
+     * @returns {Promise<Object>} Run record
+     */
+    async start({ type, dryRun = false, options = {} }) {
+        const run = {
+            id: crypto.randomUUID(),
+            type,
+            dryRun,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            options,
+            summary: null,
+            items: []
+        };
+
+        await this.store.update(data => {
+            data.runs[run.id] = run;
+            this._prune(data.runs);
+        });
+
+        return run;
+    }
+
+    /**
+     * Record the outcome of a run
+     * @param {string} runId
+     * @param {Object} results - Sync results (possibly partial when the run failed)
+     * @param {Error|null} error - Error that ended the run
+     * @returns {Promise<Object|null>} Run record
+     */
+    async finish(runId, results, error = null) {
+        return this.store.update(data => {
+            const run = data.runs[runId];
+            if (!run) return null;
+
+            run.status = !error ? 'completed' : (results.guardViolations?.length > 0 ? 'aborted' : 'failed');
+            run.finishedAt = new Date().toISOString();
+            run.error = error?.message || null;
+            run.guardViolations = results.guardViolations || [];
+            run.summary = {
+                totalProcessed: results.totalProcessed,
+                updated: results.updated,
+                skipped: results.skipped,
+                errors: results.errors,
+                unmapped: results.unmapped.length
+            };
+            run.items = results.details
+                .filter(detail => detail.updated || detail.error)
+                .map(detail => ({
+                    sku: detail.sku,
+                    oblioCode: detail.oblioCode ?? null,
+                    bundle: detail.bundle || false,
+                    location: detail.location ?? null,
+                    management: detail.management ?? null,
+                    before: detail.currentQuantity ?? null,
+                    after: detail.oblioQuantity ?? null,
+                    reserved: detail.reserved ?? null,
+                    // Changes of dry, aborted and failed runs never reached Shopify
+                    applied: Boolean(detail.updated && !run.dryRun && !error),
+                    reason: detail.reason || null,
+                    error: detail.error || null
+                }));
+
+            return run;
+        });
+    }
+
+    /**
+     * Get a run including its items
+     * @param {string} runId
+     * @returns {Object|null}
+     */
+    get(runId) {
+        return this.store.get().runs[runId] || null;
+    }
+
+    /**
+     * List runs (newest first) without their items
+     * @param {Object} filters - { status, type, limit }
+     * @returns {Array<Object>}
+     */
+    list({ status, type, limit = 50 } = {}) {
+        return Object.values(this.store.get().runs)
+            .filter(run => (!status || run.status === status) && (!type || run.type === type))
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .slice(0, limit)
+            .map(({ items, ...run }) => ({ ...run, changes: items.length }));
+    }
+
+    /**
+     * Changes and errors of one SKU across runs (newest first)
+     * @param {string} sku - Shopify SKU
+     * @param {Object} options - { limit, includeDryRuns }
+     * @returns {Array<Object>} [{ runId, type, dryRun, status, at, before, after, applied, ... }]
+     */
+    getSkuHistory(sku, { limit = 100, includeDryRuns = false } = {}) {
+        return Object.values(this.store.get().runs)
+            .filter(run => includeDryRuns || !run.dryRun)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+            .flatMap(run => run.items
+                .filter(item => item.sku === sku)
+                .map(item => ({
+                    runId: run.id,
+                    type: run.type,
+                    dryRun: run.dryRun,
+                    status: run.status,
+                    at: run.finishedAt || run.startedAt,
+                    ...item
+                })))
+            .slice(0, limit);
+    }
+
+    /**
+     * Drop runs older than the retention window
+     * @private
+     */
+    _prune(runs) {
+        const cutoff = Date.now() - config.inventorySync.historyRetentionDays * DAY_MS;
+
+        Object.entries(runs).forEach(([id, run]) => {
+            if (new Date(run.startedAt).getTime() < cutoff) {
+                delete runs[id];
+            }
+        });
+    }
+}
+
+// Shared instance for the sync service and the inventory endpoints
+export const inventorySyncHistory = new InventorySyncHistoryService();
@@ -1,17 +1,28 @@
 import ShopifyService from './ShopifyService.js';
 import OblioService from './OblioService.js';
+import { skuMappings } from './SkuMappingService.js';
+import { bundles } from './BundleService.js';
+import { locationMappings } from './LocationMappingService.js';
+import { inventorySyncGuard } from './InventorySyncGuardService.js';
+import { inventorySyncHistory } from './InventorySyncHistoryService.js';
+import { inventorySyncControl } from './InventorySyncControlService.js';
 import config from '../config/AppConfig.js';
-import { logger } from '../utils/index.js';
-import { INVENTORY_SET_QUANTITIES } from '../graphql/mutations.js';
+import { logger, toNumericId } from '../utils/index.js';
 
 export default class InventorySyncService {
-    constructor() {
+    constructor(skuMappingService = null, bundleService = null, locationMappingService = null, syncGuard = null, syncHistory = null, syncControl = null) {
         this.shopifyService = new ShopifyService(
             config.shopify.B2C_SHOPIFY_SHOPNAME,
             config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
         );
         this.oblioService = new OblioService();
         this.companyCif = config.oblio.OBLIO_COMPANY_CIF;
+        this.skuMappingService = skuMappingService || skuMappings;
+        this.bundleService = bundleService || bundles;
+        this.locationMappingService = locationMappingService || locationMappings;
+        this.syncGuard = syncGuard || inventorySyncGuard;
+        this.syncHistory = syncHistory || inventorySyncHistory;
+        this.syncControl = syncControl || inventorySyncControl;
     }
 
     /**
@@ -19,10 +30,12 @@ export default class InventorySyncService {
      * @param {Object} options - Sync options
      * @param {boolean} options.dryRun - If true, only log changes without updating Shopify
      * @param {Array} options.skuFilter - Only sync specific SKUs
-     * @returns {Promise<Object>} Sync results
+     * @param {boolean} options.force - Apply the changes even when a safety guard trips
+     * @returns {Promise<Object>} Sync results, with the runId of the recorded run
+     * @throws {Error} When another sync is running
      */
     async syncInventory(options = {}) {
-        const { dryRun = false, skuFilter = null } = options;
+        const { dryRun = false, skuFilter = null, force = false } = options;
         
         logger.info(`🔄 Starting sync ${dryRun ? '(DRY RUN)' : '(LIVE)'} ${skuFilter ? `- SKUs: ${skuFilter.join(',')}` : ''}`);
 
@@ -31,27 +44,45 @@ export default class InventorySyncService {
             updated: 0,
             skipped: 0,
             errors: 0,
+            unmapped: [],
             details: []
         };
 
+        // One sync at a time
+        this.syncControl.acquire({ type: 'full', dryRun, options: { skuFilter, force } });
+        const run = await this.syncHistory.start({ type: 'full', dryRun, options: { skuFilter, force } });
+        syncResults.runId = run.id;
+        this.syncControl.progress({ runId: run.id, phase: 'loading' });
+
         try {
             // Step 1: Get Shopify products
             const shopifyProducts = await this.shopifyService.getAllProducts();
             
-            // Step 2: Get Oblio products (filtered by management) - handle pagination
-            const oblioProducts = await this.getAllOblioProducts();
-            
-            if (!oblioProducts.data || oblioProducts.data.length === 0) {
-                throw new Error('No products found in Oblio');
+            // Step 2: Get Oblio products of every synced management - handle pagination
+            // Step 3: Create management -> Oblio code -> stock maps
+            const oblioStockMaps = {};
+            for (const management of this.locationMappingService.getManagements()) {
+                const oblioProducts = await this.getAllOblioProducts(management);
+                oblioStockMaps[management] = this.createOblioStockMap(oblioProducts.data, management);
             }
 
-            // Step 3: Create SKU mapping from Oblio
-            const oblioStockMap = this.createOblioStockMap(oblioProducts.data);
-            
-            logger.info(`📊 Data: ${shopifyProducts.length} Shopify products, ${Object.keys(oblioStockMap).length} Oblio SKUs from "${config.oblio.OBLIO_MANAGEMENT}"`);
-
-            // Step 4: Process each Shopify product
-            for (const product of shopifyProducts) {
+            const oblioCodes = [...new Set(Object.values(oblioStockMaps).flatMap(stockMap => Object.keys(stockMap)))];
+            if (oblioCodes.length === 0) {
+                throw new Error('No products found in Oblio');
+            }
+            await this.skuMappingService.rememberOblioCodes(oblioCodes);
+            await this.subtractReservations(oblioStockMaps);
+
+            const managementSummary = Object.entries(oblioStockMaps)
+                .map(([management, stockMap]) => `${Object.keys(stockMap).length} from "${management}"`)
+                .join(', ');
+            logger.info(`📊 Data: ${shopifyProducts.length} Shopify products, Oblio SKUs: ${managementSummary}`);
+
+            // Step 4: Compute the quantity changes of every Shopify variant
+            const pendingUpdates = [];
+            this.syncControl.progress({ phase: 'comparing', processed: 0, total: shopifyProducts.length });
+            for (const [index, product] of shopifyProducts.entries()) {
+                this.syncControl.progress({ processed: index });
                 if (!product.variants?.edges) continue;
 
                 for (const variantEdge of product.variants.edges) {
@@ -63,80 +94,343 @@ export default class InventorySyncService {
                         continue;
                     }
 
-                    syncResults.totalProcessed++;
-
-                    try {
-                        const syncResult = await this.syncVariantInventory(
-                            product,
-                            variant,
-                            oblioStockMap,
-                            dryRun
-                        );
-
-                        if (syncResult.updated) {
-                            syncResults.updated++;
-                            // Only log actual changes
-                            if (syncResult.currentQuantity !== syncResult.oblioQuantity) {
-                                const action = dryRun ? '🔍' : '✅';
-                                const change = syncResult.oblioQuantity - syncResult.currentQuantity;
-                                logger.info(`${action} ${syncResult.sku}: ${syncResult.currentQuantity} → ${syncResult.oblioQuantity} (${change > 0 ? '+' : ''}${change})`);
-                            }
-                        } else {
-                            syncResults.skipped++;
-                        }
-
-                        syncResults.details.push(syncResult);
-
-                    } catch (error) {
-                        syncResults.errors++;
-                        syncResults.details.push({
-                            sku: variant.sku,
-                            productTitle: product.title,
-                            variantTitle: variant.title,
-                            error: error.message,
-                            updated: false
-                        });
-                        logger.error(`❌ ${variant.sku}: ${error.message}`);
-                    }
+                    await this.processVariant(product, variant, oblioStockMaps, dryRun, syncResults, pendingUpdates);
+                }
+            }
+
+            // Step 5: Safety guards - Oblio data that looks partial or wrong aborts the run
+            const productCounts = Object.fromEntries(
+                Object.entries(oblioStockMaps).map(([management, stockMap]) => [management, Object.keys(stockMap).length])
+            );
+            syncResults.guardViolations = this.syncGuard.check({
+                productCounts,
+                details: syncResults.details,
+                checkZeroed: !skuFilter
+            });
 
-                    // Small delay to respect rate limits
-                    await this.sleep(100);
+            if (syncResults.guardViolations.length > 0) {
+                if (!dryRun && !force) {
+                    logger.error({ violations: syncResults.guardViolations }, '🚨 Inventory sync aborted by safety guards, no Shopify stock was changed');
+                    throw new Error(`Inventory sync aborted by safety guards (force to override): ${syncResults.guardViolations.join('; ')}`);
                 }
+                logger.warn({ violations: syncResults.guardViolations }, dryRun
+                    ? '🚨 Safety guards would abort this sync'
+                    : '⚠️ Safety guards overridden (force)');
+            }
+
+            // Step 6: Send the changes in batches
+            this.syncControl.progress({ phase: 'updating', processed: shopifyProducts.length, pendingUpdates: pendingUpdates.length });
+            await this.flushUpdates(pendingUpdates, syncResults);
+            if (!dryRun) {
+                await this.syncGuard.recordRun(productCounts);
             }
 
+            await this.skuMappingService.reportUnmapped(syncResults.unmapped, { source: 'inventory' });
+
             // Compact summary
-            logger.info(`🎉 Sync complete: ${syncResults.updated} updated, ${syncResults.skipped} skipped, ${syncResults.errors} errors`);
+            logger.info(`🎉 Sync complete: ${syncResults.updated} updated, ${syncResults.skipped} skipped, ${syncResults.unmapped.length} unmapped, ${syncResults.errors} errors`);
+            await this.syncHistory.finish(run.id, syncResults);
             return syncResults;
 
         } catch (error) {
             logger.error(`❌ Sync failed: ${error.message}`);
+            await this.syncHistory.finish(run.id, syncResults, error);
+            throw error;
+
+        } finally {
+            this.syncControl.release();
+        }
+    }
+
+    /**
+     * Sync only the Shopify variants stocked from some Oblio products (Oblio stock webhook):
+     * the mapped SKUs and the bundles using them, with the stock re-read from Oblio
+     * @param {Array<string>} oblioCodes - Oblio product codes whose stock changed
+     * @param {Object} options - Sync options
+     * @param {boolean} options.dryRun - If true, only log changes without updating Shopify
+     * @returns {Promise<Object>} Sync results (same shape as syncInventory)
+     * @throws {Error} When another sync is running (the stock event job is retried)
+     */
+    async syncOblioProducts(oblioCodes, options = {}) {
+        const { dryRun = false } = options;
+        const codes = [...new Set(oblioCodes.filter(Boolean).map(String))];
+
+        const syncResults = {
+            totalProcessed: 0,
+            updated: 0,
+            skipped: 0,
+            errors: 0,
+            unmapped: [],
+            details: []
+        };
+
+        if (codes.length === 0) return syncResults;
+
+        this.syncControl.acquire({ type: 'oblio-webhook', dryRun, options: { productCodes: codes } });
+        const run = await this.syncHistory.start({ type: 'oblio-webhook', dryRun, options: { productCodes: codes } });
+        syncResults.runId = run.id;
+        this.syncControl.progress({ runId: run.id, phase: 'syncing' });
+
+        try {
+            await this.syncProducts(codes, dryRun, syncResults);
+            await this.syncHistory.finish(run.id, syncResults);
+            return syncResults;
+
+        } catch (error) {
+            logger.error(`❌ Oblio products sync failed: ${error.message}`);
+            await this.syncHistory.finish(run.id, syncResults, error);
             throw error;
+
+        } finally {
+            this.syncControl.release();
+        }
+    }
+
+    /**
+     * Sync the variants stocked from some Oblio products into syncResults
+     * @private
+     */
+    async syncProducts(codes, dryRun, syncResults) {
+        // Step 1: Shopify SKUs stocked from these products, and the bundles using them
+        const toCode = sku => this.skuMappingService.toOblioCode(sku);
+        const skus = new Set(codes.flatMap(code => this.skuMappingService.toShopifySkus(code)));
+        const affectedBundles = this.bundleService.list()
+            .filter(bundle => bundle.components.some(component => codes.includes(toCode(component.sku))));
+        affectedBundles.forEach(bundle => skus.add(bundle.sku));
+
+        // Step 2: Current Oblio stock, including the other components of those bundles
+        const stockCodes = new Set(codes);
+        affectedBundles.forEach(bundle => bundle.components.forEach(component => {
+            const code = toCode(component.sku);
+            if (code) stockCodes.add(code);
+        }));
+        const oblioStockMaps = await this.getOblioStock([...stockCodes]);
+        await this.subtractReservations(oblioStockMaps);
+
+        // Step 3: Update just these variants
+        const products = await this.shopifyService.getProductsBySku([...skus]);
+        const pendingUpdates = [];
+
+        for (const product of products) {
+            for (const { node: variant } of product.variants?.edges || []) {
+                if (!skus.has(variant.sku)) continue;
+
+                // SKUs mapped to another Oblio product are left to that product's events
+                if (!this.bundleService.get(variant.sku) && !codes.includes(toCode(variant.sku))) continue;
+
+                await this.processVariant(product, variant, oblioStockMaps, dryRun, syncResults, pendingUpdates);
+            }
+        }
+
+        // Step 4: Safety guards - only the per-SKU swing applies to a few products
+        syncResults.guardViolations = this.syncGuard.check({
+            productCounts: {},
+            details: syncResults.details,
+            checkZeroed: false
+        });
+
+        if (syncResults.guardViolations.length > 0) {
+            if (!dryRun) {
+                logger.error({ violations: syncResults.guardViolations, codes }, '🚨 Oblio products sync aborted by safety guards, no Shopify stock was changed');
+                throw new Error(`Oblio products sync aborted by safety guards (run a forced full sync to override): ${syncResults.guardViolations.join('; ')}`);
+            }
+            logger.warn({ violations: syncResults.guardViolations }, '🚨 Safety guards would abort this sync');
+        }
+
+        await this.flushUpdates(pendingUpdates, syncResults);
+
+        await this.skuMappingService.reportUnmapped(syncResults.unmapped, { source: 'oblio-webhook' });
+
+        logger.info(`📦 Oblio products ${codes.join(', ')}: ${syncResults.updated} updated, ${syncResults.skipped} skipped, ${syncResults.errors} errors`);
+    }
+
+    /**
+     * Sync one variant at every synced location and add the outcomes to the run results
+     * Live changes are collected in pendingUpdates and sent by flushUpdates.
+     */
+    async processVariant(product, variant, oblioStockMaps, dryRun, syncResults, pendingUpdates = []) {
+        for (const target of this.locationMappingService.getSyncTargets()) {
+            const locatedVariant = this.atLocation(variant, target.locationId);
+            if (!locatedVariant) continue; // Not stocked at this location
+
+            syncResults.totalProcessed++;
+
+            try {
+                const syncResult = await this.syncVariantInventory(
+                    product,
+                    locatedVariant,
+                    oblioStockMaps[target.management] || {},
+                    dryRun
+                );
+                syncResult.management = target.management;
+                syncResult.location = locatedVariant.locationName || null;
+
+                if (syncResult.unmappedSkus) {
+                    syncResults.unmapped.push(...syncResult.unmappedSkus);
+                }
+
+                if (syncResult.pendingQuantity) {
+                    pendingUpdates.push({ quantity: syncResult.pendingQuantity, result: syncResult });
+                    delete syncResult.pendingQuantity;
+                }
+
+                if (syncResult.updated) {
+                    syncResults.updated++;
+                    if (dryRun) this.logChange(syncResult, '🔍');
+                } else {
+                    syncResults.skipped++;
+                }
+
+                syncResults.details.push(syncResult);
+
+            } catch (error) {
+                syncResults.errors++;
+                syncResults.details.push({
+                    sku: variant.sku,
+                    productTitle: product.title,
+                    variantTitle: variant.title,
+                    management: target.management,
+                    location: locatedVariant.locationName || null,
+                    error: error.message,
+                    updated: false
+                });
+                logger.error(`❌ ${variant.sku}: ${error.message}`);
+            }
         }
     }
 
+    /**
+     * Send the collected quantity changes in batched mutations
+     * Rejected changes turn from updated into errors.
+     */
+    async flushUpdates(pendingUpdates, syncResults) {
+        if (pendingUpdates.length === 0) return;
+
+        const { failed } = await this.shopifyService.setInventoryQuantities(pendingUpdates.map(update => update.quantity));
+        const failedByIndex = new Map(failed.map(failure => [failure.index, failure.message]));
+
+        pendingUpdates.forEach(({ result }, index) => {
+            const message = failedByIndex.get(index);
+
+            if (message === undefined) {
+                result.reason = result.reason.replace('Queued', 'Updated');
+                this.logChange(result, '✅');
+                return;
+            }
+
+            result.updated = false;
+            result.reason = result.reason.replace('Queued', 'Not updated');
+            result.error = `Shopify inventory update failed: ${message}`;
+            syncResults.updated--;
+            syncResults.errors++;
+            logger.error(`❌ ${result.sku}: ${result.error}`);
+        });
+    }
+
+    /**
+     * Log a quantity change
+     */
+    logChange(result, action) {
+        if (result.currentQuantity === result.oblioQuantity) return;
+
+        const change = result.oblioQuantity - result.currentQuantity;
+        const where = result.location ? ` @ ${result.location}` : '';
+        logger.info(`${action} ${result.sku}${where}: ${result.currentQuantity} → ${result.oblioQuantity} (${change > 0 ? '+' : ''}${change})`);
+    }
+
+    /**
+     * The variant as stocked at one location: inventoryQuantity is the quantity available there
+     * @param {Object} variant - Shopify variant with inventory levels
+     * @param {string|null} locationId - Numeric location ID, null for the first location
+     * @returns {Object|null} Variant with locationId, or null when it is not stocked at the location
+     */
+    atLocation(variant, locationId) {
+        if (!locationId) return variant;
+
+        const level = (variant.inventoryItem?.inventoryLevels?.edges || [])
+            .map(edge => edge.node)
+            .find(node => toNumericId(node.location?.id) === locationId);
+        if (!level) return null;
+
+        return {
+            ...variant,
+            inventoryQuantity: level.quantities?.find(quantity => quantity.name === 'available')?.quantity ?? 0,
+            locationId: level.location.id,
+            locationName: level.location.name
+        };
+    }
+
     /**
      * Sync inventory for a single variant
      */
     async syncVariantInventory(product, variant, oblioStockMap, dryRun) {
         const sku = variant.sku;
-        const oblioStock = oblioStockMap[sku];
+        const bundle = this.bundleService.get(sku);
+
+        if (bundle) {
+            return this.syncBundleInventory(product, variant, bundle, oblioStockMap, dryRun);
+        }
+
+        const oblioCode = this.skuMappingService.toOblioCode(sku);
+        const oblioStock = oblioCode ? oblioStockMap[oblioCode] : null;
 
         const result = {
             sku,
+            oblioCode,
             productTitle: product.title,
             variantTitle: variant.title,
             currentQuantity: variant.inventoryQuantity,
             oblioQuantity: oblioStock?.totalStock || 0,
+            reserved: oblioStock?.reserved || 0,
             updated: false,
             reason: ''
         };
 
         if (!oblioStock) {
-            result.reason = 'SKU not found in Oblio';
+            result.unmappedSkus = [sku];
+            result.reason = oblioCode && oblioCode !== sku
+                ? `Mapped Oblio code ${oblioCode} not found in Oblio`
+                : 'SKU not found in Oblio';
+            return result;
+        }
+
+        return this.applyQuantity(variant, oblioStock.totalStock, result, dryRun);
+    }
+
+    /**
+     * Sync a bundle variant: available quantity is the number of complete bundles in component stock
+     */
+    async syncBundleInventory(product, variant, bundle, oblioStockMap, dryRun) {
+        const available = this.bundleService.getAvailableQuantity(bundle, componentSku => {
+            const oblioCode = this.skuMappingService.toOblioCode(componentSku);
+            return oblioCode && oblioStockMap[oblioCode] ? oblioStockMap[oblioCode].totalStock : null;
+        });
+
+        const result = {
+            sku: variant.sku,
+            bundle: true,
+            productTitle: product.title,
+            variantTitle: variant.title,
+            currentQuantity: variant.inventoryQuantity,
+            oblioQuantity: available.quantity,
+            updated: false,
+            reason: ''
+        };
+
+        if (available.missing.length > 0) {
+            result.unmappedSkus = available.missing;
+            result.reason = `Bundle components not found in Oblio: ${available.missing.join(', ')}`;
             return result;
         }
 
-        const quantityDifference = oblioStock.totalStock - variant.inventoryQuantity;
+        return this.applyQuantity(variant, available.quantity, result, dryRun);
+    }
+
+    /**
+     * Update the Shopify quantity of a variant when it differs from Oblio
+     */
+    async applyQuantity(variant, newQuantity, result, dryRun) {
+        const quantityDifference = newQuantity - variant.inventoryQuantity;
 
         if (quantityDifference === 0) {
             result.reason = 'Quantities already match';
@@ -144,61 +438,97 @@ export default class InventorySyncService {
         }
 
         if (dryRun) {
-            result.reason = `Would update: ${variant.inventoryQuantity} → ${oblioStock.totalStock} (${quantityDifference > 0 ? '+' : ''}${quantityDifference})`;
+            result.reason = `Would update: ${variant.inventoryQuantity} → ${newQuantity} (${quantityDifference > 0 ? '+' : ''}${quantityDifference})`;
             result.updated = true;
             return result;
         }
 
-        // Update Shopify inventory
-        await this.updateShopifyInventory(variant, oblioStock.totalStock);
-        
+        // Queued for the batched Shopify update at the end of the run
+        result.pendingQuantity = this.getInventoryQuantity(variant, newQuantity);
         result.updated = true;
-        result.reason = `Updated: ${variant.inventoryQuantity} → ${oblioStock.totalStock} (${quantityDifference > 0 ? '+' : ''}${quantityDifference})`;
+        result.reason = `Queued: ${variant.inventoryQuantity} → ${newQuantity} (${quantityDifference > 0 ? '+' : ''}${quantityDifference})`;
 
         return result;
     }
 
     /**
-     * Update Shopify inventory for a variant
+     * inventorySetQuantities entry for a variant
      */
-    async updateShopifyInventory(variant, newQuantity) {
+    getInventoryQuantity(variant, newQuantity) {
         if (!variant.inventoryItem?.id) {
             throw new Error('Variant has no inventory item ID');
         }
 
-        if (!variant.inventoryItem.inventoryLevels?.edges?.[0]?.node?.location?.id) {
+        // Variants located with atLocation carry their location, otherwise the first one is used
+        const locationId = variant.locationId || variant.inventoryItem.inventoryLevels?.edges?.[0]?.node?.location?.id;
+        if (!locationId) {
             throw new Error('No inventory location found for variant');
         }
 
-        const locationId = variant.inventoryItem.inventoryLevels.edges[0].node.location.id;
-        const inventoryItemId = variant.inventoryItem.id;
-
-        const input = {
-            reason: 'correction',
-            name: 'on_hand',
-            ignoreCompareQuantity: true,
-            quantities: [{
-                inventoryItemId,
-                locationId,
-                quantity: newQuantity
-            }]
+        return {
+            inventoryItemId: variant.inventoryItem.id,
+            locationId,
+            quantity: newQuantity
         };
+    }
+
+    /**
+     * Lower the stock maps by the quantities reserved by open orders not invoiced yet:
+     * Oblio stock only goes down when the invoice is issued, at fulfillment
+     */
+    async subtractReservations(oblioStockMaps) {
+        if (!config.inventorySync.reserveOpenOrders) return;
 
-        const response = await this.shopifyService.graphQLQuery(INVENTORY_SET_QUANTITIES, { input });
+        const reserved = await this.getReservedQuantities();
+        let products = 0;
 
-        if (response.inventorySetQuantities?.userErrors?.length > 0) {
-            const errors = response.inventorySetQuantities.userErrors.map(e => e.message).join(', ');
-            throw new Error(`Shopify inventory update failed: ${errors}`);
-        }
+        Object.entries(reserved).forEach(([management, quantities]) => {
+            Object.entries(quantities).forEach(([code, quantity]) => {
+                const stock = oblioStockMaps[management]?.[code];
+                if (!stock) return;
+
+                stock.oblioStock = stock.totalStock;
+                stock.reserved = quantity;
+                stock.totalStock = Math.max(0, stock.oblioStock - quantity);
+                products++;
+            });
+        });
+
+        logger.info(`🛒 Reserved by open orders: ${products} Oblio products`);
+    }
+
+    /**
+     * Management -> Oblio code -> quantity reserved by open orders not invoiced yet
+     * Bundles reserve their components; the management is the one of the fulfillment location.
+     */
+    async getReservedQuantities() {
+        const reserved = {};
+        const lineItems = await this.shopifyService.getReservedLineItems();
+
+        lineItems.forEach(({ sku, quantity, locationId }) => {
+            const management = this.locationMappingService.getManagement(locationId);
+            const bundle = this.bundleService.get(sku);
+            const parts = bundle
+                ? bundle.components.map(component => ({ sku: component.sku, quantity: component.quantity * quantity }))
+                : [{ sku, quantity }];
+
+            parts.forEach(part => {
+                const oblioCode = this.skuMappingService.toOblioCode(part.sku);
+                if (!oblioCode) return;
+
+                reserved[management] = reserved[management] || {};
+                reserved[management][oblioCode] = (reserved[management][oblioCode] || 0) + part.quantity;
+            });
+        });
 
-        return response;
+        return reserved;
     }
 
     /**
-     * Create a map of SKU -> stock data from Oblio products
+     * Create a map of Oblio product code -> stock data from Oblio products
      * Products are already filtered by management via API parameter
      */
-    createOblioStockMap(oblioProducts) {
+    createOblioStockMap(oblioProducts, management = config.oblio.OBLIO_MANAGEMENT) {
         const stockMap = {};
 
         oblioProducts.forEach(product => {
@@ -216,19 +546,19 @@ export default class InventorySyncService {
             stockMap[sku] = {
                 productName: product.name,
                 totalStock: quantity,
-                management: config.oblio.OBLIO_MANAGEMENT,
+                management,
                 oblioProduct: product
             };
         });
 
-        logger.debug(`Loaded products from management: "${config.oblio.OBLIO_MANAGEMENT}"`);
+        logger.debug(`Loaded products from management: "${management}"`);
         return stockMap;
     }
 
     /**
-     * Get all Oblio products with pagination support
+     * Get all Oblio products of a management with pagination support
      */
-    async getAllOblioProducts() {
+    async getAllOblioProducts(management = config.oblio.OBLIO_MANAGEMENT) {
         const allProducts = [];
         let offset = 0;
         const limit = 250;
@@ -236,7 +566,7 @@ export default class InventorySyncService {
 
         while (hasMoreProducts) {
             const response = await this.oblioService.getProducts(this.companyCif, {
-                management: config.oblio.OBLIO_MANAGEMENT,
+                management,
                 offset,
                 limit
             });
@@ -254,7 +584,7 @@ export default class InventorySyncService {
             }
         }
 
-        logger.debug(`Fetched ${allProducts.length} total products from Oblio with pagination`);
+        logger.debug(`Fetched ${allProducts.length} total products from Oblio management "${management}" with pagination`);
         
         return {
             data: allProducts
@@ -262,17 +592,31 @@ export default class InventorySyncService {
     }
 
     /**
-     * Get sync preview without making changes
+     * Management -> Oblio code -> stock maps for a few products (one lookup per code and management)
      */
-    async getSyncPreview(skuFilter = null) {
-        logger.info({ skuFilter }, 'Generating sync preview');
-        return await this.syncInventory({ dryRun: true, skuFilter });
+    async getOblioStock(codes) {
+        const stockMaps = {};
+
+        for (const management of this.locationMappingService.getManagements()) {
+            const products = [];
+
+            for (const code of codes) {
+                const response = await this.oblioService.getProducts(this.companyCif, { management, code });
+                // The code filter may also match similar codes
+                products.push(...(response.data || []).filter(product => product.code === code));
+            }
+
+            stockMaps[management] = this.createOblioStockMap(products, management);
+        }
+
+        return stockMaps;
     }
 
     /**
-     * Sleep utility for rate limiting
+     * Get sync preview without making changes
      */
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    async getSyncPreview(skuFilter = null) {
+        logger.info({ skuFilter }, 'Generating sync preview');
+        return await this.syncInventory({ dryRun: true, skuFilter });
     }
 }
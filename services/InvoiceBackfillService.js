@@ -0,0 +1,251 @@
+import ShopifyService from './ShopifyService.js';
+import { invoiceIdempotency } from './InvoiceIdempotencyService.js';
+import { invoiceRetryHistory } from './InvoiceRetryHistoryService.js';
+import { CreateInvoiceAction } from '../actions/CreateInvoiceAction.js';
+import { ProformaInvoiceAction } from '../actions/ProformaInvoiceAction.js';
+import { UpdateOrderInvoiceAction } from '../actions/UpdateOrderInvoiceAction.js';
+import { ValidateCompanyAction } from '../actions/ValidateCompanyAction.js';
+import config from '../config/AppConfig.js';
+import { logger, getOrderAttribute, getInvoiceFromOrder } from '../utils/index.js';
+
+export default class InvoiceBackfillService {
+    constructor() {
+        this.shopifyService = new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+        this.createInvoiceAction = new CreateInvoiceAction();
+        this.proformaAction = new ProformaInvoiceAction();
+        this.updateOrderAction = new UpdateOrderInvoiceAction(this.shopifyService);
+        this.anafService = new ValidateCompanyAction().anafService;
+    }
+
+    /**
+     * Invoice fulfilled orders of a date range that have no Oblio invoice
+     * (server down, Oblio outage), through the same actions as the invoice webhook
+     * @param {Object} options - Backfill options
+     * @param {string} options.fromDate - Orders created from this date (yyyy-mm-dd)
+     * @param {string} options.toDate - Orders created until this date (yyyy-mm-dd), defaults to today
+     * @param {boolean} options.dryRun - If true, only build and log the Oblio payloads
+     * @param {number} options.limit - Maximum number of orders examined
+     * @returns {Promise<Object>} Backfill results
+     */
+    async backfill(options = {}) {
+        const {
+            fromDate,
+            toDate = new Date().toISOString().split('T')[0],
+            dryRun = false,
+            limit = config.invoiceBackfill.maxOrders
+        } = options;
+
+        if (!fromDate) {
+            throw new Error('A start date is required (--from=yyyy-mm-dd)');
+        }
+
+        logger.info(`🧾 Starting invoice backfill ${dryRun ? '(DRY RUN)' : '(LIVE)'} - orders from ${fromDate} to ${toDate}`);
+
+        const results = {
+            fromDate,
+            toDate,
+            totalProcessed: 0,
+            invoiced: 0,
+            skipped: 0,
+            errors: 0,
+            details: []
+        };
+
+        // Step 1: Fulfilled orders of the range not tagged as invoiced
+        const candidates = await this.shopifyService.findOrders(
+            `fulfillment_status:shipped AND created_at:>=${fromDate} AND created_at:<=${toDate} AND -tag:'oblio-invoiced' AND -status:cancelled`,
+            limit
+        );
+
+        // Step 2: Invoice them one by one
+        for (const candidate of candidates) {
+            results.totalProcessed++;
+
+            try {
+                const result = await this.backfillOrder(candidate, dryRun);
+
+                if (result.invoiced) results.invoiced++;
+                else if (result.error) results.errors++;
+                else results.skipped++;
+
+                results.details.push(result);
+
+            } catch (error) {
+                results.errors++;
+                results.details.push({
+                    orderId: candidate.id,
+                    orderName: candidate.name,
+                    invoiced: false,
+                    error: error.message
+                });
+                logger.error(`❌ ${candidate.name}: ${error.message}`);
+            }
+
+            // Oblio and Shopify rate limits
+            await this.sleep(config.invoiceBackfill.delayMs);
+        }
+
+        logger.info(`🎉 Invoice backfill complete: ${results.totalProcessed} orders, ${results.invoiced} ${dryRun ? 'to invoice' : 'invoiced'}, ${results.skipped} skipped, ${results.errors} errors`);
+        return results;
+    }
+
+    /**
+     * Invoice a single order (or show its Oblio payload in dry-run mode)
+     */
+    async backfillOrder(candidate, dryRun) {
+        const order = await this.shopifyService.getOrderDetails(candidate.id);
+
+        const result = {
+            orderId: candidate.id,
+            orderName: candidate.name,
+            invoiced: false,
+            reason: ''
+        };
+
+        // The tag search misses invoices recorded only in the custom attributes
+        const existingInvoice = getInvoiceFromOrder(order);
+        if (existingInvoice) {
+            result.reason = `Already invoiced (${existingInvoice.series}${existingInvoice.number})`;
+            return result;
+        }
+
+        // Bank transfer orders are invoiced from their proforma once paid
+        const proformaNumber = getOrderAttribute(order, 'PROFORMA_NUMBER');
+        if (proformaNumber) {
+            if (order.financial_status !== 'paid') {
+                result.reason = `Proforma ${proformaNumber} not paid yet`;
+                return result;
+            }
+            return this.convertProforma(order, result, dryRun);
+        }
+
+        if (dryRun) {
+            const { cleanedInvoiceData, reconciliation } = await this.createInvoiceAction._prepareInvoiceData({
+                order,
+                anafService: this.anafService
+            });
+
+            result.invoiced = true;
+            result.reason = 'Would create invoice';
+            result.invoiceData = cleanedInvoiceData;
+            result.reconciliation = reconciliation;
+            logger.info({ invoiceData: cleanedInvoiceData }, `🔍 ${order.name}: Oblio payload`);
+            return result;
+        }
+
+        // Same per-order claim as webhook and extension invoicing (held in the
+        // idempotency file, so it also covers the server while this CLI runs)
+        const { duplicate, result: invoiceResult } = await invoiceIdempotency.runOnce(
+            { orderId: order.id, source: 'backfill' },
+            () => this._unlessInvoiced(order, () => this.createInvoiceAction.execute({ order, anafService: this.anafService }))
+        );
+
+        if (duplicate || invoiceResult.skipped) {
+            result.reason = invoiceResult?.reason || 'Invoice already created or in progress';
+            return result;
+        }
+
+        if (!invoiceResult.success) {
+            await this.updateOrderAction.updateWithError({ orderId: order.id, error: invoiceResult });
+
+            // Hand the order over to the retry scanner
+            await invoiceRetryHistory.recordAttempt(order, {
+                attempt: 0,
+                success: false,
+                strategy: 'initial',
+                error: invoiceResult.error,
+                statusCode: invoiceResult.statusCode || null,
+                errorType: invoiceResult.errorType || null,
+                retryable: invoiceRetryHistory.isRetryable(invoiceResult)
+            });
+
+            result.error = invoiceResult.error;
+            logger.error(`❌ ${order.name}: ${invoiceResult.error}`);
+            return result;
+        }
+
+        await this.updateOrderAction.execute({
+            orderId: order.id,
+            invoiceResult,
+            removeErrorTags: true
+        });
+
+        result.invoiced = true;
+        result.invoice = `${invoiceResult.invoice.series}${invoiceResult.invoice.number}`;
+        result.reason = `Invoice ${result.invoice} created`;
+        logger.info(`✅ ${order.name}: ${result.reason}`);
+
+        return result;
+    }
+
+    /**
+     * Convert the proforma of a paid order, like the orders/paid webhook
+     */
+    async convertProforma(order, result, dryRun) {
+        const proforma = `${getOrderAttribute(order, 'PROFORMA_SERIES') || ''}${getOrderAttribute(order, 'PROFORMA_NUMBER')}`;
+
+        if (dryRun) {
+            result.invoiced = true;
+            result.reason = `Would convert proforma ${proforma}`;
+            logger.info(`🔍 ${order.name}: ${result.reason}`);
+            return result;
+        }
+
+        const { duplicate, result: invoiceResult } = await invoiceIdempotency.runOnce(
+            { orderId: order.id, source: 'backfill' },
+            () => this._unlessInvoiced(order, () => this.proformaAction.convertToInvoice({ order }))
+        );
+
+        if (duplicate || invoiceResult.skipped) {
+            result.reason = invoiceResult?.reason || 'Invoice already created or in progress';
+            return result;
+        }
+
+        if (!invoiceResult.success) {
+            await this.updateOrderAction.updateWithProformaError({ orderId: order.id, error: invoiceResult, stage: 'convert' });
+
+            result.error = invoiceResult.error;
+            logger.error(`❌ ${order.name}: ${invoiceResult.error}`);
+            return result;
+        }
+
+        await this.updateOrderAction.execute({
+            orderId: order.id,
+            invoiceResult,
+            removeErrorTags: true,
+            additionalTags: ['PROFORMA_CONVERTED']
+        });
+
+        result.invoiced = true;
+        result.invoice = `${invoiceResult.invoice.series}${invoiceResult.invoice.number}`;
+        result.reason = `Proforma ${proforma} converted to invoice ${result.invoice}`;
+        logger.info(`✅ ${order.name}: ${result.reason}`);
+
+        return result;
+    }
+
+    /**
+     * Issue the invoice unless the order got one since it was read (webhooks
+     * handled by the server while the backfill runs)
+     * @private
+     */
+    async _unlessInvoiced(order, issue) {
+        const latest = await this.shopifyService.getOrderDetails(order.id);
+        const invoice = getInvoiceFromOrder(latest);
+
+        if (invoice) {
+            return { success: false, skipped: true, reason: `Already invoiced (${invoice.series}${invoice.number})` };
+        }
+        return issue();
+    }
+
+    /**
+     * Sleep utility for rate limiting
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
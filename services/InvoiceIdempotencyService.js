@@ -0,0 +1,261 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Invoice idempotency
+ *
+ * Remembers which Shopify webhooks and orders already produced an invoice so
+ * redelivered webhooks and overlapping routes never invoice an order twice.
+ * Invoice creation for an order runs under a per-order lock: an in_progress
+ * record claimed in the shared store file, so it also holds across processes
+ * (server and CLI scripts). A duplicate request gets the stored result back
+ * instead of a new invoice.
+ *
+ * Records: { webhooks: { [webhookId]: { orderId, receivedAt } },
+ *            orders: { [orderId]: { status, invoice, webhookIds, source, updatedAt } } }
+ * Records are kept for the retention window; later duplicates are recognised
+ * by the oblio-invoiced tag of the order.
+ */
+export default class InvoiceIdempotencyService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        // The backfill CLI invoices orders from its own process
+        this.store = store || new JsonStore('invoice-idempotency.json', { webhooks: {}, orders: {} }, { shared: true });
+        this.locks = new Map();
+    }
+
+    /**
+     * Get the completed invoice record for an order or webhook, if any
+     * @param {Object} params - Lookup parameters
+     * @param {string|number} params.orderId - Shopify order ID (numeric or GID)
+     * @param {string} params.webhookId - X-Shopify-Webhook-Id header
+     * @returns {Object|null} Completed order record
+     */
+    findCompleted({ orderId, webhookId = null }) {
+        const data = this.store.get();
+        const key = webhookId && data.webhooks[webhookId]
+            ? data.webhooks[webhookId].orderId
+            : this._normalizeOrderId(orderId);
+
+        const record = key ? data.orders[key] : null;
+        return record?.status === 'completed' ? record : null;
+    }
+
+    /**
+     * Run invoice creation at most once per order
+     * @param {Object} params - Run parameters
+     * @param {string|number} params.orderId - Shopify order ID (numeric or GID)
+     * @param {string} params.webhookId - X-Shopify-Webhook-Id header (optional)
+     * @param {string} params.source - Route or flow that triggered the run
+     * @param {Function} fn - Async function creating the invoice, returns an invoice result
+     * @returns {Promise<Object>} { duplicate, record } for duplicates, { duplicate: false, result } otherwise
+     */
+    async runOnce({ orderId, webhookId = null, source = 'unknown' }, fn) {
+        const key = this._normalizeOrderId(orderId);
+
+        return this._withOrderLock(key, async () => {
+            // Claimed on disk under the store lock, so the CLI scripts and the
+            // server never issue the same order's invoice at the same time
+            const claim = await this.store.update(data => {
+                if (webhookId) {
+                    data.webhooks[webhookId] = { orderId: key, receivedAt: new Date().toISOString() };
+                }
+
+                const existing = data.orders[key];
+                if (existing?.status === 'completed') {
+                    this._rememberWebhook(existing, webhookId);
+                    return { duplicate: true, record: existing };
+                }
+
+                if (existing?.status === 'in_progress' && !this._isStale(existing)) {
+                    return { duplicate: true, record: existing };
+                }
+
+                data.orders[key] = {
+                    ...existing,
+                    status: 'in_progress',
+                    source,
+                    webhookIds: existing?.webhookIds || [],
+                    updatedAt: new Date().toISOString()
+                };
+                this._rememberWebhook(data.orders[key], webhookId);
+                return { duplicate: false, existing };
+            });
+
+            if (claim.duplicate) {
+                if (claim.record.status === 'completed') {
+                    logger.info({ orderId: key, webhookId, source, invoice: claim.record.invoice }, 'Duplicate invoice request, returning existing result');
+                } else {
+                    // Another request or process is issuing the invoice right now
+                    logger.warn({ orderId: key, webhookId, source, runningSource: claim.record.source }, 'Invoice creation already in progress for order');
+                }
+                return { duplicate: true, record: claim.record };
+            }
+
+            let settle;
+            try {
+                const result = await fn();
+
+                settle = data => {
+                    if (result?.skipped) {
+                        // Nothing was issued, leave the previous state untouched
+                        if (claim.existing) data.orders[key] = claim.existing;
+                        else delete data.orders[key];
+                    } else if (result?.success && result.invoice) {
+                        this._complete(data, key, result.invoice, source);
+                    } else {
+                        this._fail(data, key, result?.error || null);
+                    }
+                };
+
+                return { duplicate: false, result };
+
+            } catch (error) {
+                settle = data => this._fail(data, key, error.message);
+                throw error;
+
+            } finally {
+                await this.store.update(data => {
+                    settle(data);
+                    this._prune(data);
+                });
+            }
+        });
+    }
+
+    /**
+     * Record an invoice issued outside runOnce (e.g. admin extension)
+     * @param {string|number} orderId - Shopify order ID (numeric or GID)
+     * @param {Object} invoice - { number, series, url }
+     * @param {string} source - Flow that issued the invoice
+     * @returns {Promise<void>}
+     */
+    async recordInvoice(orderId, invoice, source = 'manual') {
+        await this.store.update(data => {
+            this._complete(data, this._normalizeOrderId(orderId), invoice, source);
+            this._prune(data);
+        });
+    }
+
+    /**
+     * Forget the invoice of an order so it can be invoiced again (after cancellation)
+     * @param {string|number} orderId - Shopify order ID (numeric or GID)
+     * @returns {Promise<void>}
+     */
+    async release(orderId) {
+        const key = this._normalizeOrderId(orderId);
+
+        const released = await this.store.update(data => {
+            if (!data.orders[key]) return false;
+
+            delete data.orders[key];
+            return true;
+        });
+
+        if (released) {
+            logger.info({ orderId: key }, 'Invoice idempotency record released');
+        }
+    }
+
+    /**
+     * Mark order record as completed
+     * @private
+     */
+    _complete(data, key, invoice, source) {
+        data.orders[key] = {
+            ...data.orders[key],
+            status: 'completed',
+            source,
+            invoice: {
+                number: invoice.number,
+                series: invoice.series,
+                url: invoice.url
+            },
+            webhookIds: data.orders[key]?.webhookIds || [],
+            error: null,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Mark order record as failed
+     * @private
+     */
+    _fail(data, key, error) {
+        data.orders[key] = {
+            ...data.orders[key],
+            status: 'failed',
+            webhookIds: data.orders[key]?.webhookIds || [],
+            error,
+            updatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Serialize work per order within this process
+     * @private
+     */
+    async _withOrderLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        this.locks.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(key) === current) {
+                this.locks.delete(key);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _rememberWebhook(record, webhookId) {
+        if (webhookId && !record.webhookIds.includes(webhookId)) {
+            record.webhookIds.push(webhookId);
+        }
+    }
+
+    /**
+     * In-progress records left behind by a crash expire after the lock TTL
+     * @private
+     */
+    _isStale(record) {
+        return Date.now() - new Date(record.updatedAt).getTime() > config.idempotency.lockTtlMs;
+    }
+
+    /**
+     * Drop webhook ids and order records older than the retention window
+     * Older completed orders are caught by the oblio-invoiced tag instead, so the
+     * file (rewritten on every save) stays small.
+     * @private
+     */
+    _prune(data) {
+        const cutoff = Date.now() - config.idempotency.retentionDays * DAY_MS;
+
+        Object.entries(data.webhooks).forEach(([webhookId, entry]) => {
+            if (new Date(entry.receivedAt).getTime() < cutoff) delete data.webhooks[webhookId];
+        });
+
+        Object.entries(data.orders).forEach(([key, record]) => {
+            if (new Date(record.updatedAt).getTime() < cutoff) {
+                delete data.orders[key];
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _normalizeOrderId(orderId) {
+        return orderId ? orderId.toString().replace('gid://shopify/Order/', '') : null;
+    }
+}
+
+// Shared instance so every route uses the same per-order locks
+export const invoiceIdempotency = new InvoiceIdempotencyService();
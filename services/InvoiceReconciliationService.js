@@ -0,0 +1,218 @@
+import ShopifyService from './ShopifyService.js';
+import OblioService from './OblioService.js';
+import config from '../config/AppConfig.js';
+import { logger, getOrderAttribute, getInvoiceFromOrder } from '../utils/index.js';
+
+/**
+ * Shopify vs Oblio invoice reconciliation
+ *
+ * For the orders created in a date range, reports:
+ * - fulfilled orders without an invoice
+ * - invoices recorded on the order that do not exist (or are cancelled) in Oblio
+ * - invoice totals that differ from the Shopify order total
+ * - orders with more than one active invoice in Oblio
+ *
+ * Oblio invoices are matched to orders through the order attributes and the
+ * order name in the invoice mentions ("Factura emisa pentru comanda #1001").
+ */
+export default class InvoiceReconciliationService {
+    constructor() {
+        this.shopifyService = new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+        this.oblioService = new OblioService();
+        this.companyCif = config.oblio.OBLIO_COMPANY_CIF;
+    }
+
+    /**
+     * Build the reconciliation report
+     * @param {Object} options - Report options
+     * @param {string} options.fromDate - Orders created from this date (yyyy-mm-dd)
+     * @param {string} options.toDate - Orders created until this date (yyyy-mm-dd), defaults to today
+     * @returns {Promise<Object>} Report
+     */
+    async buildReport(options = {}) {
+        const { fromDate, toDate = new Date().toISOString().split('T')[0] } = options;
+
+        if (!isDate(fromDate) || !isDate(toDate)) {
+            throw new Error('from and to must be dates (yyyy-mm-dd)');
+        }
+
+        logger.info(`📒 Building invoice reconciliation report - orders from ${fromDate} to ${toDate}`);
+
+        // Step 1: Shopify orders of the range
+        const orders = await this.shopifyService.getOrdersCreatedBetween({
+            createdAtMin: `${fromDate}T00:00:00Z`,
+            createdAtMax: `${toDate}T23:59:59Z`
+        });
+
+        // Step 2: Oblio invoices issued in the range, and a few days after (fulfillment delay)
+        const documents = await this.oblioService.listDocumentsIssuedBetween(
+            'invoice',
+            this.companyCif,
+            fromDate,
+            addDays(toDate, config.invoiceReport.lookaheadDays)
+        );
+        const documentsByKey = new Map(documents.map(document => [documentKey(document.seriesName, document.number), document]));
+
+        const report = {
+            fromDate,
+            toDate,
+            generatedAt: new Date().toISOString(),
+            summary: {},
+            missingInvoices: [],
+            unknownInvoices: [],
+            amountMismatches: [],
+            duplicates: []
+        };
+
+        // Step 3: Check every order against Oblio
+        for (const order of orders) {
+            const invoice = getInvoiceFromOrder(order);
+
+            if (!invoice) {
+                if (!order.cancelled_at && ['fulfilled', 'partial'].includes(order.fulfillment_status)) {
+                    report.missingInvoices.push({
+                        ...describeOrder(order),
+                        financialStatus: order.financial_status,
+                        fulfillmentStatus: order.fulfillment_status,
+                        proforma: getOrderAttribute(order, 'PROFORMA_NUMBER')
+                    });
+                }
+                continue;
+            }
+
+            // Invoices issued outside the listed range are looked up one by one
+            const key = documentKey(invoice.series, invoice.number);
+            const document = documentsByKey.get(key)
+                || await this.oblioService.findDocument('invoice', this.companyCif, invoice.series, invoice.number);
+
+            if (!document || isCancelled(document)) {
+                report.unknownInvoices.push({
+                    ...describeOrder(order),
+                    invoice: key,
+                    reason: document ? 'Invoice cancelled in Oblio' : 'Invoice not found in Oblio'
+                });
+                continue;
+            }
+
+            const mismatch = this.compareTotals(order, document);
+            if (mismatch) {
+                report.amountMismatches.push({ ...describeOrder(order), invoice: key, ...mismatch });
+            }
+        }
+
+        // Step 4: Orders with more than one active invoice
+        report.duplicates = this.findDuplicates(orders, documents);
+
+        report.summary = {
+            orders: orders.length,
+            oblioInvoices: documents.length,
+            missingInvoices: report.missingInvoices.length,
+            unknownInvoices: report.unknownInvoices.length,
+            amountMismatches: report.amountMismatches.length,
+            duplicates: report.duplicates.length
+        };
+
+        logger.info(`🎉 Reconciliation report: ${report.summary.missingInvoices} missing, ${report.summary.unknownInvoices} unknown, ${report.summary.amountMismatches} amount mismatches, ${report.summary.duplicates} duplicates`);
+        return report;
+    }
+
+    /**
+     * Difference between the Oblio invoice total and the Shopify order total
+     * Orders with a storno (refunds after invoicing) and invoices in another currency are not compared.
+     * @returns {Object|null} { shopifyTotal, oblioTotal, currency, difference } when above the tolerance
+     */
+    compareTotals(order, document) {
+        if (getOrderAttribute(order, 'STORNO_NUMBER')) return null;
+        if (document.currency && order.currency && document.currency !== order.currency) return null;
+
+        const shopifyTotal = parseFloat(order.current_total_price ?? order.total_price);
+        const oblioTotal = parseFloat(document.total);
+        if (isNaN(shopifyTotal) || isNaN(oblioTotal)) return null;
+
+        const difference = Math.round((oblioTotal - shopifyTotal) * 100) / 100;
+        if (Math.abs(difference) <= config.invoiceTotals.tolerance) return null;
+
+        return { shopifyTotal, oblioTotal, currency: order.currency, difference };
+    }
+
+    /**
+     * Orders referenced by more than one active (not cancelled, not storno) Oblio invoice
+     * @returns {Array} [{ orderId, orderName, invoices: ['PRS123', ...] }]
+     */
+    findDuplicates(orders, documents) {
+        const ordersByName = new Map(orders.map(order => [order.name, order]));
+        const ordersByInvoice = new Map();
+        orders.forEach(order => {
+            const invoice = getInvoiceFromOrder(order);
+            if (invoice) ordersByInvoice.set(documentKey(invoice.series, invoice.number), order);
+        });
+
+        const invoicesByOrder = new Map();
+        documents
+            .filter(document => !isCancelled(document) && !(parseFloat(document.total) < 0))
+            .forEach(document => {
+                const key = documentKey(document.seriesName, document.number);
+                const names = String(document.mentions || '').match(/#[\w-]+/g) || [];
+                const order = ordersByInvoice.get(key)
+                    || names.map(name => ordersByName.get(name)).find(Boolean);
+                if (!order) return;
+
+                const invoices = invoicesByOrder.get(order.id) || new Set();
+                invoices.add(key);
+                invoicesByOrder.set(order.id, invoices);
+            });
+
+        return [...invoicesByOrder.entries()]
+            .filter(([, invoices]) => invoices.size > 1)
+            .map(([orderId, invoices]) => ({
+                ...describeOrder(orders.find(order => order.id === orderId)),
+                invoices: [...invoices]
+            }));
+    }
+}
+
+/**
+ * @private
+ */
+function describeOrder(order) {
+    return {
+        orderId: String(order.id),
+        orderName: order.name,
+        createdAt: order.created_at,
+        total: order.current_total_price ?? order.total_price,
+        currency: order.currency
+    };
+}
+
+/**
+ * @private
+ */
+function documentKey(seriesName, number) {
+    return `${seriesName || ''}${number}`;
+}
+
+/**
+ * @private
+ */
+function isCancelled(document) {
+    return document.canceled === 1 || document.canceled === '1' || document.canceled === true;
+}
+
+/**
+ * @private
+ */
+function isDate(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value));
+}
+
+/**
+ * @private
+ */
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().split('T')[0];
+}
@@ -0,0 +1,141 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Errors no retry strategy can fix (the invoice would be wrong, not just refused)
+const TERMINAL_ERROR_TYPES = ['TOTAL_MISMATCH'];
+
+/**
+ * Invoice retry history
+ *
+ * Persistent record of failed invoice attempts per order, used by the retry
+ * scanner to pick the strategy and backoff for the next attempt.
+ *
+ * Records: { orders: { [orderId]: { orderName, status, attempts: [...], nextRetryAt, updatedAt } } }
+ * Status: pending (will be retried), resolved (invoice issued), exhausted (gave up)
+ */
+export default class InvoiceRetryHistoryService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        // The backfill CLI hands its failures over from its own process
+        this.store = store || new JsonStore('invoice-retries.json', { orders: {} }, { shared: true });
+    }
+
+    /**
+     * Get the retry record of an order
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Object|null} Retry record
+     */
+    get(orderId) {
+        return this.store.get().orders[String(orderId)] || null;
+    }
+
+    /**
+     * Number of retries already made (the original failure is attempt 0)
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {number}
+     */
+    getRetryCount(orderId) {
+        return (this.get(orderId)?.attempts || []).filter(attempt => attempt.attempt > 0).length;
+    }
+
+    /**
+     * Error of the last failed attempt, in the shape expected by RetryInvoiceAction
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Object|null} { message, statusCode, errorType, retryable }
+     */
+    getLastError(orderId) {
+        const attempts = this.get(orderId)?.attempts || [];
+        const last = [...attempts].reverse().find(attempt => !attempt.success);
+        if (!last) return null;
+
+        return {
+            message: last.error,
+            statusCode: last.statusCode,
+            errorType: last.errorType,
+            retryable: last.retryable
+        };
+    }
+
+    /**
+     * Check whether the retry scanner should retry a failed attempt
+     * Oblio 4xx and ANAF errors are retryable: the scanner changes series,
+     * stock, client or ANAF options for them (see RetryInvoiceAction)
+     * @param {Object} error - Invoice or retry result ({ errorType, ... })
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+        return !TERMINAL_ERROR_TYPES.includes(error?.errorType);
+    }
+
+    /**
+     * Check whether the order is due for another retry
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {boolean}
+     */
+    isDue(orderId) {
+        const record = this.get(orderId);
+        if (!record) return true;
+        if (record.status !== 'pending') return false;
+
+        return !record.nextRetryAt || new Date(record.nextRetryAt).getTime() <= Date.now();
+    }
+
+    /**
+     * Record an invoice attempt and schedule the next one
+     * @param {Object} order - Shopify order ({ id, name })
+     * @param {Object} attempt - { attempt, success, strategy, error, statusCode, errorType, retryable, skipped }
+     * @returns {Promise<Object>} Updated record
+     */
+    async recordAttempt(order, attempt) {
+        const key = String(order.id);
+
+        return this.store.update(({ orders }) => {
+            const record = orders[key] || { orderName: order.name, status: 'pending', attempts: [] };
+
+            record.attempts.push({ ...attempt, at: new Date().toISOString() });
+            record.updatedAt = new Date().toISOString();
+
+            const retries = record.attempts.filter(entry => entry.attempt > 0).length;
+
+            if (attempt.success) {
+                record.status = 'resolved';
+                record.nextRetryAt = null;
+            } else if (attempt.skipped || retries >= config.invoiceRetry.maxRetries) {
+                record.status = 'exhausted';
+                record.nextRetryAt = null;
+            } else {
+                // 15m, 30m, 1h, ... capped
+                const delay = Math.min(
+                    config.invoiceRetry.backoffBaseMs * Math.pow(2, retries),
+                    config.invoiceRetry.backoffMaxMs
+                );
+                record.status = 'pending';
+                record.nextRetryAt = new Date(Date.now() + delay).toISOString();
+            }
+
+            orders[key] = record;
+            this._prune(orders);
+
+            return record;
+        });
+    }
+
+    /**
+     * Drop resolved records older than the retention window
+     * @private
+     */
+    _prune(orders) {
+        const cutoff = Date.now() - config.invoiceRetry.retentionDays * DAY_MS;
+
+        Object.entries(orders).forEach(([key, record]) => {
+            if (record.status === 'resolved' && new Date(record.updatedAt).getTime() < cutoff) {
+                delete orders[key];
+            }
+        });
+    }
+}
+
+// Shared instance for the controller (first failures) and the retry scanner
+export const invoiceRetryHistory = new InvoiceRetryHistoryService();
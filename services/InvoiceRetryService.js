@@ -0,0 +1,157 @@
+import ShopifyService from './ShopifyService.js';
+import { invoiceIdempotency } from './InvoiceIdempotencyService.js';
+import { invoiceRetryHistory } from './InvoiceRetryHistoryService.js';
+import { RetryInvoiceAction } from '../actions/RetryInvoiceAction.js';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+export default class InvoiceRetryService {
+    constructor() {
+        this.shopifyService = new ShopifyService(
+            config.shopify.B2C_SHOPIFY_SHOPNAME,
+            config.shopify.B2C_SHOPIFY_ACCESS_TOKEN
+        );
+        this.retryInvoiceAction = new RetryInvoiceAction();
+        this.retryHistory = invoiceRetryHistory;
+    }
+
+    /**
+     * Retry invoices for orders tagged "EROARE FACTURARE" that are due
+     * @param {Object} options - Retry options
+     * @param {boolean} options.dryRun - If true, only log which orders would be retried
+     * @returns {Promise<Object>} Retry results
+     */
+    async retryFailedInvoices(options = {}) {
+        const { dryRun = false } = options;
+
+        logger.info(`🔁 Starting invoice retry scan ${dryRun ? '(DRY RUN)' : '(LIVE)'}`);
+
+        const results = {
+            totalProcessed: 0,
+            retried: 0,
+            succeeded: 0,
+            skipped: 0,
+            errors: 0,
+            details: []
+        };
+
+        // Step 1: Find orders with invoice errors that are due. Exhausted and
+        // backing-off orders keep the tag, so they are skipped before the batch
+        // limit instead of filling it (oldest first) and starving new failures
+        const candidates = await this.shopifyService.findOrders(
+            "tag:'EROARE FACTURARE' AND -tag:'oblio-invoiced'",
+            config.invoiceRetry.batchSize,
+            candidate => {
+                if (this.retryHistory.isDue(candidate.id)) return true;
+                results.skipped++;
+                return false;
+            }
+        );
+
+        if (results.skipped > 0) {
+            logger.info(`⏭️ ${results.skipped} tagged orders skipped (backing off or retries exhausted)`);
+        }
+
+        // Step 2: Retry them
+        for (const candidate of candidates) {
+            results.totalProcessed++;
+
+            try {
+                const result = await this.retryOrder(candidate, dryRun);
+
+                if (result.retried) results.retried++;
+                else results.skipped++;
+                if (result.success) results.succeeded++;
+
+                results.details.push(result);
+
+            } catch (error) {
+                results.errors++;
+                results.details.push({
+                    orderId: candidate.id,
+                    orderName: candidate.name,
+                    retried: false,
+                    error: error.message
+                });
+                logger.error(`❌ Retry ${candidate.name}: ${error.message}`);
+            }
+        }
+
+        logger.info(`🎉 Invoice retry scan complete: ${results.retried} retried, ${results.succeeded} succeeded, ${results.skipped} skipped, ${results.errors} errors`);
+        return results;
+    }
+
+    /**
+     * Retry a single order and record the attempt
+     */
+    async retryOrder(candidate, dryRun) {
+        const retryAttempt = this.retryHistory.getRetryCount(candidate.id) + 1;
+        const previousError = this.retryHistory.getLastError(candidate.id);
+        const strategy = this.retryInvoiceAction.getRetryStrategy(previousError, retryAttempt);
+
+        const result = {
+            orderId: candidate.id,
+            orderName: candidate.name,
+            retryAttempt,
+            strategy: strategy.type,
+            retried: false,
+            success: false,
+            reason: ''
+        };
+
+        if (dryRun) {
+            result.reason = `Would retry (attempt ${retryAttempt}, strategy ${strategy.type})`;
+            logger.info(`🔍 ${candidate.name}: ${result.reason}`);
+            return result;
+        }
+
+        const order = await this.shopifyService.getOrderDetails(candidate.id);
+
+        // Same per-order lock as webhook and extension invoicing
+        let retryResult = null;
+        const { duplicate, record } = await invoiceIdempotency.runOnce(
+            { orderId: order.id, source: 'retry-scanner' },
+            async () => {
+                retryResult = await this.retryInvoiceAction.execute({
+                    order,
+                    previousError,
+                    retryAttempt,
+                    maxRetries: config.invoiceRetry.maxRetries
+                });
+                return retryResult.invoiceResult || retryResult;
+            }
+        );
+
+        if (duplicate && record.status !== 'completed') {
+            result.reason = 'Invoice creation already in progress';
+            return result;
+        }
+
+        if (duplicate || retryResult.alreadyInvoiced) {
+            await this.retryHistory.recordAttempt(order, { attempt: retryAttempt, success: true, strategy: 'none', reason: 'Already invoiced' });
+            result.reason = 'Order already invoiced';
+            return result;
+        }
+
+        await this.retryHistory.recordAttempt(order, {
+            attempt: retryAttempt,
+            success: retryResult.success,
+            skipped: !!retryResult.skipped,
+            strategy: retryResult.strategyUsed || strategy.type,
+            error: retryResult.error || retryResult.reason || null,
+            statusCode: retryResult.statusCode || null,
+            errorType: retryResult.errorType || null,
+            retryable: this.retryHistory.isRetryable(retryResult)
+        });
+
+        result.retried = !retryResult.skipped;
+        result.success = retryResult.success;
+        result.reason = retryResult.success
+            ? `Invoice ${retryResult.invoiceResult?.invoice?.number} created`
+            : retryResult.error || retryResult.reason;
+
+        logger.info(`${retryResult.success ? '✅' : '⚠️'} ${candidate.name}: ${result.reason}`);
+
+        return result;
+    }
+}
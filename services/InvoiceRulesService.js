@@ -0,0 +1,210 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { logger, extractCUIFromOrder } from '../utils/index.js';
+
+const MATCH_FIELDS = ['channel', 'customerType', 'currency', 'country', 'customerTags'];
+const OPTION_FIELDS = ['seriesName', 'language', 'sendEmail', 'useStock', 'mentions'];
+const CUSTOMER_TYPES = ['b2b', 'b2c'];
+
+/**
+ * Invoice rules
+ *
+ * Choose the invoice series, language, email, stock and mentions per order.
+ * Every rule whose conditions all match applies, in order, so later rules
+ * override earlier ones; options sent explicitly (extension, manual API,
+ * proformas) win over the rules, and the builder defaults fill the rest.
+ *
+ * Conditions are lists (any value matches, case insensitive), customerType is
+ * 'b2b' (company with a CUI) or 'b2c'. Mentions may use {orderName} and {orderNumber}.
+ *
+ * Records: { rules: [{ name, match: { channel, customerType, currency, country, customerTags },
+ *                      set: { seriesName, language, sendEmail, useStock, mentions } }] }
+ */
+export default class InvoiceRulesService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('invoice-rules.json', { rules: [] });
+        this.knownSeries = null;
+    }
+
+    /**
+     * All rules, in evaluation order
+     * @returns {Array<Object>}
+     */
+    list() {
+        return this.store.get().rules;
+    }
+
+    /**
+     * Replace the rule set
+     * Series are checked against the Oblio series when they were loaded (validateSeries)
+     * @param {Array<Object>} rules
+     * @returns {Promise<Array<Object>>} Saved rules
+     */
+    async replace(rules) {
+        if (!Array.isArray(rules)) {
+            throw new Error('rules must be an array');
+        }
+
+        const cleanRules = rules.map((rule, index) => validateRule(rule, index));
+
+        if (this.knownSeries) {
+            const unknown = cleanRules
+                .map(rule => rule.set.seriesName)
+                .filter(series => series && !this.knownSeries.includes(series));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown Oblio invoice series: ${[...new Set(unknown)].join(', ')}`);
+            }
+        }
+
+        this.store.get().rules = cleanRules;
+        await this.store.save();
+
+        return this.list();
+    }
+
+    /**
+     * Invoice options chosen by the rules for an order
+     * @param {Object} orderModel - Canonical order
+     * @param {Object} options
+     * @param {Object} options.customClient - Client override (a CIF makes the order B2B)
+     * @returns {Object} { seriesName?, language?, sendEmail?, useStock?, mentions?, rules: [matched rule names] }
+     */
+    resolve(orderModel, { customClient = null } = {}) {
+        const context = this.getOrderContext(orderModel, { customClient });
+        const options = {};
+        const matched = [];
+
+        this.list().forEach(rule => {
+            if (!matchesRule(rule.match, context)) return;
+
+            matched.push(rule.name);
+            OPTION_FIELDS.forEach(field => {
+                if (rule.set[field] !== undefined && rule.set[field] !== null) {
+                    options[field] = rule.set[field];
+                }
+            });
+        });
+
+        if (options.mentions) {
+            options.mentions = options.mentions
+                .replace(/\{orderName\}/g, orderModel.name || '')
+                .replace(/\{orderNumber\}/g, orderModel.orderNumber || '');
+        }
+
+        if (matched.length > 0) {
+            logger.info({ orderId: orderModel.id, rules: matched, options }, 'Invoice rules matched');
+        }
+
+        return { ...options, rules: matched };
+    }
+
+    /**
+     * Values of an order the rules match on
+     * @param {Object} orderModel - Canonical order
+     * @returns {Object} { channel, customerType, currency, country, customerTags }
+     */
+    getOrderContext(orderModel, { customClient = null } = {}) {
+        const address = orderModel.billingAddress || orderModel.shippingAddress;
+        const isCompany = !!(customClient?.cif || extractCUIFromOrder(orderModel));
+
+        return {
+            channel: orderModel.sourceName || null,
+            customerType: isCompany ? 'b2b' : 'b2c',
+            currency: orderModel.currency || null,
+            country: address?.country_code || null,
+            customerTags: orderModel.customer?.tags || []
+        };
+    }
+
+    /**
+     * Check that the invoice series in use exist in Oblio
+     * (rules, OBLIO_INVOICE_SERIES, the retry fallback and the proforma series)
+     * @param {OblioService} oblioService
+     * @returns {Promise<Object>} { valid, missing: [{ series, usedBy }] }
+     */
+    async validateSeries(oblioService) {
+        const response = await oblioService.getSeries(config.oblio.OBLIO_COMPANY_CIF);
+        const series = response?.data || [];
+
+        const names = type => series
+            .filter(item => !type || !item.type || item.type === type)
+            .map(item => item.name);
+
+        this.knownSeries = names('Factura');
+
+        const expected = [
+            { series: config.oblio.OBLIO_INVOICE_SERIES || 'PRS', usedBy: 'OBLIO_INVOICE_SERIES', known: this.knownSeries },
+            { series: config.invoiceRules.fallbackSeries, usedBy: 'OBLIO_FALLBACK_SERIES', known: this.knownSeries },
+            { series: config.oblio.OBLIO_PROFORMA_SERIES || 'PRO', usedBy: 'OBLIO_PROFORMA_SERIES', known: names('Proforma') },
+            ...this.list().map(rule => ({ series: rule.set.seriesName, usedBy: `rule ${rule.name}`, known: this.knownSeries }))
+        ];
+
+        const missing = expected
+            .filter(({ series: name, known }) => name && !known.includes(name))
+            .map(({ series: name, usedBy }) => ({ series: name, usedBy }));
+
+        if (missing.length > 0) {
+            logger.error({ missing, available: names() }, '❌ Invoice series not found in Oblio');
+        } else {
+            logger.info(`✅ Invoice series checked against Oblio (${this.knownSeries.length} available)`);
+        }
+
+        return { valid: missing.length === 0, missing };
+    }
+}
+
+/**
+ * Normalize a rule, throwing on unknown fields or values
+ * @private
+ */
+function validateRule(rule, index) {
+    const name = String(rule?.name ?? '').trim() || `rule-${index + 1}`;
+    const match = rule?.match || {};
+    const set = rule?.set || {};
+
+    Object.keys(match).forEach(field => {
+        if (!MATCH_FIELDS.includes(field)) throw new Error(`Rule ${name}: unknown condition ${field}`);
+    });
+    Object.keys(set).forEach(field => {
+        if (!OPTION_FIELDS.includes(field)) throw new Error(`Rule ${name}: unknown option ${field}`);
+    });
+
+    if (match.customerType && !CUSTOMER_TYPES.includes(match.customerType)) {
+        throw new Error(`Rule ${name}: customerType must be one of: ${CUSTOMER_TYPES.join(', ')}`);
+    }
+    ['sendEmail', 'useStock'].forEach(field => {
+        if (set[field] !== undefined && ![0, 1].includes(set[field])) {
+            throw new Error(`Rule ${name}: ${field} must be 0 or 1`);
+        }
+    });
+    if (Object.keys(set).length === 0) {
+        throw new Error(`Rule ${name}: nothing to set`);
+    }
+
+    const cleanMatch = {};
+    MATCH_FIELDS.forEach(field => {
+        if (match[field] === undefined || match[field] === null) return;
+        cleanMatch[field] = field === 'customerType'
+            ? match[field]
+            : [].concat(match[field]).map(value => String(value).trim()).filter(Boolean);
+    });
+
+    return { name, match: cleanMatch, set: { ...set } };
+}
+
+/**
+ * All conditions of a rule hold for the order
+ * @private
+ */
+function matchesRule(match = {}, context) {
+    return Object.entries(match).every(([field, expected]) => {
+        if (field === 'customerType') return context.customerType === expected;
+
+        const wanted = expected.map(value => value.toLowerCase());
+        const actual = [].concat(context[field] ?? []).map(value => String(value).toLowerCase());
+        return actual.some(value => wanted.includes(value));
+    });
+}
+
+export const invoiceRules = new InvoiceRulesService();
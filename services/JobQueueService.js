@@ -0,0 +1,253 @@
+import crypto from 'crypto';
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { logger } from '../utils/index.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Job Queue
+ *
+ * Persistent background queue for webhook work. Jobs survive restarts in
+ * DATA_DIR, are retried with exponential backoff and end up in the `dead`
+ * state once they run out of attempts, where they can be replayed.
+ *
+ * Job states: pending -> running -> completed
+ *                               \-> pending (retry, runAt in the future)
+ *                               \-> dead (attempts exhausted)
+ */
+export default class JobQueueService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('jobs.json', { jobs: {} });
+        this.handlers = new Map();
+        this.running = 0;
+        this.timer = null;
+    }
+
+    /**
+     * Register the handler for a job type
+     * Handlers receive (payload, job) and throw to request a retry
+     * @param {string} type - Job type (e.g. 'invoice.create')
+     * @param {Function} handler - Async job handler
+     */
+    registerHandler(type, handler) {
+        this.handlers.set(type, handler);
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type - Job type
+     * @param {Object} payload - Job payload (must be JSON serializable)
+     * @param {Object} options - Job options
+     * @param {number} options.maxAttempts - Attempts before the job is dead-lettered
+     * @returns {Promise<Object>} Created job
+     */
+    async enqueue(type, payload, { maxAttempts = config.jobs.maxAttempts } = {}) {
+        const now = new Date().toISOString();
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'pending',
+            payload,
+            attempts: 0,
+            maxAttempts,
+            runAt: now,
+            lastError: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+
+        this.store.get().jobs[job.id] = job;
+        await this.store.save();
+
+        logger.info({ jobId: job.id, type }, 'Job enqueued');
+
+        // Pick it up right away instead of waiting for the next poll
+        setImmediate(() => this.processDueJobs());
+
+        return job;
+    }
+
+    /**
+     * Start polling for due jobs
+     */
+    start() {
+        if (this.timer) return;
+
+        // Jobs running when the process stopped are picked up again
+        const jobs = Object.values(this.store.get().jobs);
+        const interrupted = jobs.filter(job => job.status === 'running');
+        interrupted.forEach(job => {
+            job.status = 'pending';
+            job.updatedAt = new Date().toISOString();
+        });
+        if (interrupted.length > 0) {
+            this.store.save();
+            logger.warn({ count: interrupted.length }, 'Re-queued jobs interrupted by restart');
+        }
+
+        this.timer = setInterval(() => this.processDueJobs(), config.jobs.pollIntervalMs);
+        this.processDueJobs();
+
+        logger.info({ pending: jobs.filter(job => job.status === 'pending').length }, '✅ Job queue workers started');
+    }
+
+    /**
+     * Stop polling (running jobs finish on their own)
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Run due jobs up to the configured concurrency
+     * @returns {Promise<void>}
+     */
+    async processDueJobs() {
+        const now = Date.now();
+        const due = Object.values(this.store.get().jobs)
+            .filter(job => job.status === 'pending' && new Date(job.runAt).getTime() <= now)
+            .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+        const slots = Math.max(0, config.jobs.concurrency - this.running);
+        await Promise.all(due.slice(0, slots).map(job => this.runJob(job)));
+    }
+
+    /**
+     * Run a single job and record the outcome
+     * @param {Object} job - Job record
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        const handler = this.handlers.get(job.type);
+        if (!handler) {
+            job.status = 'dead';
+            job.lastError = `No handler registered for job type ${job.type}`;
+            job.updatedAt = new Date().toISOString();
+            logger.error({ jobId: job.id, type: job.type }, 'No handler registered for job type');
+            await this.store.save();
+            return;
+        }
+
+        this.running++;
+        job.status = 'running';
+        job.attempts++;
+        job.updatedAt = new Date().toISOString();
+        await this.store.save();
+
+        try {
+            await handler(job.payload, {
+                id: job.id,
+                attempt: job.attempts,
+                maxAttempts: job.maxAttempts,
+                isLastAttempt: job.attempts >= job.maxAttempts
+            });
+
+            job.status = 'completed';
+            job.lastError = null;
+            job.completedAt = new Date().toISOString();
+
+            logger.info({ jobId: job.id, type: job.type, attempts: job.attempts }, 'Job completed');
+
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (job.attempts >= job.maxAttempts) {
+                job.status = 'dead';
+                logger.error({ jobId: job.id, type: job.type, attempts: job.attempts, error: error.message }, '💀 Job moved to dead letter');
+            } else {
+                const delay = config.jobs.backoffBaseMs * Math.pow(2, job.attempts - 1);
+                job.status = 'pending';
+                job.runAt = new Date(Date.now() + delay).toISOString();
+                logger.warn({ jobId: job.id, type: job.type, attempt: job.attempts, delay, error: error.message }, 'Job failed, retrying');
+            }
+
+        } finally {
+            this.running--;
+            job.updatedAt = new Date().toISOString();
+            this._prune();
+            await this.store.save();
+        }
+    }
+
+    /**
+     * List jobs, newest first
+     * @param {Object} filters - { status, type, limit }
+     * @returns {Array} Jobs without payloads
+     */
+    list({ status = null, type = null, limit = 50 } = {}) {
+        return Object.values(this.store.get().jobs)
+            .filter(job => (!status || job.status === status) && (!type || job.type === type))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit)
+            .map(({ payload, ...job }) => job);
+    }
+
+    /**
+     * Get a job with its payload
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    get(id) {
+        return this.store.get().jobs[id] || null;
+    }
+
+    /**
+     * Count jobs by status
+     * @returns {Object} { pending, running, completed, dead }
+     */
+    stats() {
+        const stats = { pending: 0, running: 0, completed: 0, dead: 0 };
+        Object.values(this.store.get().jobs).forEach(job => {
+            stats[job.status] = (stats[job.status] || 0) + 1;
+        });
+        return stats;
+    }
+
+    /**
+     * Put a dead or completed job back in the queue with a fresh attempt budget
+     * @param {string} id - Job ID
+     * @returns {Promise<Object|null>} Replayed job, null when not found
+     */
+    async replay(id) {
+        const job = this.get(id);
+        if (!job) return null;
+
+        if (job.status === 'running') {
+            throw new Error('Job is running and cannot be replayed');
+        }
+
+        job.status = 'pending';
+        job.attempts = 0;
+        job.runAt = new Date().toISOString();
+        job.completedAt = null;
+        job.updatedAt = job.runAt;
+        await this.store.save();
+
+        logger.info({ jobId: id, type: job.type }, 'Job replayed');
+        setImmediate(() => this.processDueJobs());
+
+        return job;
+    }
+
+    /**
+     * Drop completed jobs older than the retention window (dead jobs stay until replayed)
+     * @private
+     */
+    _prune() {
+        const jobs = this.store.get().jobs;
+        const cutoff = Date.now() - config.jobs.retentionDays * DAY_MS;
+
+        Object.values(jobs).forEach(job => {
+            if (job.status === 'completed' && new Date(job.completedAt).getTime() < cutoff) {
+                delete jobs[job.id];
+            }
+        });
+    }
+}
+
+// Shared instance: controllers register handlers, server.js starts the workers
+export const jobQueue = new JobQueueService();
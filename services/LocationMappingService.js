@@ -0,0 +1,100 @@
+import JsonStore from '../utils/jsonStore.js';
+import config from '../config/AppConfig.js';
+import { toNumericId } from '../utils/index.js';
+
+/**
+ * Shopify location -> Oblio management (gestiune) mapping
+ *
+ * Each mapped location gets its stock from its own management, and invoice
+ * lines consume stock from the management of the location that fulfilled them.
+ * Without mappings everything uses OBLIO_MANAGEMENT and the first location of
+ * each variant, as before multi-location support.
+ *
+ * Records: { locations: { [numeric location id]: { management, name, updatedAt } } }
+ */
+export default class LocationMappingService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('location-mappings.json', { locations: {} });
+    }
+
+    /**
+     * All mapped locations
+     * @returns {Array<Object>} [{ locationId, management, name, updatedAt }]
+     */
+    list() {
+        return Object.entries(this.store.get().locations)
+            .map(([locationId, mapping]) => ({ locationId, ...mapping }))
+            .sort((a, b) => a.locationId.localeCompare(b.locationId));
+    }
+
+    /**
+     * Map a Shopify location to an Oblio management
+     * @param {string|number} locationId - Numeric ID or GID of the Shopify location
+     * @param {Object} mapping - { management, name? }
+     * @returns {Promise<Object>} Saved mapping
+     */
+    async set(locationId, { management, name = null } = {}) {
+        const id = toNumericId(locationId);
+        const cleanManagement = String(management ?? '').trim();
+
+        if (!id) throw new Error('Location ID is required');
+        if (!cleanManagement) throw new Error('management is required');
+
+        this.store.get().locations[id] = {
+            management: cleanManagement,
+            name,
+            updatedAt: new Date().toISOString()
+        };
+        await this.store.save();
+
+        return { locationId: id, ...this.store.get().locations[id] };
+    }
+
+    /**
+     * Delete a location mapping
+     * @param {string|number} locationId
+     * @returns {Promise<boolean>} False when the location is not mapped
+     */
+    async remove(locationId) {
+        const id = toNumericId(locationId);
+        const { locations } = this.store.get();
+        if (!id || !locations[id]) return false;
+
+        delete locations[id];
+        await this.store.save();
+        return true;
+    }
+
+    /**
+     * Oblio management of a location (OBLIO_MANAGEMENT when unknown or not mapped)
+     * @param {string|number|null} locationId
+     * @returns {string}
+     */
+    getManagement(locationId) {
+        const id = toNumericId(locationId);
+        return (id && this.store.get().locations[id]?.management) || config.oblio.OBLIO_MANAGEMENT;
+    }
+
+    /**
+     * Locations synced by the inventory sync
+     * @returns {Array<Object>} [{ locationId, management }] - locationId null: first location of each variant
+     */
+    getSyncTargets() {
+        const mappings = this.list();
+        if (mappings.length === 0) {
+            return [{ locationId: null, management: config.oblio.OBLIO_MANAGEMENT }];
+        }
+        return mappings.map(({ locationId, management }) => ({ locationId, management }));
+    }
+
+    /**
+     * Distinct managements read by the inventory sync
+     * @returns {Array<string>}
+     */
+    getManagements() {
+        return [...new Set(this.getSyncTargets().map(target => target.management))];
+    }
+}
+
+export const locationMappings = new LocationMappingService();
@@ -62,7 +62,7 @@ export default class OblioService {
     
     async request(method, endpoint, data = null, retries = 3) {
         const config = { method, url: endpoint };
-        if (data) config[method === 'GET' ? 'params' : 'data'] = data;
+        if (data) config[method === 'GET' || method === 'DELETE' ? 'params' : 'data'] = data;
         
         return this.requestWithRetry(config, retries);
     }
@@ -172,6 +172,76 @@ export default class OblioService {
     async createInvoice(data) {
         return this.request('POST', '/docs/invoice', data);
     }
+
+    async getInvoice(cif, seriesName, number) {
+        return this.request('GET', '/docs/invoice', { cif, seriesName, number });
+    }
+
+    // Full storno: invoice with referenceDocument pointing to the original one.
+    // Partial storno: invoice with negative quantities for the refunded lines only.
+    async createStornoInvoice(data) {
+        return this.request('POST', '/docs/invoice', data);
+    }
+
+    // Register a payment on an unpaid invoice (collect: { type, value, issueDate, documentNumber })
+    async collectInvoice(cif, seriesName, number, collect) {
+        return this.request('PUT', '/docs/invoice/collect', { cif, seriesName, number, collect });
+    }
+
+    // Document management (type: invoice, proforma, notice)
+    async listDocuments(type, cif, options = {}) {
+        return this.request('GET', `/docs/${type}/list`, { cif, ...options });
+    }
+
+    // All documents issued between two dates (yyyy-mm-dd, inclusive), drafts excluded
+    async listDocumentsIssuedBetween(type, cif, issuedAfter, issuedBefore, options = {}) {
+        const documents = [];
+        const limitPerPage = 100; // Oblio maximum
+        let offset = 0;
+
+        while (true) {
+            const response = await this.listDocuments(type, cif, {
+                issuedAfter,
+                issuedBefore,
+                draft: 0,
+                orderBy: 'issueDate',
+                orderDir: 'ASC',
+                ...options,
+                limitPerPage,
+                offset
+            });
+            const page = Array.isArray(response?.data) ? response.data : [];
+
+            documents.push(...page);
+            if (page.length < limitPerPage) break;
+            offset += limitPerPage;
+        }
+
+        return documents;
+    }
+
+    // A single document by series and number, null when it does not exist
+    async findDocument(type, cif, seriesName, number) {
+        const response = await this.listDocuments(type, cif, { seriesName, number, limitPerPage: 1 });
+        return Array.isArray(response?.data) ? response.data[0] || null : null;
+    }
+
+    async cancelDocument(type, cif, seriesName, number) {
+        return this.request('PUT', `/docs/${type}/cancel`, { cif, seriesName, number });
+    }
+
+    // e-Factura (SPV): submit an issued invoice to ANAF
+    // Response status: -1 not sent, 0 sent and processing, 1 sent successfully, 2 has errors and was not sent
+    async sendEInvoice(cif, seriesName, number) {
+        return this.request('POST', '/docs/einvoice', { cif, seriesName, number });
+    }
+
+    // e-Factura (SPV): invoice with its e-Invoice status
+    async getEInvoiceStatus(cif, seriesName, number) {
+        const response = await this.listDocuments('invoice', cif, { seriesName, number, withEinvoiceStatus: 1 });
+        const document = Array.isArray(response?.data) ? response.data[0] : null;
+        return document || null;
+    }
 }
 
 // Example usage (commented out for production)
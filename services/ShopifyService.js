@@ -1,8 +1,8 @@
 import Shopify from "shopify-api-node";
 import config from "../config/AppConfig.js";
 import { logger } from "../utils/index.js";
-import { GET_ORDER_WITH_FULFILLMENT_ORDERS, FIND_UNFULFILLED_ORDERS, GET_ALL_PRODUCTS } from "../graphql/queries.js";
-import { ORDER_UPDATE, ORDER_UPDATE_CUSTOM_ATTRIBUTES, FULFILLMENT_CREATE_V2, METAFIELDS_SET } from "../graphql/mutations.js";
+import { GET_ORDER_WITH_FULFILLMENT_ORDERS, FIND_UNFULFILLED_ORDERS, FIND_ORDERS_BY_QUERY, GET_ALL_PRODUCTS, GET_LOCATIONS, GET_OPEN_ORDER_RESERVATIONS } from "../graphql/queries.js";
+import { ORDER_UPDATE, ORDER_UPDATE_CUSTOM_ATTRIBUTES, FULFILLMENT_CREATE_V2, METAFIELDS_SET, ORDER_MARK_AS_PAID, INVENTORY_SET_QUANTITIES } from "../graphql/mutations.js";
 
 export default class ShopifyService {
     constructor(shopName, accessToken) {
@@ -43,6 +43,21 @@ export default class ShopifyService {
         return this.shopify.graphql(query, variables);
     }
 
+    /**
+     * Wait until the GraphQL cost bucket can pay for a query
+     * Uses the throttle status of the last response; THROTTLED responses are still retried by the client.
+     * @param {number} cost - Expected query cost (defaults to the cost of the last query)
+     * @returns {Promise<void>}
+     */
+    async waitForGraphQLCapacity(cost = this.shopify.callGraphqlLimits.requestedQueryCost) {
+        const { remaining, restoreRate } = this.shopify.callGraphqlLimits;
+        if (remaining === undefined || !restoreRate || !cost || remaining >= cost) return;
+
+        const waitMs = Math.ceil(((cost - remaining) / restoreRate) * 1000);
+        logger.debug({ cost, remaining, restoreRate, waitMs }, 'Waiting for Shopify GraphQL capacity');
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+
     /**
      * Add tags to a Shopify order
      * @param {string|number} orderId - Shopify order ID
@@ -110,6 +125,25 @@ export default class ShopifyService {
         }
     }
 
+    /**
+     * Get full order by ID (line items, tax lines, refunds, shipping lines)
+     * Used when an invoice document has to be rebuilt from the order
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Promise<Object>} Order object
+     */
+    async getOrderDetails(orderId) {
+        try {
+            const numericOrderId = orderId.toString().includes('gid://shopify/Order/')
+                ? orderId.replace('gid://shopify/Order/', '')
+                : orderId;
+
+            return await this.shopify.order.get(numericOrderId);
+        } catch (error) {
+            logger.error({ orderId, error: error.message }, 'Failed to get order details');
+            throw error;
+        }
+    }
+
     /**
      * Update order metafields using GraphQL
      * @param {string|number} orderId - Shopify order ID
@@ -624,6 +658,147 @@ export default class ShopifyService {
         return await this.updateOrderMetafields(orderId, metafields);
     }
 
+    /**
+     * Find orders matching a Shopify search query (e.g. "tag:'EROARE FACTURARE'")
+     * @param {string} query - Shopify order search query
+     * @param {number} limit - Maximum number of orders to return
+     * @param {Function} filter - Optional order => boolean, applied before the limit (pages past rejected orders)
+     * @returns {Promise<Array>} Orders as { id, gqlId, name, createdAt, note_attributes }
+     */
+    async findOrders(query, limit = 250, filter = null) {
+        try {
+            const orders = [];
+            let cursor = null;
+            let hasNextPage = true;
+
+            while (hasNextPage && orders.length < limit) {
+                const response = await this.graphQLQuery(FIND_ORDERS_BY_QUERY, {
+                    first: filter ? 50 : Math.min(50, limit - orders.length),
+                    after: cursor,
+                    query
+                });
+
+                response.orders.edges
+                    .map(edge => ({
+                        id: edge.node.id.replace('gid://shopify/Order/', ''),
+                        gqlId: edge.node.id,
+                        name: edge.node.name,
+                        createdAt: edge.node.createdAt,
+                        // REST shape, for getOrderAttribute
+                        note_attributes: (edge.node.customAttributes || []).map(({ key, value }) => ({ name: key, value }))
+                    }))
+                    .filter(order => !filter || filter(order))
+                    .slice(0, limit - orders.length)
+                    .forEach(order => orders.push(order));
+
+                hasNextPage = response.orders.pageInfo.hasNextPage;
+                cursor = response.orders.pageInfo.endCursor;
+            }
+
+            logger.info({ query, count: orders.length }, 'Found orders by query');
+
+            return orders;
+
+        } catch (error) {
+            logger.error({ query, error: error.message }, 'Failed to find orders');
+            throw error;
+        }
+    }
+
+    /**
+     * List orders that are still waiting for payment (e.g. cash on delivery)
+     * @param {Object} options - Query options
+     * @param {string} options.createdAtMin - Only orders created after this date (ISO)
+     * @returns {Promise<Array>} Orders with tags, custom attributes and fulfillments
+     */
+    async getUnpaidOrders({ createdAtMin = null } = {}) {
+        try {
+            const orders = [];
+            let params = {
+                status: 'any',
+                financial_status: 'pending',
+                limit: 250,
+                fields: 'id,name,order_number,created_at,tags,note_attributes,financial_status,total_price,currency,payment_gateway_names,fulfillments'
+            };
+            if (createdAtMin) params.created_at_min = createdAtMin;
+
+            do {
+                const page = await this.shopify.order.list(params);
+                orders.push(...page);
+                params = page.nextPageParameters;
+            } while (params);
+
+            logger.info({ count: orders.length, createdAtMin }, 'Fetched unpaid orders');
+
+            return orders;
+
+        } catch (error) {
+            logger.error({ createdAtMin, error: error.message }, 'Failed to fetch unpaid orders');
+            throw error;
+        }
+    }
+
+    /**
+     * List the orders created in a date range, with the fields needed to reconcile invoices
+     * @param {Object} options - Query options
+     * @param {string} options.createdAtMin - Orders created from this date (ISO)
+     * @param {string} options.createdAtMax - Orders created until this date (ISO)
+     * @returns {Promise<Array>} Orders with tags, custom attributes, totals and statuses
+     */
+    async getOrdersCreatedBetween({ createdAtMin, createdAtMax }) {
+        try {
+            const orders = [];
+            let params = {
+                status: 'any',
+                created_at_min: createdAtMin,
+                created_at_max: createdAtMax,
+                limit: 250,
+                fields: 'id,name,order_number,created_at,cancelled_at,tags,note_attributes,financial_status,fulfillment_status,total_price,current_total_price,currency'
+            };
+
+            do {
+                const page = await this.shopify.order.list(params);
+                orders.push(...page);
+                params = page.nextPageParameters;
+            } while (params);
+
+            logger.info({ count: orders.length, createdAtMin, createdAtMax }, 'Fetched orders in date range');
+
+            return orders;
+
+        } catch (error) {
+            logger.error({ createdAtMin, createdAtMax, error: error.message }, 'Failed to fetch orders in date range');
+            throw error;
+        }
+    }
+
+    /**
+     * Mark order as paid (records a manual transaction for the outstanding amount)
+     * @param {string|number} orderId - Shopify order ID
+     * @returns {Promise<Object>} Updated order (id, displayFinancialStatus)
+     */
+    async markOrderAsPaid(orderId) {
+        try {
+            const gqlOrderId = orderId.toString().startsWith('gid://')
+                ? orderId
+                : `gid://shopify/Order/${orderId}`;
+
+            const response = await this.graphQLQuery(ORDER_MARK_AS_PAID, { input: { id: gqlOrderId } });
+
+            if (response.orderMarkAsPaid.userErrors.length > 0) {
+                throw new Error(`Mark as paid failed: ${response.orderMarkAsPaid.userErrors.map(e => e.message).join(', ')}`);
+            }
+
+            logger.info({ orderId }, 'Order marked as paid');
+
+            return response.orderMarkAsPaid.order;
+
+        } catch (error) {
+            logger.error({ orderId, error: error.message }, 'Failed to mark order as paid');
+            throw error;
+        }
+    }
+
     /**
      * Find unfulfilled orders for testing purposes
      * @param {number} first - Number of orders to retrieve
@@ -656,6 +831,146 @@ export default class ShopifyService {
         }
     }
 
+    /**
+     * List the store locations (for the location -> Oblio management mapping)
+     * @returns {Promise<Array>} Locations as { id, gqlId, name, isActive, fulfillsOnlineOrders }
+     */
+    async getLocations() {
+        try {
+            const response = await this.graphQLQuery(GET_LOCATIONS, { first: 50 });
+
+            return response.locations.edges.map(({ node }) => ({
+                id: node.id.replace('gid://shopify/Location/', ''),
+                gqlId: node.id,
+                name: node.name,
+                isActive: node.isActive,
+                fulfillsOnlineOrders: node.fulfillsOnlineOrders
+            }));
+
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to get locations');
+            throw error;
+        }
+    }
+
+    /**
+     * Quantities still to be shipped for open orders that are not invoiced yet
+     * (Oblio stock only goes down when the invoice is issued)
+     * @returns {Promise<Array>} [{ orderId, orderName, sku, quantity, locationId }] - locationId numeric, null when unassigned
+     */
+    async getReservedLineItems() {
+        const query = "status:open AND (fulfillment_status:unfulfilled OR fulfillment_status:partial) AND -tag:'oblio-invoiced'";
+
+        try {
+            const reservations = [];
+            let cursor = null;
+            let hasNextPage = true;
+
+            while (hasNextPage) {
+                await this.waitForGraphQLCapacity();
+                const response = await this.graphQLQuery(GET_OPEN_ORDER_RESERVATIONS, { first: 10, after: cursor, query });
+
+                response.orders.edges.forEach(({ node: order }) => {
+                    order.fulfillmentOrders.edges
+                        .map(edge => edge.node)
+                        .filter(fulfillmentOrder => !['CLOSED', 'CANCELLED', 'INCOMPLETE'].includes(fulfillmentOrder.status))
+                        .forEach(fulfillmentOrder => {
+                            const locationId = fulfillmentOrder.assignedLocation?.location?.id?.replace('gid://shopify/Location/', '') || null;
+
+                            fulfillmentOrder.lineItems.edges.forEach(({ node: lineItem }) => {
+                                if (!lineItem.sku || lineItem.remainingQuantity <= 0) return;
+
+                                reservations.push({
+                                    orderId: order.id.replace('gid://shopify/Order/', ''),
+                                    orderName: order.name,
+                                    sku: lineItem.sku,
+                                    quantity: lineItem.remainingQuantity,
+                                    locationId
+                                });
+                            });
+                        });
+                });
+
+                hasNextPage = response.orders.pageInfo.hasNextPage;
+                cursor = response.orders.pageInfo.endCursor;
+            }
+
+            logger.info({ lineItems: reservations.length }, 'Fetched reserved quantities of open orders');
+
+            return reservations;
+
+        } catch (error) {
+            logger.error({ error: error.message }, 'Failed to fetch reserved quantities of open orders');
+            throw error;
+        }
+    }
+
+    /**
+     * Set available quantities with batched inventorySetQuantities mutations
+     * A batch with user errors is rejected as a whole by Shopify, so it is sent
+     * again without the quantities the errors point at.
+     * @param {Array} quantities - [{ inventoryItemId, locationId, quantity }]
+     * @param {Object} options
+     * @param {number} options.batchSize - Quantities per mutation (max 250)
+     * @param {string} options.reason - Adjustment reason shown in the Shopify history
+     * @returns {Promise<Object>} { updated, failed: [{ index, message }] } - index into quantities
+     */
+    async setInventoryQuantities(quantities, { batchSize = config.inventorySync.batchSize, reason = 'correction' } = {}) {
+        const failed = [];
+        let updated = 0;
+
+        for (let start = 0; start < quantities.length; start += batchSize) {
+            let batch = quantities.slice(start, start + batchSize).map((quantity, offset) => ({ index: start + offset, quantity }));
+
+            // One resend without the rejected quantities
+            for (let attempt = 0; attempt < 2 && batch.length > 0; attempt++) {
+                await this.waitForGraphQLCapacity();
+
+                let userErrors;
+                try {
+                    const response = await this.graphQLQuery(INVENTORY_SET_QUANTITIES, {
+                        input: {
+                            reason,
+                            // The sync compares and publishes available stock, Shopify keeps committed on top
+                            name: 'available',
+                            ignoreCompareQuantity: true,
+                            quantities: batch.map(entry => entry.quantity)
+                        }
+                    });
+                    userErrors = response.inventorySetQuantities?.userErrors || [];
+                } catch (error) {
+                    logger.error({ count: batch.length, error: error.message }, 'Inventory batch update failed');
+                    failed.push(...batch.map(entry => ({ index: entry.index, message: error.message })));
+                    break;
+                }
+
+                if (userErrors.length === 0) {
+                    updated += batch.length;
+                    break;
+                }
+
+                // field: ['input', 'quantities', '<position>', ...]
+                const rejected = new Map();
+                userErrors.forEach(userError => {
+                    const position = userError.field?.[1] === 'quantities' ? parseInt(userError.field[2], 10) : NaN;
+                    if (!isNaN(position) && batch[position]) rejected.set(position, userError.message);
+                });
+
+                if (rejected.size === 0 || attempt === 1) {
+                    const message = userErrors.map(userError => userError.message).join(', ');
+                    failed.push(...batch.map((entry, position) => ({ index: entry.index, message: rejected.get(position) || message })));
+                    break;
+                }
+
+                rejected.forEach((message, position) => failed.push({ index: batch[position].index, message }));
+                batch = batch.filter((entry, position) => !rejected.has(position));
+            }
+        }
+
+        logger.info({ requested: quantities.length, updated, failed: failed.length }, 'Inventory quantities set');
+        return { updated, failed };
+    }
+
     /**
      * Get all products with inventory information
      * @param {Object} options - Query options
@@ -687,9 +1002,9 @@ export default class ShopifyService {
                 hasNextPage = response.products.pageInfo.hasNextPage;
                 cursor = response.products.pageInfo.endCursor;
 
-                // Small delay for rate limiting
+                // Next page once the cost bucket allows it
                 if (hasNextPage) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
+                    await this.waitForGraphQLCapacity();
                 }
             }
 
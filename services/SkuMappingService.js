@@ -0,0 +1,236 @@
+import JsonStore from '../utils/jsonStore.js';
+import { logger, parseCsv, toCsv } from '../utils/index.js';
+
+const CSV_COLUMNS = ['shopify_sku', 'oblio_code'];
+
+/**
+ * Shopify SKU -> Oblio product code mapping
+ *
+ * Used by invoicing, inventory sync and the Oblio stock webhook. Explicit
+ * mappings win; a SKU without a mapping is used as-is when Oblio has a
+ * product with that code (the Oblio codes are refreshed by every inventory
+ * sync). SKUs resolving to neither are recorded as unmapped for the admin.
+ *
+ * Records: {
+ *   mappings: { [sku]: { oblioCode, updatedAt } },
+ *   oblioCodes: [...], oblioCodesUpdatedAt,
+ *   unmapped: { [sku]: { source, reference, count, firstSeenAt, lastSeenAt } }
+ * }
+ */
+export default class SkuMappingService {
+    constructor(store = null) {
+        // Allow dependency injection for testing
+        this.store = store || new JsonStore('sku-mappings.json', {
+            mappings: {},
+            oblioCodes: [],
+            oblioCodesUpdatedAt: null,
+            unmapped: {}
+        }, { shared: true });
+        this.knownCodes = null;
+        this.knownCodesSource = null;
+    }
+
+    /**
+     * All mappings, sorted by SKU
+     * @returns {Array<Object>} [{ sku, oblioCode, updatedAt }]
+     */
+    list() {
+        return Object.entries(this.store.get().mappings)
+            .map(([sku, mapping]) => ({ sku, ...mapping }))
+            .sort((a, b) => a.sku.localeCompare(b.sku));
+    }
+
+    /**
+     * Get the mapping of a SKU
+     * @param {string} sku - Shopify SKU
+     * @returns {Object|null} { sku, oblioCode, updatedAt }
+     */
+    get(sku) {
+        const mapping = this.store.get().mappings[sku];
+        return mapping ? { sku, ...mapping } : null;
+    }
+
+    /**
+     * Create or replace the mapping of a SKU
+     * @param {string} sku - Shopify SKU
+     * @param {string} oblioCode - Oblio product code
+     * @returns {Promise<Object>} Saved mapping
+     */
+    async set(sku, oblioCode) {
+        await this.store.update(data => this._setMapping(data, sku, oblioCode));
+        return this.get(String(sku).trim());
+    }
+
+    /**
+     * Delete the mapping of a SKU
+     * @param {string} sku - Shopify SKU
+     * @returns {Promise<boolean>} False when the SKU had no mapping
+     */
+    async remove(sku) {
+        return this.store.update(({ mappings }) => {
+            if (!mappings[sku]) return false;
+
+            delete mappings[sku];
+            return true;
+        });
+    }
+
+    /**
+     * Oblio product code of a Shopify SKU
+     * @param {string} sku - Shopify SKU
+     * @returns {string|null} Mapped code, the SKU itself when Oblio knows it, null when unmapped
+     */
+    toOblioCode(sku) {
+        if (!sku) return null;
+
+        const mapping = this.store.get().mappings[sku];
+        if (mapping) return mapping.oblioCode;
+
+        // Before the first inventory sync the Oblio codes are unknown, trust the SKU
+        const knownCodes = this._getKnownCodes();
+        return knownCodes.size === 0 || knownCodes.has(sku) ? sku : null;
+    }
+
+    /**
+     * Shopify SKUs stocked from an Oblio product
+     * @param {string} oblioCode - Oblio product code
+     * @returns {Array<string>} Mapped SKUs, or the code itself when no SKU is mapped to it
+     */
+    toShopifySkus(oblioCode) {
+        const skus = this.list()
+            .filter(mapping => mapping.oblioCode === oblioCode)
+            .map(mapping => mapping.sku);
+
+        return skus.length > 0 ? skus : [oblioCode];
+    }
+
+    /**
+     * Remember the product codes that exist in Oblio
+     * @param {Array<string>} codes - Oblio product codes
+     * @returns {Promise<void>}
+     */
+    async rememberOblioCodes(codes) {
+        await this.store.update(data => {
+            data.oblioCodes = [...new Set(codes.filter(Boolean))].sort();
+            data.oblioCodesUpdatedAt = new Date().toISOString();
+
+            // SKUs that now exist in Oblio are no longer unmapped
+            Object.keys(data.unmapped).forEach(sku => {
+                if (this.toOblioCode(sku)) delete data.unmapped[sku];
+            });
+        });
+    }
+
+    /**
+     * Record SKUs without an Oblio product code
+     * @param {Array<string>} skus - Unmapped SKUs
+     * @param {Object} context - { source: 'invoice' | 'inventory' | 'oblio-webhook', reference }
+     * @returns {Promise<void>}
+     */
+    async reportUnmapped(skus, { source, reference = null }) {
+        if (skus.length === 0) return;
+
+        const now = new Date().toISOString();
+
+        logger.warn({ skus, source, reference }, 'SKUs without Oblio product code');
+        await this.store.update(({ unmapped }) => {
+            skus.forEach(sku => {
+                const previous = unmapped[sku];
+                unmapped[sku] = {
+                    source,
+                    reference,
+                    count: (previous?.count || 0) + 1,
+                    firstSeenAt: previous?.firstSeenAt || now,
+                    lastSeenAt: now
+                };
+            });
+        });
+    }
+
+    /**
+     * Unmapped SKUs, most recently seen first
+     * @returns {Array<Object>} [{ sku, source, reference, count, firstSeenAt, lastSeenAt }]
+     */
+    listUnmapped() {
+        return Object.entries(this.store.get().unmapped)
+            .map(([sku, record]) => ({ sku, ...record }))
+            .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+    }
+
+    /**
+     * Import mappings from CSV (columns: shopify_sku, oblio_code)
+     * @param {string} csv - CSV content
+     * @param {Object} options
+     * @param {boolean} options.replace - Drop the existing mappings first
+     * @returns {Promise<Object>} { imported, errors: [{ line, error }] }
+     */
+    async importCsv(csv, { replace = false } = {}) {
+        const rows = parseCsv(csv);
+        const result = { imported: 0, errors: [] };
+
+        if (rows.length > 0 && !CSV_COLUMNS.every(column => column in rows[0])) {
+            throw new Error(`CSV must have the columns: ${CSV_COLUMNS.join(', ')}`);
+        }
+
+        await this.store.update(data => {
+            if (replace) {
+                data.mappings = {};
+            }
+
+            rows.forEach((row, index) => {
+                try {
+                    this._setMapping(data, row.shopify_sku, row.oblio_code);
+                    result.imported++;
+                } catch (error) {
+                    // Header is line 1
+                    result.errors.push({ line: index + 2, error: error.message });
+                }
+            });
+        });
+
+        logger.info(`📥 SKU mappings imported: ${result.imported} rows, ${result.errors.length} errors${replace ? ' (replaced)' : ''}`);
+        return result;
+    }
+
+    /**
+     * Export the mappings as CSV
+     * @returns {string} CSV content
+     */
+    exportCsv() {
+        return toCsv(CSV_COLUMNS, this.list().map(mapping => ({
+            shopify_sku: mapping.sku,
+            oblio_code: mapping.oblioCode
+        })));
+    }
+
+    /**
+     * Validate and store a mapping in the store data
+     * @private
+     */
+    _setMapping(data, sku, oblioCode) {
+        const cleanSku = String(sku ?? '').trim();
+        const cleanCode = String(oblioCode ?? '').trim();
+
+        if (!cleanSku || !cleanCode) {
+            throw new Error('Both shopify_sku and oblio_code are required');
+        }
+
+        data.mappings[cleanSku] = { oblioCode: cleanCode, updatedAt: new Date().toISOString() };
+        delete data.unmapped[cleanSku];
+    }
+
+    /**
+     * @private
+     */
+    _getKnownCodes() {
+        // Rebuilt when the store data was reloaded or the codes replaced
+        const { oblioCodes = [] } = this.store.get();
+        if (!this.knownCodes || this.knownCodesSource !== oblioCodes) {
+            this.knownCodes = new Set(oblioCodes);
+            this.knownCodesSource = oblioCodes;
+        }
+        return this.knownCodes;
+    }
+}
+
+export const skuMappings = new SkuMappingService();
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import BundleService from '../services/BundleService.js';
+import { fromRestOrder } from '../utils/orderModel.js';
+import { buildOblioProducts } from '../utils/oblioInvoiceBuilder.js';
+
+const memoryStore = data => ({ data, get() { return this.data; }, async save() {} });
+
+const createBundles = async components => {
+    const service = new BundleService(memoryStore({ bundles: {} }));
+    await service.set('KIT', { title: 'Starter kit', components });
+    return service;
+};
+
+const lineTotal = lines => Math.round(lines.reduce((sum, line) => sum + line.unitPrice * line.quantity, 0) * 100) / 100;
+
+test('splitLine keeps the line total exact with component quantities above 1', async () => {
+    const service = await createBundles([{ sku: 'A', quantity: 3, price: 10 }, { sku: 'C', quantity: 1, price: 20 }]);
+    const bundle = service.get('KIT');
+
+    for (let quantity = 1; quantity <= 10; quantity++) {
+        const lines = service.splitLine(bundle, { title: 'Starter kit', quantity, unitPrice: 99.99 });
+
+        assert.equal(lineTotal(lines), Math.round(99.99 * quantity * 100) / 100, `quantity ${quantity}`);
+        lines.forEach(line => assert.equal(line.unitPrice, Math.round(line.unitPrice * 100) / 100));
+    }
+});
+
+test('splitLine adds a correction line when the last component cannot carry the cents', async () => {
+    const service = await createBundles([{ sku: 'A', quantity: 1, price: 10 }, { sku: 'B', quantity: 3, price: 10 }]);
+    const lines = service.splitLine(service.get('KIT'), { title: 'Starter kit', quantity: 1, unitPrice: 10 });
+
+    assert.deepStrictEqual(lines.map(line => [line.sku, line.quantity, line.unitPrice]), [
+        ['A', 1, 2.5],
+        ['B', 3, 2.5]
+    ]);
+
+    const uneven = service.splitLine(service.get('KIT'), { title: 'Starter kit', quantity: 1, unitPrice: 10.01 });
+    const correction = uneven.find(line => line.correction);
+
+    assert.ok(correction);
+    assert.equal(correction.quantity, 1);
+    assert.equal(lineTotal(uneven), 10.01);
+});
+
+test('expanded bundle lines invoice the Shopify line total', async () => {
+    const service = await createBundles([{ sku: 'A', quantity: 3, price: 10 }, { sku: 'C', quantity: 1, price: 20 }]);
+    const order = fromRestOrder({
+        id: 1,
+        currency: 'RON',
+        taxes_included: true,
+        line_items: [{ id: 10, title: 'Starter kit', sku: 'KIT', quantity: 3, price: '99.99', tax_lines: [{ rate: 0.21 }] }]
+    });
+
+    service.expandOrder(order);
+    const products = buildOblioProducts(order);
+    const total = products.reduce((sum, product) => sum + product.price * product.quantity, 0);
+
+    assert.equal(Math.round(total * 100) / 100, 299.97);
+    assert.ok(products.every(product => product.productType === 'Marfa' ? product.code : !product.code));
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Stores live in DATA_DIR, read by the config at import time
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'invoice-idempotency-'));
+
+const { default: InvoiceIdempotencyService } = await import('../services/InvoiceIdempotencyService.js');
+
+/**
+ * The backfill CLI and the server invoice from separate processes; two
+ * service instances on the same file stand in for them.
+ */
+test('an order being invoiced by another process is not invoiced again', async () => {
+    const server = new InvoiceIdempotencyService();
+    const cli = new InvoiceIdempotencyService();
+    const invoice = { number: '101', series: 'PRS', url: 'https://oblio.test/101' };
+
+    let webhookRun = null;
+    const backfillRun = await cli.runOnce({ orderId: 5001, source: 'backfill' }, async () => {
+        webhookRun = await server.runOnce({ orderId: 'gid://shopify/Order/5001', webhookId: 'w1', source: 'webhook' }, async () => {
+            throw new Error('second invoice issued');
+        });
+        return { success: true, invoice };
+    });
+
+    assert.equal(backfillRun.duplicate, false);
+    assert.equal(webhookRun.duplicate, true);
+    assert.equal(webhookRun.record.status, 'in_progress');
+
+    const redelivery = await server.runOnce({ orderId: 5001, webhookId: 'w1', source: 'webhook' }, async () => {
+        throw new Error('second invoice issued');
+    });
+    assert.equal(redelivery.duplicate, true);
+    assert.deepStrictEqual(redelivery.record.invoice, invoice);
+    assert.deepStrictEqual(server.findCompleted({ webhookId: 'w1' }).invoice, invoice);
+});
+
+test('a skipped run leaves no record behind', async () => {
+    const service = new InvoiceIdempotencyService();
+
+    const { result } = await service.runOnce({ orderId: 5002, source: 'backfill' }, async () => ({ skipped: true }));
+
+    assert.equal(result.skipped, true);
+    assert.equal(service.findCompleted({ orderId: 5002 }), null);
+    assert.equal(service.store.get().orders['5002'], undefined);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+
+// Builder reads the company settings from the environment
+process.env.OBLIO_COMPANY_CIF = 'RO123456';
+process.env.OBLIO_INVOICE_SERIES = 'PRS';
+process.env.OBLIO_MANAGEMENT = 'Depozit';
+
+const { fromRestOrder, fromGraphQLOrder } = await import('../utils/orderModel.js');
+const { buildOblioInvoice } = await import('../utils/oblioInvoiceBuilder.js');
+
+/**
+ * Golden tests: the webhook (REST) and admin extension (GraphQL) entry points
+ * must send Oblio the same invoice for the same order.
+ * The fixtures are one B2B order with a discount code, a partial refund and a
+ * discounted shipping line, as received from each API.
+ */
+const fixture = name => JSON.parse(fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8'));
+
+const restOrder = fixture('order-rest.json');
+const graphqlOrder = fixture('order-graphql.json');
+const invoiceOptions = { issueDate: '2026-10-02' };
+
+test('REST and GraphQL orders build identical Oblio payloads', () => {
+    const fromRest = buildOblioInvoice(fromRestOrder(restOrder), { invoiceOptions });
+    const fromGraphQL = buildOblioInvoice(fromGraphQLOrder(graphqlOrder, '1001'), { invoiceOptions });
+
+    assert.deepStrictEqual(fromGraphQL, fromRest);
+});
+
+test('Oblio payload matches the golden invoice', () => {
+    const payload = buildOblioInvoice(fromRestOrder(restOrder), { invoiceOptions });
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(payload)), fixture('invoice-expected.json'));
+});
+
+test('Oblio payload total matches the Shopify order total', () => {
+    const { products } = buildOblioInvoice(fromGraphQLOrder(graphqlOrder, '1001'), { invoiceOptions });
+    const total = products.reduce((sum, product) => product.discountType
+        ? sum - product.discount
+        : sum + product.price * product.quantity, 0);
+
+    assert.equal(Math.round(total * 100) / 100, parseFloat(restOrder.current_total_price));
+});
+
+test('Selected line items build identical payloads', () => {
+    const fromRest = buildOblioInvoice(fromRestOrder(restOrder), {
+        invoiceOptions: { ...invoiceOptions, selectedLineItems: [14002], excludeShipping: true }
+    });
+    const fromGraphQL = buildOblioInvoice(fromGraphQLOrder(graphqlOrder, '1001'), {
+        invoiceOptions: { ...invoiceOptions, selectedLineItems: ['gid://shopify/LineItem/14002'], excludeShipping: true }
+    });
+
+    assert.deepStrictEqual(fromGraphQL, fromRest);
+    assert.deepStrictEqual(fromRest.products.map(product => product.name), ['Protein Bar']);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Stores live in DATA_DIR, read by the config at import time
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'json-store-'));
+
+const { default: JsonStore } = await import('../utils/jsonStore.js');
+const { default: InventorySyncHistoryService } = await import('../services/InventorySyncHistoryService.js');
+
+/**
+ * Shared stores are written by the server and the CLI scripts. Two instances
+ * on the same file stand in for the two processes.
+ */
+test('update keeps the records written by another process', async () => {
+    const server = new JsonStore('shared.json', { runs: {} }, { shared: true });
+    const cli = new JsonStore('shared.json', { runs: {} }, { shared: true });
+
+    await server.update(data => { data.runs.a = 1; });
+    assert.equal(server.get().runs.a, 1);
+    await cli.update(data => { data.runs.b = 2; });
+    await server.update(data => { data.runs.c = 3; });
+
+    assert.deepStrictEqual(cli.get().runs, { a: 1, b: 2, c: 3 });
+    assert.ok(!fs.existsSync(`${server.filePath}.lock`));
+});
+
+test('a run recorded by the CLI is visible to the server', async () => {
+    const server = new InventorySyncHistoryService();
+    const cli = new InventorySyncHistoryService();
+
+    assert.equal(server.list().length, 0);
+    const run = await cli.start({ type: 'full' });
+    await cli.finish(run.id, { totalProcessed: 1, updated: 0, skipped: 1, errors: 0, unmapped: [], details: [] });
+
+    assert.equal(server.get(run.id)?.status, 'completed');
+});
+
+test('a corrupt file is moved aside instead of being overwritten', async () => {
+    const store = new JsonStore('corrupt.json', { mappings: {} });
+    fs.writeFileSync(store.filePath, '{"mappings": {"A": ');
+
+    assert.deepStrictEqual(store.get(), { mappings: {} });
+    await store.save();
+
+    const moved = fs.readdirSync(process.env.DATA_DIR).filter(name => name.startsWith('corrupt.json.corrupt-'));
+    assert.equal(moved.length, 1);
+    assert.equal(fs.readFileSync(path.join(process.env.DATA_DIR, moved[0]), 'utf8'), '{"mappings": {"A": ');
+});
@@ -51,15 +51,17 @@ export async function enrichClientWithAnafData(client, cui, anafService) {
 }
 
 /**
- * Transform Shopify order to Oblio invoice with ANAF company verification
- * @param {Object} order - Shopify order object
+ * Transform an order to Oblio invoice with ANAF company verification
+ * @param {Object} order - Canonical order (orderModel.js)
  * @param {Function} basicTransform - Basic transformation function
  * @param {Object} anafService - ANAF service instance
+ * @param {Object} customClient - Client override passed through to the basic transformation
+ * @param {Object} invoiceOptions - Invoice options passed through to the basic transformation
  * @returns {Promise<Object>} - Invoice data with ANAF enrichment
  */
-export async function transformOrderWithAnafEnrichment(order, basicTransform, anafService) {
+export async function transformOrderWithAnafEnrichment(order, basicTransform, anafService, customClient = null, invoiceOptions = {}) {
     // Start with basic transformation
-    const basicInvoiceData = basicTransform(order);
+    const basicInvoiceData = basicTransform(order, customClient, invoiceOptions);
     
     // Try to extract CUI from order
     const cui = extractCUIFromOrder(order);
@@ -0,0 +1,79 @@
+/**
+ * CSV utility functions
+ * Minimal RFC 4180 reading and writing (quoted fields, escaped quotes, CRLF)
+ */
+
+/**
+ * Parse CSV text into objects keyed by the (lowercased) header row
+ * @param {string} text - CSV content, first row is the header
+ * @returns {Array<Object>} - One object per data row (empty rows are skipped)
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const input = String(text || '').replace(/^\uFEFF/, '');
+
+    // Excel with a Romanian locale saves CSV with semicolons
+    const headerLine = input.split(/\r?\n/, 1)[0];
+    const delimiter = headerLine.includes(';') && !headerLine.includes(',') ? ';' : ',';
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header = [], ...data] = rows.filter(r => r.some(value => value.trim() !== ''));
+    const keys = header.map(key => key.trim().toLowerCase());
+
+    return data.map(values => Object.fromEntries(
+        keys.map((key, index) => [key, (values[index] ?? '').trim()])
+    ));
+}
+
+/**
+ * Serialize objects to CSV
+ * @param {Array<string>} columns - Column names (header row and object keys)
+ * @param {Array<Object>} rows - Objects to write
+ * @returns {string} - CSV content
+ */
+export function toCsv(columns, rows) {
+    const escape = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escape).join(','))
+        .join('\n') + '\n';
+}
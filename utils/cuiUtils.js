@@ -6,11 +6,11 @@ import logger from './logger.js';
 
 /**
  * Extract CUI from Shopify order billing address company field
- * @param {Object} order - Shopify order object
+ * @param {Object} order - Shopify REST order or canonical order (orderModel.js)
  * @returns {number|null} - Normalized CUI number or null if not found
  */
 export function extractCUIFromOrder(order) {
-    const company = order.billing_address?.company;
+    const company = (order.billing_address || order.billingAddress)?.company;
     
     if (company && typeof company === 'string') {
         // Look for CUI pattern in the company field
@@ -45,11 +45,11 @@ export function isCompanyOrder(order) {
 
 /**
  * Get company name from order (without CUI)
- * @param {Object} order - Shopify order object
+ * @param {Object} order - Shopify REST order or canonical order (orderModel.js)
  * @returns {string|null} - Company name without CUI or null
  */
 export function getCompanyNameFromOrder(order) {
-    const company = order.billing_address?.company;
+    const company = (order.billing_address || order.billingAddress)?.company;
     
     if (company && typeof company === 'string') {
         // Remove CUI pattern from company name
@@ -26,5 +26,36 @@ export {
     isValidBucharestSector
 } from './addressUtils.js';
 
+// Invoice utilities
+export {
+    getOrderAttribute,
+    getInvoiceFromOrder
+} from './invoiceUtils.js';
+
+// Canonical order model and Oblio invoice builder
+export {
+    toNumericId,
+    fromRestOrder,
+    fromGraphQLOrder,
+    getRefundedQuantity,
+    getFulfillmentLocationId
+} from './orderModel.js';
+
+export {
+    buildOblioInvoice,
+    buildOblioProducts,
+    buildShippingProducts,
+    buildDiscountRows,
+    buildOblioClient,
+    getVatInfo,
+    calculateInvoiceTotal
+} from './oblioInvoiceBuilder.js';
+
+// CSV utilities
+export {
+    parseCsv,
+    toCsv
+} from './csvUtils.js';
+
 // Logger
 export { default as logger } from './logger.js';
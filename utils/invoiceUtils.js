@@ -0,0 +1,38 @@
+/**
+ * Invoice utility functions
+ * Reads the invoice data stored on Shopify orders by UpdateOrderInvoiceAction
+ */
+
+/**
+ * Get a custom attribute (note_attribute) value from a REST order
+ * @param {Object} order - Shopify order object
+ * @param {string} name - Attribute name
+ * @returns {string|null} - Attribute value or null
+ */
+export function getOrderAttribute(order, name) {
+    const attributes = Array.isArray(order?.note_attributes) ? order.note_attributes : [];
+    return attributes.find(attr => attr.name === name)?.value ?? null;
+}
+
+/**
+ * Get the Oblio invoice issued for an order
+ * Custom attributes first, FACTURA- tag as fallback
+ * @param {Object} order - Shopify order object
+ * @returns {Object|null} - { number, series, url } or null if not invoiced
+ */
+export function getInvoiceFromOrder(order) {
+    let number = getOrderAttribute(order, 'INVOICE_NUMBER');
+
+    if (!number || number === 'unknown') {
+        const tags = order?.tags ? order.tags.split(', ') : [];
+        number = tags.find(tag => tag.startsWith('FACTURA-'))?.replace('FACTURA-', '') || null;
+    }
+
+    if (!number || number === 'unknown') return null;
+
+    return {
+        number,
+        series: getOrderAttribute(order, 'INVOICE_SERIES') || process.env.OBLIO_INVOICE_SERIES || 'PRS',
+        url: getOrderAttribute(order, 'INVOICE_URL')
+    };
+}
@@ -0,0 +1,170 @@
+import fs from 'fs';
+import path from 'path';
+import config from '../config/AppConfig.js';
+import logger from './logger.js';
+
+// A lock file older than this was left by a crashed process
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 50;
+
+/**
+ * JSON file store
+ * Keeps the data in memory and persists it to DATA_DIR, so a crash or
+ * redeploy never leaves a half-written file behind.
+ *
+ * Shared stores are also written by the CLI scripts (separate processes):
+ * get() reloads the file when another process changed it, and writes go
+ * through update(), which re-reads the file under a lock file before applying
+ * the change, so neither process overwrites the other's records.
+ */
+export default class JsonStore {
+    /**
+     * @param {string} fileName - File name inside the data directory
+     * @param {Object} defaults - Initial data when the file does not exist
+     * @param {Object} options - { shared: written by more than one process }
+     */
+    constructor(fileName, defaults = {}, { shared = false } = {}) {
+        this.filePath = path.resolve(config.storage.dataDir, fileName);
+        this.lockPath = `${this.filePath}.lock`;
+        this.defaults = defaults;
+        this.shared = shared;
+        this.data = null;
+        this.version = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Get the stored data (loaded from disk on first access, and again when
+     * another process changed a shared store)
+     * @returns {Object} Store data
+     */
+    get() {
+        if (!this.data || (this.shared && this._getVersion() !== this.version)) {
+            this.data = this._load();
+        }
+        return this.data;
+    }
+
+    /**
+     * Apply a change to the latest data on disk and persist it
+     * The file is re-read under the lock, so changes made by other processes are kept.
+     * @param {Function} mutator - data => result, changes data in place
+     * @returns {Promise<*>} Result of the mutator
+     */
+    update(mutator) {
+        const result = this.writeQueue.then(async () => {
+            await this._lock();
+            try {
+                this.data = this._load();
+                const value = await mutator(this.data);
+                await this._write(JSON.stringify(this.data, null, 2));
+                return value;
+            } finally {
+                await fs.promises.rm(this.lockPath, { force: true });
+            }
+        });
+
+        this.writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Persist the in-memory data; writes are serialized and failures are logged
+     * (the in-memory data stays authoritative until the next successful write)
+     * @returns {Promise<void>}
+     */
+    save() {
+        const snapshot = JSON.stringify(this.get(), null, 2);
+
+        this.writeQueue = this.writeQueue
+            .then(() => this._write(snapshot))
+            .catch(error => {
+                logger.error({ file: this.filePath, error: error.message }, 'Failed to persist JSON store');
+            });
+
+        return this.writeQueue;
+    }
+
+    /**
+     * Atomic write: temp file + rename
+     * @private
+     */
+    async _write(snapshot) {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tmpPath, snapshot);
+        await fs.promises.rename(tmpPath, this.filePath);
+        this.version = this._getVersion();
+    }
+
+    /**
+     * Take the lock file of the store, waiting for other processes
+     * @private
+     */
+    async _lock() {
+        await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+        const startedAt = Date.now();
+
+        for (;;) {
+            try {
+                await fs.promises.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const lockedAt = await fs.promises.stat(this.lockPath).then(stat => stat.mtimeMs, () => null);
+            if (lockedAt !== null && Date.now() - lockedAt > LOCK_STALE_MS) {
+                logger.warn({ file: this.lockPath }, 'Removing stale JSON store lock');
+                await fs.promises.rm(this.lockPath, { force: true });
+                continue;
+            }
+
+            if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+                throw new Error(`Timed out waiting for the lock of ${this.filePath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+        }
+    }
+
+    /**
+     * Modification time and size of the file, null when it does not exist
+     * @private
+     */
+    _getVersion() {
+        try {
+            const stat = fs.statSync(this.filePath);
+            return `${stat.mtimeMs}:${stat.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Load data from disk, falling back to defaults
+     * A corrupt file is moved aside first, so the next save cannot replace it
+     * with the defaults.
+     * @private
+     */
+    _load() {
+        this.version = this._getVersion();
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return structuredClone(this.defaults);
+        }
+
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            this.version = null;
+            logger.error({ file: this.filePath, corruptPath, error: error.message }, '🚨 Corrupt JSON store moved aside, starting empty - restore it from the moved file');
+            return structuredClone(this.defaults);
+        }
+    }
+}
@@ -0,0 +1,245 @@
+import config from '../config/AppConfig.js';
+import { formatRomanianAddress } from './addressUtils.js';
+import { getCompanyNameFromOrder } from './cuiUtils.js';
+import { toNumericId } from './orderModel.js';
+
+/**
+ * Oblio invoice builder
+ * Turns a canonical order (see orderModel.js) into the Oblio /docs/invoice payload.
+ * Shared by the webhook (REST) and admin extension (GraphQL) invoice paths.
+ *
+ * Discounts follow Shopify's allocations: every line (and shipping line) gets one
+ * discount row per discount application, right below it, so Oblio applies the
+ * VAT rate of that line. Order-level codes are already spread over the lines by
+ * Shopify, which keeps the invoice total equal to the Shopify total.
+ */
+
+/**
+ * Build the Oblio invoice payload for an order
+ * @param {Object} order - Canonical order
+ * @param {Object} options
+ * @param {Object} options.customClient - Client override (skips building it from the order)
+ * @param {Object} options.invoiceOptions - seriesName, issueDate, selectedLineItems, excludeShipping, markAsPaid, ...
+ * @returns {Object} - Oblio invoice data
+ */
+export function buildOblioInvoice(order, { customClient = null, invoiceOptions = {} } = {}) {
+    let products = buildOblioProducts(order, invoiceOptions);
+
+    if (!invoiceOptions.excludeShipping) {
+        products = products.concat(buildShippingProducts(order));
+    }
+
+    const invoiceData = {
+        cif: process.env.OBLIO_COMPANY_CIF,
+        client: customClient || buildOblioClient(order),
+        seriesName: invoiceOptions.seriesName || process.env.OBLIO_INVOICE_SERIES || 'PRS',
+        issueDate: invoiceOptions.issueDate || new Date().toISOString().split('T')[0],
+        language: invoiceOptions.language || 'RO',
+        mentions: invoiceOptions.mentions || `Factura emisa pentru comanda ${order.name || order.orderNumber}`,
+        sendEmail: invoiceOptions.sendEmail !== undefined ? invoiceOptions.sendEmail : 1,
+        useStock: invoiceOptions.useStock !== undefined ? invoiceOptions.useStock : 1,
+        products: filterValidProducts(products)
+    };
+
+    // Add collection info for paid orders
+    if (invoiceOptions.markAsPaid || order.financialStatus === 'paid') {
+        invoiceData.collectDate = invoiceOptions.collectDate
+            || order.paymentDate
+            || new Date().toISOString().split('T')[0];
+        invoiceData.collect = {
+            type: invoiceOptions.paymentMethod || 'Card',
+            documentNumber: String(order.orderNumber || order.name || order.id)
+        };
+    }
+
+    return invoiceData;
+}
+
+/**
+ * Product lines (with their discount rows) for the remaining quantity of each line item
+ * @param {Object} order - Canonical order
+ * @param {Object} invoiceOptions - selectedLineItems restricts the invoice to these line item IDs
+ * @returns {Array} - Oblio products
+ */
+export function buildOblioProducts(order, invoiceOptions = {}) {
+    const products = [];
+    const selectedItems = invoiceOptions.selectedLineItems?.map(toNumericId);
+
+    order.lineItems.forEach(item => {
+        if (selectedItems && !selectedItems.includes(item.id)) return;
+
+        const quantity = Math.max(0, item.quantity - item.refundedQuantity);
+        if (quantity <= 0) return;
+
+        const vatInfo = getVatInfo(item.taxRate);
+
+        products.push({
+            name: item.title,
+            // Service lines (bundle price corrections) are not products in Oblio
+            code: item.productType === 'Serviciu' ? null : (item.productCode || item.sku || item.barcode || item.id),
+            price: item.unitPrice,
+            quantity,
+            measuringUnit: 'buc',
+            currency: order.currency,
+            productType: item.productType || 'Marfa',
+            management: item.management || config.oblio.OBLIO_MANAGEMENT,
+            vatName: vatInfo.name,
+            vatPercentage: vatInfo.percentage,
+            vatIncluded: order.taxesIncluded ? 1 : 0
+        });
+
+        // Refunded units take their share of the discount with them
+        products.push(...buildDiscountRows(order, item.discountAllocations, item.title, quantity / item.quantity));
+    });
+
+    return products;
+}
+
+/**
+ * Paid shipping lines as service products, with their discount rows (free shipping codes)
+ * @param {Object} order - Canonical order
+ * @returns {Array} - Oblio products
+ */
+export function buildShippingProducts(order) {
+    return order.shippingLines
+        .filter(shipping => !isNaN(shipping.price) && shipping.price > 0)
+        .flatMap(shipping => {
+            const title = shipping.title || 'Transport';
+            const vatInfo = getVatInfo(shipping.taxRate);
+
+            return [{
+                name: title,
+                price: shipping.price,
+                quantity: 1,
+                measuringUnit: 'buc',
+                currency: order.currency,
+                productType: 'Serviciu',
+                management: config.oblio.OBLIO_MANAGEMENT,
+                vatName: vatInfo.name,
+                vatPercentage: vatInfo.percentage,
+                vatIncluded: order.taxesIncluded ? 1 : 0
+            }, ...buildDiscountRows(order, shipping.discountAllocations, title)];
+        });
+}
+
+/**
+ * One discount row per discount application allocated to a line
+ * @param {Object} order - Canonical order (for the discount applications)
+ * @param {Array} allocations - [{ amount, applicationIndex }]
+ * @param {string} subject - Title of the discounted line
+ * @param {number} ratio - Share of the allocated amount still invoiced (partial refunds)
+ * @returns {Array} - Oblio discount rows
+ */
+export function buildDiscountRows(order, allocations = [], subject, ratio = 1) {
+    const amounts = new Map();
+
+    allocations.forEach(allocation => {
+        const key = allocation.applicationIndex ?? null;
+        amounts.set(key, (amounts.get(key) || 0) + allocation.amount);
+    });
+
+    return [...amounts.entries()]
+        .map(([applicationIndex, amount]) => {
+            const application = order.discountApplications?.find(app => app.index === applicationIndex);
+            const label = application?.code || application?.title;
+
+            return {
+                name: label ? `Discount ${label} (${subject})` : `Discount ${subject}`,
+                discountType: 'valoric',
+                discount: Math.round(amount * ratio * 100) / 100,
+                discountAllAbove: 0
+            };
+        })
+        .filter(row => row.discount > 0);
+}
+
+/**
+ * Invoice total with VAT, the way Oblio computes it
+ * (discount rows take the VAT of the product above them)
+ * @param {Array} products - Oblio products
+ * @returns {number} - Total, rounded to 2 decimals
+ */
+export function calculateInvoiceTotal(products = []) {
+    let total = 0;
+    let previous = null;
+
+    products.forEach(product => {
+        if (product.discountType) {
+            total -= withVat(product.discount, previous);
+            return;
+        }
+
+        previous = product;
+        total += withVat(product.price * product.quantity, product);
+    });
+
+    return Math.round(total * 100) / 100;
+}
+
+/**
+ * Oblio client from the order billing (or shipping) address
+ * @param {Object} order - Canonical order
+ * @returns {Object} - Oblio client
+ */
+export function buildOblioClient(order) {
+    const billing = order.billingAddress;
+    const billingAddr = billing ? formatRomanianAddress(billing) : null;
+    const shippingAddr = !billingAddr && order.shippingAddress ? formatRomanianAddress(order.shippingAddress) : null;
+    const addr = billingAddr || shippingAddr || { street: '', city: '', state: '', zip: '', country: 'România' };
+    const singleLineAddress = [addr.street, addr.zip, addr.country].filter(Boolean).join(', ');
+    const fullName = `${billing?.first_name || ''} ${billing?.last_name || ''}`.trim();
+
+    return {
+        name: (billing?.company && (getCompanyNameFromOrder(order) || billing.company))
+            || fullName
+            || order.email,
+        code: String(order.customer?.id || order.customer?.email || order.id),
+        address: singleLineAddress,
+        state: addr.state,
+        city: addr.city,
+        country: addr.country,
+        iban: '',
+        bank: '',
+        email: order.email || '',
+        phone: billing?.phone || order.shippingAddress?.phone || '',
+        contact: fullName
+    };
+}
+
+/**
+ * Oblio VAT name and percentage for a Shopify tax rate
+ * @param {number|null} taxRate - Decimal rate (0.21), defaults to the standard rate
+ * @returns {Object} - { percentage, name }
+ */
+export function getVatInfo(taxRate) {
+    if (taxRate === null || taxRate === undefined) {
+        return { percentage: 21, name: 'Normala' };
+    }
+
+    const percentage = Math.round(taxRate * 100);
+    const names = { 21: 'Normala', 11: 'Redusa', 0: 'SFDD' };
+
+    return { percentage, name: names[percentage] || 'Normala' };
+}
+
+/**
+ * Net amounts get the VAT of their product added (vatIncluded defaults to 1 in Oblio)
+ * @private
+ */
+function withVat(amount, product) {
+    const rounded = Math.round(amount * 100) / 100;
+    if (!product || product.vatIncluded !== 0) return rounded;
+    return Math.round(rounded * (1 + (product.vatPercentage || 0) / 100) * 100) / 100;
+}
+
+/**
+ * Keep products with a price and quantity, and discounts with an amount
+ * @private
+ */
+function filterValidProducts(products) {
+    return products.filter(p => {
+        const validProduct = p && typeof p.price === 'number' && !isNaN(p.price) && p.quantity > 0;
+        const validDiscount = p && typeof p.discount === 'number' && !isNaN(p.discount) && p.discount > 0;
+        return validProduct || validDiscount;
+    });
+}
@@ -0,0 +1,306 @@
+/**
+ * Canonical order model
+ * One internal order shape for invoicing, built either from Shopify REST
+ * payloads (webhooks, API) or from the GraphQL order sent by the admin extension.
+ *
+ * Addresses keep the Shopify REST field names (first_name, address1, province_code, ...)
+ * so the address and CUI utilities work on them unchanged.
+ *
+ * {
+ *   id, name, orderNumber, email, currency, taxesIncluded,
+ *   totalPrice,                   // current total (after edits and refunds), taxes included
+ *   financialStatus,              // lowercase: paid, pending, ...
+ *   paymentDate,                  // YYYY-MM-DD
+ *   sourceName,                   // sales channel: web, pos, shopify_draft_order, ...
+ *   customer: { id, email, tags },
+ *   billingAddress, shippingAddress,
+ *   discountApplications: [{ index, type, code, title, targetType, targetSelection, allocationMethod }],
+ *   lineItems: [{ id, title, sku, barcode, quantity, refundedQuantity, unitPrice, taxRate, discountAllocations, locationId }],
+ *   shippingLines: [{ title, price, taxRate, discountAllocations }]   // price before shipping discounts
+ * }
+ *
+ * discountAllocations: [{ amount, applicationIndex }] - applicationIndex points into discountApplications
+ * locationId: numeric ID of the location that fulfilled most units of the line (null when unfulfilled)
+ *
+ * Line items may also get a productCode (Oblio product code) from the SKU mapping.
+ */
+
+/**
+ * Strip the GraphQL prefix from a Shopify ID
+ * @param {string|number} id - Numeric ID or GID (gid://shopify/LineItem/123)
+ * @returns {string|null} - Numeric ID as string
+ */
+export function toNumericId(id) {
+    if (id === undefined || id === null || id === '') return null;
+    return String(id).split('/').pop();
+}
+
+/**
+ * Quantity of a REST line item already refunded
+ * @param {Object} order - Shopify REST order
+ * @param {number|string} lineItemId - Line item ID
+ * @returns {number} - Refunded quantity
+ */
+export function getRefundedQuantity(order, lineItemId) {
+    return (order.refunds || []).reduce((acc, refund) => {
+        const match = (refund.refund_line_items || []).find(rli =>
+            String(rli?.line_item?.id ?? rli?.line_item_id) === String(lineItemId)
+        );
+        return acc + (match?.quantity || 0);
+    }, 0);
+}
+
+/**
+ * Location that fulfilled most units of a REST line item
+ * @param {Object} order - Shopify REST order
+ * @param {number|string} lineItemId - Line item ID
+ * @returns {string|null} - Numeric location ID
+ */
+export function getFulfillmentLocationId(order, lineItemId) {
+    return mainLocation((order.fulfillments || [])
+        .filter(fulfillment => fulfillment.status !== 'cancelled')
+        .map(fulfillment => ({
+            locationId: fulfillment.location_id,
+            quantity: (fulfillment.line_items || [])
+                .filter(line => String(line.id) === String(lineItemId))
+                .reduce((sum, line) => sum + (line.quantity || 0), 0)
+        })));
+}
+
+/**
+ * Build the canonical order from a Shopify REST order
+ * @param {Object} order - Shopify REST order (webhook payload or API response)
+ * @returns {Object} - Canonical order
+ */
+export function fromRestOrder(order) {
+    return {
+        id: toNumericId(order.id),
+        name: order.name || null,
+        orderNumber: order.order_number ? String(order.order_number) : null,
+        email: order.email || order.customer?.email || '',
+        currency: order.currency,
+        taxesIncluded: !!order.taxes_included,
+        totalPrice: parseFloat(order.current_total_price ?? order.total_price),
+        financialStatus: (order.financial_status || '').toLowerCase(),
+        paymentDate: toDate(order.processed_at || order.closed_at || order.updated_at),
+        sourceName: order.source_name || null,
+        customer: {
+            id: toNumericId(order.customer?.id),
+            email: order.customer?.email || null,
+            tags: toTags(order.customer?.tags)
+        },
+        billingAddress: order.billing_address || null,
+        shippingAddress: order.shipping_address || null,
+        discountApplications: (order.discount_applications || []).map((application, index) => ({
+            index,
+            type: application.type,
+            code: application.code || null,
+            title: application.title || application.description || null,
+            targetType: application.target_type,
+            targetSelection: application.target_selection,
+            allocationMethod: application.allocation_method
+        })),
+        lineItems: (order.line_items || []).map(item => ({
+            id: toNumericId(item.id),
+            title: item.title,
+            sku: item.sku || null,
+            barcode: item.barcode || null,
+            quantity: item.quantity || 0,
+            refundedQuantity: getRefundedQuantity(order, item.id),
+            unitPrice: parseFloat(item.price),
+            taxRate: item.tax_lines?.length > 0 ? item.tax_lines[0].rate : null,
+            discountAllocations: (item.discount_allocations || []).map(alloc => ({
+                amount: parseFloat(alloc.amount) || 0,
+                applicationIndex: alloc.discount_application_index ?? null
+            })),
+            locationId: getFulfillmentLocationId(order, item.id)
+        })),
+        shippingLines: (order.shipping_lines || []).map(shipping => ({
+            title: shipping.title,
+            price: parseFloat(shipping.price),
+            taxRate: shipping.tax_lines?.length > 0 ? shipping.tax_lines[0].rate : null,
+            discountAllocations: withShippingDiscount(
+                (shipping.discount_allocations || []).map(alloc => ({
+                    amount: parseFloat(alloc.amount) || 0,
+                    applicationIndex: alloc.discount_application_index ?? null
+                })),
+                parseFloat(shipping.price),
+                parseFloat(shipping.discounted_price)
+            )
+        }))
+    };
+}
+
+/**
+ * Build the canonical order from a Shopify GraphQL order (admin extension query)
+ * @param {Object} graphqlOrder - GraphQL order node
+ * @param {string} orderNumber - Order number shown in the admin
+ * @returns {Object} - Canonical order
+ */
+export function fromGraphQLOrder(graphqlOrder, orderNumber = null) {
+    return {
+        id: toNumericId(graphqlOrder.id),
+        name: graphqlOrder.name || null,
+        orderNumber: orderNumber ? String(orderNumber) : null,
+        email: graphqlOrder.email || graphqlOrder.customer?.email || '',
+        currency: graphqlOrder.totalPriceSet?.shopMoney?.currencyCode || 'RON',
+        taxesIncluded: !!graphqlOrder.taxesIncluded,
+        totalPrice: parseFloat((graphqlOrder.currentTotalPriceSet || graphqlOrder.totalPriceSet)?.shopMoney?.amount),
+        financialStatus: (graphqlOrder.displayFinancialStatus || '').toLowerCase(),
+        paymentDate: toDate(graphqlOrder.processedAt || graphqlOrder.closedAt || graphqlOrder.updatedAt),
+        sourceName: graphqlOrder.sourceName || null,
+        customer: {
+            id: toNumericId(graphqlOrder.customer?.id),
+            email: graphqlOrder.customer?.email || null,
+            tags: toTags(graphqlOrder.customer?.tags)
+        },
+        billingAddress: fromGraphQLAddress(graphqlOrder.billingAddress),
+        shippingAddress: fromGraphQLAddress(graphqlOrder.shippingAddress),
+        discountApplications: (graphqlOrder.discountApplications?.edges || []).map(({ node: application }, position) => ({
+            index: application.index ?? position,
+            type: graphQLDiscountType(application.__typename),
+            code: application.code || null,
+            title: application.title || null,
+            targetType: application.targetType?.toLowerCase(),
+            targetSelection: application.targetSelection?.toLowerCase(),
+            allocationMethod: application.allocationMethod?.toLowerCase()
+        })),
+        lineItems: (graphqlOrder.lineItems?.edges || []).map(({ node: item }) => ({
+            id: toNumericId(item.id),
+            title: item.title,
+            sku: item.sku || null,
+            barcode: item.variant?.barcode || null,
+            quantity: item.quantity || 0,
+            // currentQuantity already excludes refunded and removed units
+            refundedQuantity: item.currentQuantity !== undefined && item.currentQuantity !== null
+                ? Math.max(0, (item.quantity || 0) - item.currentQuantity)
+                : 0,
+            unitPrice: parseFloat(item.originalUnitPriceSet?.shopMoney?.amount ?? '0'),
+            taxRate: item.taxLines?.length > 0 ? item.taxLines[0].rate : null,
+            discountAllocations: (item.discountAllocations || []).map(fromGraphQLAllocation),
+            locationId: getGraphQLFulfillmentLocationId(graphqlOrder, item.id)
+        })),
+        shippingLines: (graphqlOrder.shippingLines?.edges || []).map(({ node: shipping }) => ({
+            title: shipping.title,
+            price: parseFloat(shipping.originalPriceSet?.shopMoney?.amount ?? '0'),
+            taxRate: shipping.taxLines?.length > 0 ? shipping.taxLines[0].rate : null,
+            discountAllocations: withShippingDiscount(
+                (shipping.discountAllocations || []).map(fromGraphQLAllocation),
+                parseFloat(shipping.originalPriceSet?.shopMoney?.amount),
+                parseFloat(shipping.discountedPriceSet?.shopMoney?.amount)
+            )
+        }))
+    };
+}
+
+/**
+ * GraphQL DiscountAllocation to { amount, applicationIndex }
+ * @private
+ */
+function fromGraphQLAllocation(allocation) {
+    return {
+        amount: parseFloat(allocation.allocatedAmountSet?.shopMoney?.amount) || 0,
+        applicationIndex: allocation.discountApplication?.index ?? null
+    };
+}
+
+/**
+ * Location that fulfilled most units of a GraphQL line item
+ * @private
+ */
+function getGraphQLFulfillmentLocationId(graphqlOrder, lineItemId) {
+    return mainLocation((graphqlOrder.fulfillments || [])
+        .filter(fulfillment => fulfillment.status !== 'CANCELLED')
+        .map(fulfillment => ({
+            locationId: fulfillment.location?.id,
+            quantity: (fulfillment.fulfillmentLineItems?.edges || [])
+                .filter(({ node }) => node.lineItem?.id === lineItemId)
+                .reduce((sum, { node }) => sum + (node.quantity || 0), 0)
+        })));
+}
+
+/**
+ * Location with the most fulfilled units
+ * @private
+ */
+function mainLocation(entries) {
+    const quantities = new Map();
+
+    entries
+        .filter(entry => entry.locationId && entry.quantity > 0)
+        .forEach(entry => {
+            const locationId = toNumericId(entry.locationId);
+            quantities.set(locationId, (quantities.get(locationId) || 0) + entry.quantity);
+        });
+
+    let best = null;
+    quantities.forEach((quantity, locationId) => {
+        if (!best || quantity > best.quantity) best = { locationId, quantity };
+    });
+
+    return best?.locationId ?? null;
+}
+
+/**
+ * GraphQL discount application typename to the REST type
+ * @private
+ */
+function graphQLDiscountType(typename) {
+    const types = {
+        DiscountCodeApplication: 'discount_code',
+        AutomaticDiscountApplication: 'automatic',
+        ManualDiscountApplication: 'manual',
+        ScriptDiscountApplication: 'script'
+    };
+    return types[typename] || null;
+}
+
+/**
+ * Payloads without shipping allocations still carry the discounted price
+ * @private
+ */
+function withShippingDiscount(allocations, price, discountedPrice) {
+    if (allocations.length > 0 || isNaN(discountedPrice) || !(discountedPrice < price)) {
+        return allocations;
+    }
+    return [{ amount: Math.round((price - discountedPrice) * 100) / 100, applicationIndex: null }];
+}
+
+/**
+ * GraphQL MailingAddress to REST address fields
+ * @private
+ */
+function fromGraphQLAddress(address) {
+    if (!address) return null;
+
+    return {
+        first_name: address.firstName || '',
+        last_name: address.lastName || '',
+        company: address.company || null,
+        address1: address.address1 || '',
+        address2: address.address2 || '',
+        city: address.city || '',
+        province: address.province || '',
+        province_code: address.provinceCode || '',
+        zip: address.zip || '',
+        country: address.country || '',
+        country_code: address.countryCodeV2 || '',
+        phone: address.phone || ''
+    };
+}
+
+/**
+ * Customer tags, from the REST comma separated string or the GraphQL list
+ * @private
+ */
+function toTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+/**
+ * @private
+ */
+function toDate(timestamp) {
+    return (timestamp || new Date().toISOString()).split('T')[0];
+}